@@ -0,0 +1,280 @@
+import zlib from 'zlib';
+
+const PNG_SIGNATURE = '89504e470d0a1a0a';
+
+/**
+ * @param {Buffer} data
+ * @returns {boolean}
+ */
+const isPng = data => data.length > 24 && data.toString('hex', 0, 8) === PNG_SIGNATURE;
+
+/**
+ * @param {number} value unsigned 16-bit value
+ * @returns {number} signed value
+ */
+const toInt16 = value => value > 0x7FFF ? value - 0x10000 : value;
+
+/**
+ * @param {Buffer} cblc data of the CBLC table
+ * @param {object} strike
+ * @param {number} id glyph id
+ * @returns {?object} format and offset of the image in the CBDT table
+ */
+const findCbdtImage = (cblc, strike, id) => {
+	for (let i = 0; i < strike.indexCount; i++) {
+		let entry = strike.indexArrayOffset + i * 8;
+		let first = cblc.readUInt16BE(entry);
+		if (id < first || id > cblc.readUInt16BE(entry + 2)) {
+			continue;
+		}
+
+		let subtable = strike.indexArrayOffset + cblc.readUInt32BE(entry + 4);
+		let indexFormat = cblc.readUInt16BE(subtable);
+		let format = cblc.readUInt16BE(subtable + 2);
+		let dataOffset = cblc.readUInt32BE(subtable + 4);
+		let index = id - first;
+		let start, end;
+
+		if (indexFormat === 1) {
+			start = cblc.readUInt32BE(subtable + 8 + index * 4);
+			end = cblc.readUInt32BE(subtable + 12 + index * 4);
+		} else if (indexFormat === 3) {
+			start = cblc.readUInt16BE(subtable + 8 + index * 2);
+			end = cblc.readUInt16BE(subtable + 10 + index * 2);
+		} else {
+			return null;
+		}
+
+		return start < end ? { format: format, offset: dataOffset + start } : null;
+	}
+
+	return null;
+};
+
+/**
+ * Color glyphs of the font in formats of color emoji fonts:
+ * - layered glyphs of the COLR and CPAL tables (COLR version 0),
+ * - bitmap glyphs of the sbix table (Apple) and of the CBDT and CBLC tables (Google),
+ * - SVG documents of the SVG table.
+ *
+ * Glyphs of COLR and sbix tables are read by fontkit, CBDT and SVG tables are not supported
+ * by fontkit, so they are read from the font data. Color glyphs are drawn over the text
+ * by Renderer, advance widths of glyphs (and so measured widths) are not changed.
+ */
+class ColorFont {
+	/**
+	 * @param {object} font pdfkit embedded font
+	 */
+	constructor(font) {
+		this.font = font;
+		this.tables = font.font.directory.tables;
+		this.cache = Object.create(null);
+	}
+
+	/**
+	 * @param {object} font pdfkit font
+	 * @returns {boolean} true for embedded fonts with color glyph tables
+	 */
+	static hasColorGlyphs(font) {
+		let tables = font && font.font && font.font.directory && font.font.directory.tables;
+		if (!tables) {
+			return false;
+		}
+
+		return !!((tables.COLR && tables.CPAL) || tables.sbix || (tables.CBDT && tables.CBLC) || tables['SVG ']);
+	}
+
+	/**
+	 * Draws color glyphs of the font
+	 */
+	attach() {
+		this.font.colorFont = this;
+	}
+
+	/**
+	 * @param {object} glyph fontkit glyph
+	 * @returns {?object} color glyph { layers } or { bitmap } or { svg }, null for glyph without color
+	 */
+	getColorGlyph(glyph) {
+		if (!(glyph.id in this.cache)) {
+			this.cache[glyph.id] = this.getSvgGlyph(glyph.id) ||
+				this.getLayeredGlyph(glyph) ||
+				this.getSbixGlyph(glyph) ||
+				this.getCbdtGlyph(glyph.id);
+		}
+
+		return this.cache[glyph.id];
+	}
+
+	/**
+	 * @param {string} tag
+	 * @returns {Buffer} data of the table
+	 */
+	getTableData(tag) {
+		let table = this.tables[tag];
+		return this.font.font.stream.buffer.slice(table.offset, table.offset + table.length);
+	}
+
+	/**
+	 * Layers of the COLR glyph, paths are in font units, layer without color
+	 * (palette index 0xFFFF) is drawn in the color of the text.
+	 *
+	 * @param {object} glyph fontkit glyph
+	 * @returns {?object}
+	 */
+	getLayeredGlyph(glyph) {
+		if (glyph.type !== 'COLR') {
+			return null;
+		}
+
+		let records = this.font.font.COLR.baseGlyphRecord;
+		if (!records.some(record => record.gid === glyph.id)) {
+			return null;
+		}
+
+		return {
+			layers: glyph.layers.map(layer => ({
+				path: layer.glyph.path.toSVG(),
+				color: layer.color ? [layer.color.red, layer.color.green, layer.color.blue] : null,
+				opacity: layer.color ? layer.color.alpha / 255 : 1
+			}))
+		};
+	}
+
+	/**
+	 * Bitmap of the sbix glyph from the largest strike, position and size are in ems.
+	 *
+	 * @param {object} glyph fontkit glyph
+	 * @returns {?object}
+	 */
+	getSbixGlyph(glyph) {
+		if (glyph.type !== 'SBIX') {
+			return null;
+		}
+
+		let strikes = this.font.font.sbix.imageTables;
+		let ppem = strikes[strikes.length - 1].ppem;
+		let image = glyph.getImageForSize(ppem);
+		if (!image || !isPng(image.data)) {
+			return null;
+		}
+
+		let width = image.data.readUInt32BE(16);
+		let height = image.data.readUInt32BE(20);
+
+		return {
+			bitmap: {
+				data: image.data,
+				left: toInt16(image.originX) / ppem,
+				top: (toInt16(image.originY) + height) / ppem,
+				width: width / ppem,
+				height: height / ppem
+			}
+		};
+	}
+
+	/**
+	 * Bitmap of the CBDT glyph from the largest strike, position and size are in ems.
+	 * Index subtables with offsets (formats 1 and 3) and images with glyph
+	 * metrics (formats 17 and 18) are supported.
+	 *
+	 * @param {number} id glyph id
+	 * @returns {?object}
+	 */
+	getCbdtGlyph(id) {
+		if (!this.tables.CBDT || !this.tables.CBLC) {
+			return null;
+		}
+
+		let cblc = this.getTableData('CBLC');
+		let strikes = [];
+		for (let i = 0, count = cblc.readUInt32BE(4); i < count; i++) {
+			let offset = 8 + i * 48;
+			strikes.push({
+				indexArrayOffset: cblc.readUInt32BE(offset),
+				indexCount: cblc.readUInt32BE(offset + 8),
+				ppem: cblc.readUInt8(offset + 45)
+			});
+		}
+		strikes.sort((a, b) => b.ppem - a.ppem);
+
+		for (let strike of strikes) {
+			let image = findCbdtImage(cblc, strike, id);
+			if (!image) {
+				continue;
+			}
+
+			let cbdt = this.getTableData('CBDT');
+			let offset = image.offset;
+			let metrics = {
+				height: cbdt.readUInt8(offset),
+				width: cbdt.readUInt8(offset + 1),
+				bearingX: cbdt.readInt8(offset + 2),
+				bearingY: cbdt.readInt8(offset + 3)
+			};
+
+			if (image.format === 17) {
+				offset += 5;
+			} else if (image.format === 18) {
+				offset += 8;
+			} else {
+				return null;
+			}
+
+			let data = cbdt.slice(offset + 4, offset + 4 + cbdt.readUInt32BE(offset));
+			if (!isPng(data)) {
+				return null;
+			}
+
+			return {
+				bitmap: {
+					data: data,
+					left: metrics.bearingX / strike.ppem,
+					top: metrics.bearingY / strike.ppem,
+					width: metrics.width / strike.ppem,
+					height: metrics.height / strike.ppem
+				}
+			};
+		}
+
+		return null;
+	}
+
+	/**
+	 * SVG document of the glyph, the glyph is the element with id "glyph{id}"
+	 * in font units with baseline at y = 0 (y axis goes down).
+	 *
+	 * @param {number} id glyph id
+	 * @returns {?object}
+	 */
+	getSvgGlyph(id) {
+		if (!this.tables['SVG ']) {
+			return null;
+		}
+
+		let table = this.getTableData('SVG ');
+		let listOffset = table.readUInt32BE(2);
+
+		for (let i = 0, count = table.readUInt16BE(listOffset); i < count; i++) {
+			let entry = listOffset + 2 + i * 12;
+			if (id < table.readUInt16BE(entry) || id > table.readUInt16BE(entry + 2)) {
+				continue;
+			}
+
+			let start = listOffset + table.readUInt32BE(entry + 4);
+			let data = table.slice(start, start + table.readUInt32BE(entry + 8));
+			if (data[0] === 0x1F && data[1] === 0x8B) {
+				data = zlib.gunzipSync(data);
+			}
+
+			return {
+				svg: data.toString('utf8'),
+				id: `glyph${id}`
+			};
+		}
+
+		return null;
+	}
+}
+
+export default ColorFont;
@@ -41,6 +41,8 @@ class DocMeasure {
 
 			if (node.columns) {
 				return extendMargins(this.measureColumns(node));
+			} else if (node.flowColumns) {
+				return extendMargins(this.measureFlowColumns(node));
 			} else if (node.stack) {
 				return extendMargins(this.measureVerticalContainer(node));
 			} else if (node.ul) {
@@ -61,6 +63,8 @@ class DocMeasure {
 				return extendMargins(this.measureCanvas(node));
 			} else if (node.qr) {
 				return extendMargins(this.measureQr(node));
+			} else if (node.field) {
+				return extendMargins(this.measureField(node));
 			} else {
 				throw new Error(`Unrecognized document structure: ${stringifyNode(node)}`);
 			}
@@ -108,7 +112,19 @@ class DocMeasure {
 			}
 		}
 
-		node._alignment = this.styleStack.getProperty('alignment');
+		node._alignment = this.getAlignment();
+	}
+
+	/**
+	 * @returns {?string} alignment of the current style, nodes in right-to-left direction are aligned right by default
+	 */
+	getAlignment() {
+		let alignment = this.styleStack.getProperty('alignment');
+		if (!alignment && this.styleStack.getProperty('direction') === 'rtl') {
+			return 'right';
+		}
+
+		return alignment;
 	}
 
 	convertIfBase64Image(node) {
@@ -135,7 +151,8 @@ class DocMeasure {
 
 		this.measureImageWithDimensions(node, dimensions);
 
-		node.font = this.styleStack.getProperty('font');
+		let font = this.styleStack.getProperty('font');
+		node.font = isArray(font) ? font[0] : font;
 
 		// scale SVG based on final dimension
 		node.svg = this.svgMeasure.writeDimensions(node.svg, { width: node._width, height: node._height });
@@ -154,8 +171,48 @@ class DocMeasure {
 		let styleStack = this.styleStack.clone();
 		styleStack.push(node);
 
+		this.measureInlineImages(node.text);
+
 		let data = this.textInlines.buildInlines(node.text, styleStack);
 
+		node._inlines = data.items;
+		node._minWidth = data.minWidth;
+		node._maxWidth = data.maxWidth;
+		node._orphans = StyleContextStack.getStyleProperty(node, this.styleStack, 'orphans', 2);
+		node._widows = StyleContextStack.getStyleProperty(node, this.styleStack, 'widows', 2);
+		node._lineBreaking = StyleContextStack.getStyleProperty(node, this.styleStack, 'lineBreaking', 'greedy');
+
+		return node;
+	}
+
+	/**
+	 * Measures images and svg placed as inlines of the text
+	 *
+	 * @param {string|Array|object} text
+	 */
+	measureInlineImages(text) {
+		if (isArray(text)) {
+			text.forEach(item => this.measureInlineImages(item));
+		} else if (isObject(text)) {
+			if (text.image) {
+				this.measureImage(text);
+			} else if (text.svg) {
+				this.measureSVG(text);
+			} else {
+				this.measureInlineImages(text.text);
+			}
+		}
+	}
+
+	/**
+	 * Form field node is measured as a text with the field as the only inline
+	 *
+	 * @param {object} node
+	 * @returns {object}
+	 */
+	measureField(node) {
+		let data = this.textInlines.buildInlines(node, this.styleStack);
+
 		node._inlines = data.items;
 		node._minWidth = data.minWidth;
 		node._maxWidth = data.maxWidth;
@@ -379,6 +436,10 @@ class DocMeasure {
 		if (markerColor) {
 			textArray.color = markerColor;
 		}
+		if (styleStack.getProperty('direction') === 'rtl') {
+			// marker is positioned in the gap on the right side, it is not aligned by the default alignment
+			textArray.alignment = 'left';
+		}
 
 		return { _inlines: this.textInlines.buildInlines(textArray, styleStack).items };
 	}
@@ -387,6 +448,7 @@ class DocMeasure {
 		let style = this.styleStack.clone();
 		let items = node.ul;
 		node.type = node.type || 'disc';
+		node._direction = this.styleStack.getProperty('direction');
 		node._gapSize = this.gapSizeForList();
 		node._minWidth = 0;
 		node._maxWidth = 0;
@@ -414,6 +476,7 @@ class DocMeasure {
 		if (!isNumber(node.start)) {
 			node.start = node.reversed ? items.length : 1;
 		}
+		node._direction = this.styleStack.getProperty('direction');
 		node._gapSize = this.gapSizeForList();
 		node._minWidth = 0;
 		node._maxWidth = 0;
@@ -426,7 +489,9 @@ class DocMeasure {
 				let counterValue = isNumber(item.counter) ? item.counter : counter;
 				item.listMarker = this.buildOrderedMarker(counterValue, style, item.listType || node.type, node.separator);
 				if (item.listMarker._inlines) {
-					node._gapSize.width = Math.max(node._gapSize.width, item.listMarker._inlines[0].width);
+					// marker in right-to-left direction can be split into inlines of different bidi levels
+					let markerWidth = item.listMarker._inlines.reduce((width, inline) => width + inline.width, 0);
+					node._gapSize.width = Math.max(node._gapSize.width, markerWidth);
 				}
 			}  // TODO: else - nested lists numbering
 
@@ -456,6 +521,7 @@ class DocMeasure {
 	measureColumns(node) {
 		let columns = node.columns;
 		node._gap = this.styleStack.getProperty('columnGap') || 0;
+		node._direction = this.styleStack.getProperty('direction');
 
 		for (let i = 0, l = columns.length; i < l; i++) {
 			columns[i] = this.measureNode(columns[i]);
@@ -470,10 +536,25 @@ class DocMeasure {
 		return node;
 	}
 
+	measureFlowColumns(node) {
+		let flowColumns = node.flowColumns;
+		node._count = flowColumns.count || 2;
+		node._gap = isNumber(flowColumns.gap) ? flowColumns.gap : (this.styleStack.getProperty('columnGap') || 0);
+
+		flowColumns.content = this.measureNode(flowColumns.content);
+
+		let gaps = node._gap * (node._count - 1);
+		node._minWidth = flowColumns.content._minWidth * node._count + gaps;
+		node._maxWidth = flowColumns.content._maxWidth * node._count + gaps;
+
+		return node;
+	}
+
 	measureTable(node) {
 		extendTableWidths(node);
 		node._layout = getLayout(this.tableLayouts);
 		node._offsets = getOffsets(node._layout);
+		node._direction = this.styleStack.getProperty('direction');
 
 		let colSpans = [];
 		let col;
@@ -528,6 +609,7 @@ class DocMeasure {
 				if (isObject(data)) {
 					data.fillColor = _this.styleStack.getProperty('fillColor');
 					data.fillOpacity = _this.styleStack.getProperty('fillOpacity');
+					data._verticalAlignment = _this.styleStack.getProperty('verticalAlignment');
 				}
 				return _this.measureNode(data);
 			};
@@ -679,14 +761,14 @@ class DocMeasure {
 
 		node._minWidth = node._maxWidth = w;
 		node._minHeight = node._maxHeight = h;
-		node._alignment = this.styleStack.getProperty('alignment');
+		node._alignment = this.getAlignment();
 
 		return node;
 	}
 
 	measureQr(node) {
 		node = qrEncoder.measure(node);
-		node._alignment = this.styleStack.getProperty('alignment');
+		node._alignment = this.getAlignment();
 		return node;
 	}
 }
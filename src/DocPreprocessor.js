@@ -1,6 +1,8 @@
 import { isString, isNumber, isBoolean, isArray, isValue, isEmptyObject } from './helpers/variableType';
 import { stringifyNode } from './helpers/node';
 
+const FIELD_TYPES = ['text', 'checkbox', 'radio', 'dropdown', 'signature'];
+
 const convertValueToString = value => {
 	if (isString(value)) {
 		return value.replace(/\t/g, '    '); // expand tab as spaces
@@ -20,6 +22,7 @@ class DocPreprocessor {
 		this.parentNode = null;
 		this.tocs = [];
 		this.nodeReferences = [];
+		this.footnoteCount = 0;
 		return this.preprocessNode(docStructure);
 	}
 
@@ -35,6 +38,8 @@ class DocPreprocessor {
 
 		if (node.columns) {
 			return this.preprocessColumns(node);
+		} else if (node.flowColumns) {
+			return this.preprocessFlowColumns(node);
 		} else if (node.stack) {
 			return this.preprocessVerticalContainer(node);
 		} else if (node.ul) {
@@ -55,6 +60,8 @@ class DocPreprocessor {
 			return this.preprocessCanvas(node);
 		} else if (node.qr) {
 			return this.preprocessQr(node);
+		} else if (node.field) {
+			return this.preprocessField(node);
 		} else if (node.pageReference || node.textReference) {
 			return this.preprocessText(node);
 		} else {
@@ -72,6 +79,17 @@ class DocPreprocessor {
 		return node;
 	}
 
+	preprocessFlowColumns(node) {
+		let count = node.flowColumns.count;
+		if (isValue(count) && !(isNumber(count) && count >= 1 && count % 1 === 0)) {
+			throw new Error(`Column count of flowColumns must be a positive integer, '${count}' given.`);
+		}
+
+		node.flowColumns.content = this.preprocessNode(node.flowColumns.content);
+
+		return node;
+	}
+
 	preprocessVerticalContainer(node) {
 		let items = node.stack;
 
@@ -194,8 +212,13 @@ class DocPreprocessor {
 				isSetParentNode = true;
 			}
 
-			for (let i = 0, l = node.text.length; i < l; i++) {
+			for (let i = 0; i < node.text.length; i++) {
 				node.text[i] = this.preprocessNode(node.text[i]);
+
+				let footnoteMarker = node.text[i]._footnoteMarker;
+				if (footnoteMarker && node.text[i + 1] !== footnoteMarker) {
+					node.text.splice(i + 1, 0, footnoteMarker);
+				}
 			}
 
 			if (isSetParentNode) {
@@ -203,9 +226,37 @@ class DocPreprocessor {
 			}
 		}
 
+		if (isValue(node.footnote) && !node._footnoteMarker) {
+			node._footnoteMarker = this.createFootnoteMarker(node.footnote);
+
+			if (this.parentNode === null) { // text node, inline is followed by marker in text of the parent node
+				node.text = (isArray(node.text) ? node.text : [node.text]).concat(node._footnoteMarker);
+			}
+		}
+
 		return node;
 	}
 
+	/**
+	 * Creates numbered marker of the footnote, the footnote is laid out at the bottom
+	 * of the page where the marker is placed.
+	 *
+	 * @param {string|Array|object} footnote text of the footnote
+	 * @returns {object} marker inline
+	 */
+	createFootnoteMarker(footnote) {
+		let number = String(++this.footnoteCount);
+
+		return {
+			text: number,
+			sup: true,
+			_footnote: {
+				text: [{ text: number, sup: true }, ' '].concat(footnote),
+				style: 'footnote'
+			}
+		};
+	}
+
 	preprocessToc(node) {
 		if (!node.toc.id) {
 			node.toc.id = '_default_';
@@ -246,6 +297,22 @@ class DocPreprocessor {
 		return node;
 	}
 
+	preprocessField(node) {
+		if (FIELD_TYPES.indexOf(node.field) === -1) {
+			throw new Error(`Unsupported field type '${node.field}', supported types are: ${FIELD_TYPES.join(', ')}.`);
+		}
+
+		if (!isString(node.name) || node.name === '') {
+			throw new Error(`Field name is required: ${stringifyNode(node)}`);
+		}
+
+		if (node.field === 'radio' && !isValue(node.option)) {
+			throw new Error(`Radio button of field '${node.name}' requires the option property.`);
+		}
+
+		return node;
+	}
+
 	_getNodeForNodeRef(node) {
 		if (this.parentNode) {
 			return this.parentNode;
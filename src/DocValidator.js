@@ -0,0 +1,329 @@
+import defaultSchema from './docDefinitionSchema';
+import { isString, isNumber, isArray, isObject, isValue } from './helpers/variableType';
+
+const IDENTIFIER = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+/**
+ * @param {string} path
+ * @param {string|number} key property name or array index
+ * @returns {string}
+ */
+const appendPath = (path, key) => {
+	if (isNumber(key)) {
+		return `${path}[${key}]`;
+	}
+
+	if (!IDENTIFIER.test(key)) {
+		return `${path}['${key}']`;
+	}
+
+	return path ? `${path}.${key}` : key;
+};
+
+/**
+ * @param {any} value
+ * @returns {string}
+ */
+const typeOf = value => {
+	if (value === null) {
+		return 'null';
+	} else if (isArray(value)) {
+		return 'array';
+	} else if (isString(value)) {
+		return 'string';
+	} else if (isNumber(value)) {
+		return Number.isInteger(Number(value)) ? 'integer' : 'number';
+	}
+
+	return typeof value;
+};
+
+/**
+ * @param {any} value
+ * @param {string} type JSON schema type
+ * @returns {boolean}
+ */
+const matchesType = (value, type) => {
+	let valueType = typeOf(value);
+	if (type === 'number') {
+		return valueType === 'number' || valueType === 'integer';
+	}
+	if (type === 'object') {
+		return isObject(value);
+	}
+	return valueType === type;
+};
+
+/**
+ * Finds a known property differing only in case or by a typo (e.g. colspan -> colSpan, pageBrake -> pageBreak)
+ *
+ * @param {string} property
+ * @param {Array} knownProperties
+ * @returns {?string}
+ */
+const findSimilarProperty = (property, knownProperties) => {
+	let lowerCased = property.toLowerCase();
+	for (let known of knownProperties) {
+		if (known.toLowerCase() === lowerCased) {
+			return known;
+		}
+	}
+
+	// typos (changed, missing, extra or swapped characters), longer names may contain two of them
+	let maxDistance = property.length > 5 ? 2 : 1;
+	let similar = null;
+	for (let known of knownProperties) {
+		let distance = editDistance(known.toLowerCase(), lowerCased);
+		if (distance <= maxDistance) {
+			maxDistance = distance - 1;
+			similar = known;
+		}
+	}
+
+	return similar;
+};
+
+/**
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+const editDistance = (a, b) => {
+	let beforePrevious = [];
+	let previous = [];
+	for (let j = 0; j <= b.length; j++) {
+		previous.push(j);
+	}
+
+	for (let i = 1; i <= a.length; i++) {
+		let current = [i];
+		for (let j = 1; j <= b.length; j++) {
+			let cost = a[i - 1] === b[j - 1] ? 0 : 1;
+			let distance = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+			if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+				distance = Math.min(distance, beforePrevious[j - 2] + 1);
+			}
+			current.push(distance);
+		}
+		beforePrevious = previous;
+		previous = current;
+	}
+
+	return previous[b.length];
+};
+
+/**
+ * @param {any} value
+ * @returns {string}
+ */
+const formatValue = value => {
+	if (isString(value)) {
+		return `'${value}'`;
+	}
+	return String(value);
+};
+
+/**
+ * Validates document definition against JSON schema and reports
+ * errors with a path to the invalid value (e.g. content[3].table.body[2][1].colSpan).
+ *
+ * Only keywords used by the document definition schema are supported:
+ * $ref, type, typeof, enum, const, pattern, minimum, maximum, exclusiveMinimum, required,
+ * properties, additionalProperties, items, minItems, maxItems and anyOf.
+ */
+class DocValidator {
+
+	/**
+	 * @param {?object} schema JSON schema, document definition schema by default
+	 */
+	constructor(schema = defaultSchema) {
+		this.schema = schema;
+	}
+
+	/**
+	 * @param {object} docDefinition
+	 * @returns {Array} list of errors as objects with path and message, empty when valid
+	 */
+	validate(docDefinition) {
+		return this.validateValue(docDefinition, this.schema, '');
+	}
+
+	/**
+	 * @param {any} value
+	 * @param {object} schema
+	 * @param {string} path
+	 * @returns {Array}
+	 */
+	validateValue(value, schema, path) {
+		if (schema.$ref) {
+			return this.validateValue(value, this.resolveRef(schema.$ref), path);
+		}
+
+		if (schema.anyOf) {
+			return this.validateAnyOf(value, schema, path);
+		}
+
+		let error = (keyword, message) => [{ path: path, message: message, keyword: keyword }];
+
+		if (schema.typeof && typeof value !== schema.typeof) {
+			return error('typeof', `Expected ${schema.typeof}, got ${typeOf(value)}`);
+		}
+
+		if (schema.type) {
+			let types = isArray(schema.type) ? schema.type : [schema.type];
+			if (!types.some(type => matchesType(value, type))) {
+				return error('type', `Expected ${types.join(' or ')}, got ${typeOf(value)}`);
+			}
+		}
+
+		if (schema.enum && schema.enum.indexOf(value) === -1) {
+			return error('enum', `Expected one of ${schema.enum.map(formatValue).join(', ')}, got ${formatValue(value)}`);
+		}
+
+		if ('const' in schema && schema.const !== value) {
+			return error('const', `Expected ${formatValue(schema.const)}, got ${formatValue(value)}`);
+		}
+
+		if (isString(value) && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+			return error('pattern', `Value ${formatValue(value)} does not match pattern ${schema.pattern}`);
+		}
+
+		if (isNumber(value)) {
+			if (isNumber(schema.minimum) && value < schema.minimum) {
+				return error('minimum', `Expected value greater than or equal to ${schema.minimum}, got ${value}`);
+			}
+			if (isNumber(schema.exclusiveMinimum) && value <= schema.exclusiveMinimum) {
+				return error('exclusiveMinimum', `Expected value greater than ${schema.exclusiveMinimum}, got ${value}`);
+			}
+			if (isNumber(schema.maximum) && value > schema.maximum) {
+				return error('maximum', `Expected value less than or equal to ${schema.maximum}, got ${value}`);
+			}
+		}
+
+		if (isArray(value)) {
+			return this.validateArray(value, schema, path);
+		}
+
+		if (isObject(value)) {
+			return this.validateObject(value, schema, path);
+		}
+
+		return [];
+	}
+
+	validateArray(value, schema, path) {
+		let errors = [];
+
+		if (isNumber(schema.minItems) && value.length < schema.minItems) {
+			errors.push({ path: path, message: `Expected at least ${schema.minItems} items, got ${value.length}`, keyword: 'minItems' });
+		}
+
+		if (isNumber(schema.maxItems) && value.length > schema.maxItems) {
+			errors.push({ path: path, message: `Expected at most ${schema.maxItems} items, got ${value.length}`, keyword: 'maxItems' });
+		}
+
+		if (schema.items) {
+			for (let i = 0, l = value.length; i < l; i++) {
+				errors.push(...this.validateValue(value[i], schema.items, appendPath(path, i)));
+			}
+		}
+
+		return errors;
+	}
+
+	validateObject(value, schema, path) {
+		if (!schema.properties && !schema.required && !isValue(schema.additionalProperties)) {
+			return [];
+		}
+
+		let errors = [];
+		let properties = schema.properties || {};
+
+		if (schema.required) {
+			schema.required.forEach(property => {
+				if (!isValue(value[property]) && !(property in value)) {
+					errors.push({ path: path, message: `Missing required property '${property}'`, keyword: 'required' });
+				}
+			});
+		}
+
+		for (let key in value) {
+			if (!value.hasOwnProperty(key) || value[key] === undefined) {
+				continue;
+			}
+
+			let propertyPath = appendPath(path, key);
+
+			if (properties.hasOwnProperty(key)) {
+				errors.push(...this.validateValue(value[key], properties[key], propertyPath));
+			} else if (schema.additionalProperties === false) {
+				let message = `Unknown property '${key}'`;
+				let similar = findSimilarProperty(key, Object.keys(properties));
+				if (similar) {
+					message += `, did you mean '${similar}'?`;
+				}
+				errors.push({ path: propertyPath, message: message, keyword: 'additionalProperties' });
+			} else if (isObject(schema.additionalProperties)) {
+				errors.push(...this.validateValue(value[key], schema.additionalProperties, propertyPath));
+			}
+		}
+
+		return errors;
+	}
+
+	validateAnyOf(value, schema, path) {
+		let candidates = [];
+
+		for (let i = 0, l = schema.anyOf.length; i < l; i++) {
+			let alternative = schema.anyOf[i].$ref ? this.resolveRef(schema.anyOf[i].$ref) : schema.anyOf[i];
+			let errors = this.validateValue(value, alternative, path);
+			if (errors.length === 0) {
+				return [];
+			}
+
+			// alternatives failing on the value itself (wrong type, missing identifying
+			// property, ...) are not relevant, report errors of the alternative
+			// which matched the value best
+			let failsOnValue = errors.some(error => error.path === path && error.keyword !== 'additionalProperties');
+			let isIdentified = !isObject(value) || (isArray(alternative.required) && alternative.required.length > 0);
+			if (!failsOnValue && isIdentified) {
+				candidates.push(errors);
+			}
+		}
+
+		if (candidates.length > 0) {
+			return candidates.reduce((best, errors) => errors.length < best.length ? errors : best);
+		}
+
+		let message = `Invalid value ${isObject(value) || isArray(value) ? typeOf(value) : formatValue(value)}`;
+		if (schema.title) {
+			message += `, expected ${schema.title}`;
+		}
+
+		return [{ path: path, message: message, keyword: 'anyOf' }];
+	}
+
+	resolveRef(ref) {
+		let parts = ref.replace(/^#\//, '').split('/');
+		let target = this.schema;
+
+		for (let part of parts) {
+			target = target[part];
+			if (!isValue(target)) {
+				throw new Error(`Schema reference '${ref}' not found`);
+			}
+		}
+
+		return target;
+	}
+}
+
+/**
+ * @param {Array} errors errors returned by DocValidator.validate
+ * @returns {string}
+ */
+export function formatErrors(errors) {
+	return errors.map(error => `${error.path || '(root)'}: ${error.message}`).join('\n');
+}
+
+export default DocValidator;
@@ -1,6 +1,8 @@
-import { isString } from './helpers/variableType';
+import { isString, isNumber } from './helpers/variableType';
 import { EventEmitter } from 'events';
 
+const FOOTNOTES_GAP = 10;
+
 /**
  * A store for current x, y positions and available width/height.
  * It facilitates column divisions and vertical sync
@@ -20,6 +22,7 @@ class DocumentContext extends EventEmitter {
 		this.snapshots = [];
 		this.endingCell = null;
 		this.backgroundLength = [];
+		this.floats = [];
 
 		this.addPage(pageSize);
 	}
@@ -45,6 +48,82 @@ class DocumentContext extends EventEmitter {
 		this.lastColumnWidth = 0;
 	}
 
+	/**
+	 * Begins columns with content flowing from one column to the next one
+	 * and from the last column to the next page
+	 *
+	 * @param {number} count number of columns
+	 * @param {number} gap space between columns
+	 */
+	beginFlowColumns(count, gap) {
+		this.beginColumnGroup();
+
+		let flow = {
+			count: count,
+			gap: gap,
+			width: (this.availableWidth - gap * (count - 1)) / count,
+			x: this.x
+		};
+		this.snapshots[this.snapshots.length - 1].flowColumns = flow;
+
+		this.availableWidth = flow.width;
+		this.beginFlowColumnsPage(flow);
+	}
+
+	beginFlowColumnsPage(flow) {
+		flow.column = 0;
+		flow.page = this.page;
+		flow.top = this.y;
+		flow.bottom = this.y;
+		flow.availableHeight = this.availableHeight;
+		flow.itemsStart = this.getCurrentPage().items.length;
+	}
+
+	/**
+	 * @returns {?object} flowing columns if they are the innermost column group
+	 */
+	getFlowColumns() {
+		let saved = this.snapshots[this.snapshots.length - 1];
+
+		return saved && saved.flowColumns ? saved.flowColumns : null;
+	}
+
+	/**
+	 * @returns {boolean} true if there is next flowing column on the current page
+	 */
+	moveToNextFlowColumn() {
+		let flow = this.getFlowColumns();
+		if (!flow || flow.column >= flow.count - 1 || flow.page !== this.page) {
+			return false;
+		}
+
+		flow.column++;
+		flow.bottom = Math.max(flow.bottom, this.y);
+
+		this.x += flow.width + flow.gap;
+		this.y = flow.top;
+		this.availableHeight = flow.availableHeight;
+
+		return true;
+	}
+
+	/**
+	 * @param {number} bottom optional bottom of columns (e.g. after balancing)
+	 */
+	completeFlowColumns(bottom) {
+		let flow = this.getFlowColumns();
+		let saved = this.snapshots.pop();
+
+		let y = isNumber(bottom) ? bottom : Math.max(flow.bottom, this.y);
+
+		this.x = saved.x;
+		this.availableWidth = saved.availableWidth;
+		this.availableHeight = flow.availableHeight - (y - flow.top);
+		this.y = y;
+		this.endingCell = saved.endingCell;
+		this.lastColumnWidth = saved.lastColumnWidth;
+	}
+
 	beginColumn(width, offset, endingCell) {
 		let saved = this.snapshots[this.snapshots.length - 1];
 
@@ -132,7 +211,7 @@ class DocumentContext extends EventEmitter {
 
 	initializePage() {
 		this.y = this.pageMargins.top;
-		this.availableHeight = this.getCurrentPage().pageSize.height - this.pageMargins.top - this.pageMargins.bottom;
+		this.availableHeight = this.getCurrentPage().pageSize.height - this.pageMargins.top - this.pageMargins.bottom - this.getFootnotesHeight([]);
 		this.pageSnapshot().availableWidth = this.getCurrentPage().pageSize.width - this.pageMargins.left - this.pageMargins.right;
 	}
 
@@ -209,6 +288,12 @@ class DocumentContext extends EventEmitter {
 			this.initializePage();
 		}
 
+		let flow = this.getFlowColumns();
+		if (flow) {
+			this.x -= flow.column * (flow.width + flow.gap);
+			this.beginFlowColumnsPage(flow);
+		}
+
 		return {
 			newPageCreated: createNewPage,
 			prevPage: prevPage,
@@ -229,6 +314,132 @@ class DocumentContext extends EventEmitter {
 		return page;
 	}
 
+	/**
+	 * @param {Array} footnotes laid out footnotes ({ items, height })
+	 * @returns {number} height of footnotes area of the current page with footnotes added
+	 */
+	getFootnotesHeight(footnotes) {
+		let page = this.getCurrentPage();
+		let height = page.footnotes ? page.footnotes.height : 0;
+
+		footnotes.forEach(footnote => {
+			height += footnote.height;
+		});
+
+		if (height > 0 && !page.footnotes) {
+			height += FOOTNOTES_GAP;
+		}
+
+		return height;
+	}
+
+	/**
+	 * @param {Array} footnotes laid out footnotes ({ items, height })
+	 * @returns {number} height left for content on an empty page (of the current page size) with the footnotes
+	 */
+	getEmptyPageHeight(footnotes) {
+		let height = this.getCurrentPage().pageSize.height - this.pageMargins.top - this.pageMargins.bottom;
+
+		footnotes.forEach(footnote => {
+			height -= footnote.height;
+		});
+
+		if (footnotes.length > 0) {
+			height -= FOOTNOTES_GAP;
+		}
+
+		return height;
+	}
+
+	/**
+	 * Places footnotes at the bottom of the current page, available height is reduced
+	 * by their height (also in snapshots of the page, e.g. for following columns)
+	 *
+	 * @param {Array} footnotes laid out footnotes ({ items, height })
+	 */
+	addFootnotes(footnotes) {
+		let page = this.getCurrentPage();
+		let height = this.getFootnotesHeight(footnotes) - this.getFootnotesHeight([]);
+
+		if (!page.footnotes) {
+			page.footnotes = { items: [], height: 0 };
+		}
+
+		footnotes.forEach(footnote => {
+			page.footnotes.items.push(footnote);
+		});
+		page.footnotes.height += height;
+
+		this.availableHeight -= height;
+		this.snapshots.forEach(snapshot => {
+			if (snapshot.page === this.page) {
+				snapshot.availableHeight -= height;
+			}
+			if (snapshot.bottomMost && snapshot.bottomMost.page === this.page) {
+				snapshot.bottomMost.availableHeight -= height;
+			}
+			if (snapshot.flowColumns && snapshot.flowColumns.page === this.page) {
+				snapshot.flowColumns.availableHeight -= height;
+			}
+		});
+	}
+
+	/**
+	 * @param {object} float box of floating node ({ side, left, right, top, bottom }) on the current page
+	 */
+	addFloat(float) {
+		this.floats.push(Object.assign({ page: this.page }, float));
+	}
+
+	/**
+	 * Horizontal space of the current column which is not covered by floating nodes
+	 *
+	 * @param {number} y vertical position of the line
+	 * @param {number} height height of the line, floats overlapping any part of the line are taken
+	 * @returns {object} offset from the current x position and available width ({ left, width })
+	 */
+	getFloatSpace(y, height) {
+		let left = this.x;
+		let right = this.x + this.availableWidth;
+
+		this.floats.forEach(float => {
+			if (float.page !== this.page || y >= float.bottom || y + height <= float.top || float.right <= left || float.left >= right) {
+				return;
+			}
+
+			if (float.side === 'left') {
+				left = Math.max(left, float.right);
+			} else {
+				right = Math.min(right, float.left);
+			}
+		});
+
+		return { left: left - this.x, width: Math.max(right - left, 0) };
+	}
+
+	/**
+	 * Bottom of floating nodes covering the current column at the current position,
+	 * block content (e.g. tables and images) is not wrapped and is placed below them
+	 *
+	 * @returns {number}
+	 */
+	getFloatsBottom() {
+		let bottom = this.y;
+		let isCovered = true;
+
+		while (isCovered) {
+			isCovered = false;
+			this.floats.forEach(float => {
+				if (float.page === this.page && bottom >= float.top && bottom < float.bottom && float.right > this.x && float.left < this.x + this.availableWidth) {
+					bottom = float.bottom;
+					isCovered = true;
+				}
+			});
+		}
+
+		return bottom;
+	}
+
 	getCurrentPage() {
 		if (this.page < 0 || this.page >= this.pages.length) {
 			return null;
@@ -0,0 +1,108 @@
+import { isArray, isObject, isString, isNumber, isValue } from './helpers/variableType';
+
+/**
+ * @param {string|Array|object} text text property of the node
+ * @returns {string}
+ */
+const textContent = text => {
+	if (isArray(text)) {
+		return text.map(textContent).join('');
+	} else if (isObject(text)) {
+		return textContent(text.text);
+	}
+
+	return isValue(text) ? String(text) : '';
+};
+
+/**
+ * Document outline (bookmarks) of laid out nodes.
+ *
+ * Entries are created from nodes with the outline property ({ title, level })
+ * and from TOC items if enabled by the outline document option. Entries are nested
+ * by their level (headlineLevel of the node by default) and point to the first
+ * position of the node.
+ */
+class DocumentOutline {
+	/**
+	 * @param {object} pdfDocument
+	 * @param {boolean} includeTocItems
+	 */
+	constructor(pdfDocument, includeTocItems) {
+		this.pdfDocument = pdfDocument;
+		this.includeTocItems = includeTocItems;
+		this.entries = [];
+	}
+
+	/**
+	 * @param {Array} linearNodeList laid out nodes in order of the document
+	 */
+	build(linearNodeList) {
+		this.entries = [];
+
+		linearNodeList.forEach(node => {
+			this.addEntry(node, node);
+
+			// inline with tocItem is positioned by its text node
+			if (isArray(node.text)) {
+				node.text.forEach(inline => {
+					if (isObject(inline)) {
+						this.addEntry(inline, node);
+					}
+				});
+			}
+		});
+	}
+
+	/**
+	 * @param {object} node node or inline defining the entry
+	 * @param {object} positionedNode laid out node
+	 */
+	addEntry(node, positionedNode) {
+		let outline = node.outline;
+		if (outline === false || (!outline && !(this.includeTocItems && node.tocItem))) {
+			return;
+		}
+
+		if (!positionedNode.positions || positionedNode.positions.length === 0) {
+			return;
+		}
+
+		let title = isObject(outline) && isString(outline.title) ? outline.title : textContent(node.text);
+		if (title === '') {
+			return;
+		}
+
+		this.entries.push({
+			title: title,
+			level: isObject(outline) && isNumber(outline.level) ? outline.level : (node.headlineLevel || 1),
+			position: positionedNode.positions[0]
+		});
+	}
+
+	/**
+	 * Adds entries into pdfkit outline, must be called when all pages are rendered
+	 */
+	end() {
+		let pages = this.pdfDocument._root.data.Pages.data.Kids;
+		let parents = [];
+
+		this.entries.forEach(entry => {
+			let page = pages[entry.position.pageNumber - 1];
+			if (!page) { // page is not rendered (maxPagesNumber)
+				return;
+			}
+
+			while (parents.length > 0 && parents[parents.length - 1].level >= entry.level) {
+				parents.pop();
+			}
+
+			let parent = parents.length > 0 ? parents[parents.length - 1].item : this.pdfDocument.outline;
+			let item = parent.addItem(entry.title);
+			item.outlineData.Dest = [page, 'XYZ', entry.position.left, page.data.MediaBox[3] - entry.position.top, null];
+
+			parents.push({ level: entry.level, item: item });
+		});
+	}
+}
+
+export default DocumentOutline;
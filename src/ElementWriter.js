@@ -47,7 +47,7 @@ class ElementWriter extends EventEmitter {
 	}
 
 	alignLine(line) {
-		let width = this.context().availableWidth;
+		let width = isNumber(line.wrapWidth) ? line.wrapWidth : this.context().availableWidth;
 		let lineWidth = line.getWidth();
 
 		let alignment = line.inlines && line.inlines.length > 0 && line.inlines[0].alignment;
@@ -70,13 +70,19 @@ class ElementWriter extends EventEmitter {
 			!line.newLineForced &&
 			!line.lastLineInParagraph &&
 			line.inlines.length > 1) {
-			let additionalSpacing = (width - lineWidth) / (line.inlines.length - 1);
+			// parts of the word broken at hyphenation points are not spaced
+			let gaps = line.inlines.filter((inline, i) => i > 0 && !line.inlines[i - 1].hyphen).length;
+			let additionalSpacing = gaps > 0 ? (width - lineWidth) / gaps : 0;
 
+			let gap = 0;
 			for (let i = 1, l = line.inlines.length; i < l; i++) {
-				offset = i * additionalSpacing;
+				let isSpaced = !line.inlines[i - 1].hyphen;
+				if (isSpaced) {
+					gap++;
+				}
 
-				line.inlines[i].x += offset;
-				line.inlines[i].justifyShift = additionalSpacing;
+				line.inlines[i].x += gap * additionalSpacing;
+				line.inlines[i].justifyShift = isSpaced ? additionalSpacing : 0;
 			}
 		}
 	}
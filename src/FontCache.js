@@ -0,0 +1,97 @@
+import { isString } from './helpers/variableType';
+
+/**
+ * @param {Buffer} buffer
+ * @returns {string} FNV-1a hash of the content with its length
+ */
+const hashBuffer = buffer => {
+	let hash = 0x811c9dc5;
+	for (let i = 0; i < buffer.length; i++) {
+		hash ^= buffer[i];
+		hash = Math.imul(hash, 0x01000193);
+	}
+	return `${buffer.length}:${(hash >>> 0).toString(16)}`;
+};
+
+// hashes of buffers, the same buffer is opened by each document
+const bufferHashes = new WeakMap();
+
+/**
+ * @param {string|Buffer} src font file
+ * @returns {string}
+ */
+const getFileKey = src => {
+	if (isString(src)) {
+		return `path:${src}`;
+	}
+
+	if (!bufferHashes.has(src)) {
+		bufferHashes.set(src, hashBuffer(src));
+	}
+	return `content:${bufferHashes.get(src)}`;
+};
+
+/**
+ * Cache of parsed fonts shared by documents, so font files are parsed once per process
+ * instead of once per document. Fonts are identified by the font file (path, or content
+ * of buffer, so files of virtual file system written again or of different virtual file
+ * systems share the font) and the key of the font in the file (postscript name of the font
+ * in collection, axis values of the variable font instance). Each document embeds its own
+ * subset of the shared font.
+ */
+class FontCache {
+	constructor() {
+		this.files = new Map();
+	}
+
+	/**
+	 * @param {string|Buffer} src font file
+	 * @param {string} key font in the file
+	 * @returns {?object} { font, constructor } fontkit font and class of pdfkit embedded font, null if not cached
+	 */
+	get(src, key) {
+		let file = this.getFile(src);
+		return (file && file.fonts[key]) || null;
+	}
+
+	/**
+	 * @param {string|Buffer} src font file
+	 * @param {string} key font in the file
+	 * @param {object} entry { font, constructor }
+	 */
+	set(src, key, entry) {
+		let file = this.getFile(src);
+		if (!file) {
+			file = { src: src, fonts: Object.create(null) };
+			this.files.set(getFileKey(src), file);
+		}
+
+		file.fonts[key] = entry;
+	}
+
+	/**
+	 * @param {string|Buffer} src font file
+	 * @returns {?object} { src, fonts } cached fonts of the file, null if not cached
+	 */
+	getFile(src) {
+		let file = this.files.get(getFileKey(src));
+		if (!file || (!isString(src) && !file.src.equals(src))) { // buffers of different content with the same hash
+			return null;
+		}
+		return file;
+	}
+
+	/**
+	 * Releases all cached fonts
+	 */
+	clear() {
+		this.files.clear();
+	}
+}
+
+/**
+ * Process-wide cache used by printers created with sharedFontCache option
+ */
+export const sharedFontCache = new FontCache();
+
+export default FontCache;
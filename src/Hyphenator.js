@@ -0,0 +1,124 @@
+import { isString } from './helpers/variableType';
+
+/**
+ * @param {string} char
+ * @returns {boolean}
+ */
+const isLetter = char => char.toLowerCase() !== char.toUpperCase();
+
+/**
+ * Hyphenation by Liang's algorithm (as used by TeX) with patterns in TeX format,
+ * e.g. '.ab1b a1ba 2b1c'. Exceptions are words with hyphens at the allowed points,
+ * e.g. 'ta-ble pro-ject'.
+ */
+class Hyphenator {
+	/**
+	 * @param {string|object} definition patterns or { patterns, exceptions, leftMin, rightMin }
+	 */
+	constructor(definition) {
+		if (isString(definition)) {
+			definition = { patterns: definition };
+		}
+
+		this.leftMin = definition.leftMin || 2;
+		this.rightMin = definition.rightMin || 2;
+		this.patterns = {};
+		this.exceptions = {};
+		this.maxPatternLength = 0;
+
+		(definition.patterns || '').split(/\s+/).filter(pattern => pattern).forEach(pattern => {
+			let letters = '';
+			let values = [0];
+
+			for (let i = 0; i < pattern.length; i++) {
+				let char = pattern.charAt(i);
+				if (char >= '0' && char <= '9') {
+					values[values.length - 1] = parseInt(char, 10);
+				} else {
+					letters += char;
+					values.push(0);
+				}
+			}
+
+			this.patterns[letters] = values;
+			this.maxPatternLength = Math.max(this.maxPatternLength, letters.length);
+		});
+
+		(definition.exceptions || '').split(/\s+/).filter(exception => exception).forEach(exception => {
+			this.exceptions[exception.replace(/-/g, '').toLowerCase()] = exception.split('-');
+		});
+	}
+
+	/**
+	 * Splits word at the allowed hyphenation points, characters which are not letters
+	 * at the start and end of the word (punctuation, spaces) are kept with the first and last part
+	 *
+	 * @param {string} word
+	 * @returns {Array} parts of the word
+	 */
+	hyphenate(word) {
+		let start = 0;
+		let end = word.length;
+		while (start < end && !isLetter(word.charAt(start))) {
+			start++;
+		}
+		while (end > start && !isLetter(word.charAt(end - 1))) {
+			end--;
+		}
+
+		let letters = word.slice(start, end);
+		if (letters.length < this.leftMin + this.rightMin) {
+			return [word];
+		}
+
+		let parts = this.hyphenateLetters(letters);
+		parts[0] = word.slice(0, start) + parts[0];
+		parts[parts.length - 1] += word.slice(end);
+
+		return parts;
+	}
+
+	/**
+	 * @param {string} letters
+	 * @returns {Array}
+	 */
+	hyphenateLetters(letters) {
+		let exception = this.exceptions[letters.toLowerCase()];
+		if (exception) {
+			let position = 0;
+			return exception.map(part => {
+				position += part.length;
+				return letters.slice(position - part.length, position);
+			});
+		}
+
+		let text = `.${letters.toLowerCase()}.`;
+		let points = new Array(text.length + 1).fill(0);
+
+		for (let i = 0; i < text.length; i++) {
+			for (let j = i + 1; j <= Math.min(text.length, i + this.maxPatternLength); j++) {
+				let values = this.patterns[text.slice(i, j)];
+				if (values) {
+					values.forEach((value, k) => {
+						points[i + k] = Math.max(points[i + k], value);
+					});
+				}
+			}
+		}
+
+		// odd value at points[i + 1] allows break before i-th letter
+		let parts = [];
+		let last = 0;
+		for (let i = this.leftMin; i <= letters.length - this.rightMin; i++) {
+			if (points[i + 1] % 2 === 1) {
+				parts.push(letters.slice(last, i));
+				last = i;
+			}
+		}
+		parts.push(letters.slice(last));
+
+		return parts;
+	}
+}
+
+export default Hyphenator;
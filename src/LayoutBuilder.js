@@ -5,10 +5,12 @@ import PageElementWriter from './PageElementWriter';
 import ColumnCalculator from './columnCalculator';
 import TableProcessor from './TableProcessor';
 import Line from './Line';
-import { isString, isArray, isFunction, isValue, isNumber } from './helpers/variableType';
+import { isString, isArray, isObject, isFunction, isValue, isNumber } from './helpers/variableType';
 import { stringifyNode, getNodeId } from './helpers/node';
 import { pack, offsetVector } from './helpers/tools';
-import TextInlines from './TextInlines';
+import TextInlines, { HYPHEN } from './TextInlines';
+import OptimalLineBreaker from './OptimalLineBreaker';
+import { splitGraphemes } from './TextShaper';
 import StyleContextStack from './StyleContextStack';
 
 function addAll(target, otherArray) {
@@ -17,6 +19,162 @@ function addAll(target, otherArray) {
 	});
 }
 
+/**
+ * @param {object} item page item
+ * @returns {?object} horizontal position and vertical bounds ({ x, top, bottom }) of the item
+ */
+function getItemBounds(item) {
+	let element = item.item;
+
+	switch (item.type) {
+		case 'line':
+			return { x: element.x, top: element.y, bottom: element.y + element.getHeight() };
+		case 'image':
+		case 'svg':
+			return { x: element.x, top: element.y, bottom: element.y + element._height };
+		case 'beginClip':
+			return { x: element.x, top: element.y, bottom: element.y + element.height };
+		case 'vector':
+			switch (element.type) {
+				case 'rect':
+					return { x: element.x, top: element.y, bottom: element.y + element.h };
+				case 'ellipse':
+					return { x: element.x - element.r1, top: element.y - element.r2, bottom: element.y + element.r2 };
+				case 'line':
+					return { x: Math.min(element.x1, element.x2), top: Math.min(element.y1, element.y2), bottom: Math.max(element.y1, element.y2) };
+				case 'polyline':
+					return {
+						x: Math.min.apply(null, element.points.map(point => point.x)),
+						top: Math.min.apply(null, element.points.map(point => point.y)),
+						bottom: Math.max.apply(null, element.points.map(point => point.y))
+					};
+			}
+	}
+
+	return null;
+}
+
+/**
+ * @param {object} item page item
+ * @param {number} x
+ * @param {number} y
+ */
+function offsetItem(item, x, y) {
+	switch (item.type) {
+		case 'line':
+		case 'image':
+		case 'svg':
+		case 'beginClip':
+			item.item.x += x;
+			item.item.y += y;
+			break;
+		case 'vector':
+			offsetVector(item.item, x, y);
+			break;
+	}
+}
+
+/**
+ * @param {object} position recorded position of the node
+ * @param {number} x
+ * @param {number} y
+ */
+function offsetPosition(position, x, y) {
+	position.left += x;
+	position.top += y;
+	position.horizontalRatio += x / position.pageInnerWidth;
+	position.verticalRatio += y / position.pageInnerHeight;
+}
+
+/**
+ * @param {object} node
+ * @param {string} property keepTogether or keepWithNext
+ * @returns {boolean} true if the node has the property, columns have it if any of their columns has it
+ */
+function isKept(node, property) {
+	return !!node[property] || (isArray(node.columns) && node.columns.some(column => isKept(column, property)));
+}
+
+/**
+ * Saves state of the node changed by its layout (coordinates, inlines consumed
+ * by lines and vectors moved to the page), so the layout can be rolled back
+ *
+ * @param {object} node
+ * @returns {Function} function restoring the state
+ */
+function saveLayoutState(node) {
+	let objects = [node];
+	let arrays = [];
+
+	const addItems = array => {
+		if (!isArray(array)) {
+			return;
+		}
+
+		arrays.push({ array: array, items: array.slice() });
+		array.forEach(item => {
+			objects.push(item);
+			addItems(item.points);
+		});
+	};
+
+	addItems(node._inlines);
+	addItems(node.canvas);
+	addItems(node._canvas);
+	if (node.listMarker) {
+		objects.push(node.listMarker);
+		addItems(node.listMarker._inlines);
+		addItems(node.listMarker.canvas);
+	}
+
+	let copies = objects.map(object => pack(object));
+
+	return () => {
+		objects.forEach((object, i) => {
+			Object.keys(object).forEach(key => {
+				if (!copies[i].hasOwnProperty(key)) {
+					delete object[key];
+				}
+			});
+			Object.assign(object, copies[i]);
+		});
+
+		arrays.forEach(saved => {
+			saved.array.splice(0, saved.array.length, ...saved.items);
+		});
+	};
+}
+
+/**
+ * @param {PageElementWriter} writer
+ * @param {boolean} emptyPage
+ * @returns {DocumentContext} context with the space left on the current page (with its floats
+ * and footnotes) or with the space of an empty page
+ */
+function createTrialContext(writer, emptyPage) {
+	let context = writer.context();
+	let page = context.getCurrentPage();
+	let trialContext = new DocumentContext(page.pageSize, context.pageMargins);
+
+	trialContext.x = context.x;
+	trialContext.availableWidth = context.availableWidth;
+
+	if (emptyPage) {
+		writer.repeatables.forEach(rep => {
+			trialContext.moveDown(rep.height);
+		});
+	} else {
+		trialContext.y = context.y;
+		trialContext.availableHeight = context.availableHeight;
+		trialContext.floats = context.floats.filter(float => float.page === context.page).map(float => pack(float, { page: 0 }));
+		if (page.footnotes) {
+			trialContext.getCurrentPage().footnotes = { items: page.footnotes.items.slice(), height: page.footnotes.height };
+		}
+	}
+
+	return trialContext;
+}
+
 /**
  * Layout engine which turns document-definition-object into a set of pages, lines, inlines
  * and vectors ready to be rendered into a PDF
@@ -76,7 +234,7 @@ class LayoutBuilder {
 			linearNodeList.forEach(node => {
 				let nodeInfo = {};
 				[
-					'id', 'text', 'ul', 'ol', 'table', 'image', 'qr', 'canvas', 'svg', 'columns',
+					'id', 'text', 'ul', 'ol', 'table', 'image', 'qr', 'canvas', 'svg', 'field', 'columns', 'flowColumns',
 					'headlineLevel', 'style', 'pageBreak', 'pageOrientation',
 					'width', 'height'
 				].forEach(key => {
@@ -171,6 +329,10 @@ class LayoutBuilder {
 		docStructure = this.docPreprocessor.preprocessDocument(docStructure);
 		docStructure = this.docMeasure.measureDocument(docStructure);
 
+		if (pdfDocument && pdfDocument.structureTree) {
+			pdfDocument.structureTree.build(docStructure);
+		}
+
 		this.writer = new PageElementWriter(
 			new DocumentContext(this.pageSize, this.pageMargins));
 
@@ -180,6 +342,7 @@ class LayoutBuilder {
 
 		this.addBackground(background);
 		this.processNode(docStructure);
+		this.addFootnotes();
 		this.addHeadersAndFooters(header, footer);
 		if (watermark != null) {
 			this.addWatermark(watermark, pdfDocument, defaultStyle);
@@ -205,6 +368,60 @@ class LayoutBuilder {
 		}
 	}
 
+	addFootnotes() {
+		let context = this.writer.context();
+
+		context.pages.forEach((page, pageIndex) => {
+			if (!page.footnotes) {
+				return;
+			}
+
+			context.page = pageIndex;
+
+			let notesHeight = 0;
+			page.footnotes.items.forEach(footnote => {
+				notesHeight += footnote.height;
+			});
+
+			let x = this.pageMargins.left;
+			let y = page.pageSize.height - this.pageMargins.bottom - notesHeight;
+			let separatorY = y - (page.footnotes.height - notesHeight) / 2;
+			let separatorWidth = (page.pageSize.width - this.pageMargins.left - this.pageMargins.right) / 3;
+
+			this.writer.addVector({ type: 'line', x1: x, y1: separatorY, x2: x + separatorWidth, y2: separatorY, lineWidth: 0.5 }, true, true);
+
+			page.footnotes.items.forEach(footnote => {
+				this.writer.addFragment(Object.assign({}, footnote, { xOffset: x, yOffset: y }), true, true, true);
+				y += footnote.height;
+			});
+		});
+	}
+
+	/**
+	 * Lays out footnote into a block with the width of the page
+	 *
+	 * @param {object} footnote footnote node
+	 * @returns {object} laid out footnote ({ items, height })
+	 */
+	layoutFootnote(footnote) {
+		let writer = this.writer;
+		let linearNodeList = this.linearNodeList;
+		let width = writer.getCurrentPositionOnPage().pageInnerWidth;
+
+		this.writer = new PageElementWriter(
+			new DocumentContext({ width: width, height: Infinity }, { left: 0, right: 0, top: 0, bottom: 0 }));
+		this.linearNodeList = [];
+
+		footnote = this.docPreprocessor.preprocessDocument(footnote);
+		this.processNode(this.docMeasure.measureDocument(footnote));
+
+		let context = this.writer.context();
+		this.writer = writer;
+		this.linearNodeList = linearNodeList;
+
+		return { items: context.pages[0].items, height: context.y };
+	}
+
 	addStaticRepeatable(headerOrFooter, sizeFunction) {
 		this.addDynamicRepeatable(() => // copy to new object
 			JSON.parse(JSON.stringify(headerOrFooter)), sizeFunction);
@@ -212,11 +429,12 @@ class LayoutBuilder {
 
 	addDynamicRepeatable(nodeGetter, sizeFunction) {
 		let pages = this.writer.context().pages;
+		let markers = this.getPageMarkers(pages.length);
 
 		for (let pageIndex = 0, l = pages.length; pageIndex < l; pageIndex++) {
 			this.writer.context().page = pageIndex;
 
-			let node = nodeGetter(pageIndex + 1, l, this.writer.context().pages[pageIndex].pageSize);
+			let node = nodeGetter(pageIndex + 1, l, this.writer.context().pages[pageIndex].pageSize, markers[pageIndex]);
 
 			if (node) {
 				let sizes = sizeFunction(this.writer.context().getCurrentPage().pageSize, this.pageMargins);
@@ -228,6 +446,42 @@ class LayoutBuilder {
 		}
 	}
 
+	/**
+	 * Collects markers (marker property of nodes) active on each page, like running heads.
+	 * First is the value of the first marker on the page (or the last one of previous pages),
+	 * last is the value of the last marker on the page (or the last one of previous pages).
+	 *
+	 * @param {number} pageCount
+	 * @returns {Array} an array of { first, last } objects with marker values by marker name
+	 */
+	getPageMarkers(pageCount) {
+		// lines left out because they do not fit on a page have false positions
+		let nodes = this.linearNodeList.filter(node => isObject(node.marker)).map(node => {
+			return { marker: node.marker, position: node.positions.find(position => position) };
+		}).filter(node => node.position);
+		let active = {};
+		let markers = [];
+
+		for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+			let first = Object.assign({}, active);
+			let firstOnPage = {};
+
+			nodes.filter(node => node.position.pageNumber === pageNumber).forEach(node => {
+				Object.keys(node.marker).forEach(name => {
+					if (!firstOnPage[name]) {
+						firstOnPage[name] = true;
+						first[name] = node.marker[name];
+					}
+					active[name] = node.marker[name];
+				});
+			});
+
+			markers.push({ first: first, last: Object.assign({}, active) });
+		}
+
+		return markers;
+	}
+
 	addHeadersAndFooters(header, footer) {
 		const headerSizeFct = (pageSize, pageMargins) => ({
 			x: 0,
@@ -396,10 +650,25 @@ class LayoutBuilder {
 			}
 		};
 
+		if (this.keepTrial) {
+			this.keepTrial.restores.push(saveLayoutState(node));
+		}
+
 		this.linearNodeList.push(node);
 		decorateNode(node);
 
+		if (node.float && (node.image || node.svg || node.canvas)) {
+			this.processFloat(node);
+			return;
+		}
+
 		applyMargins(() => {
+			if ((node.table || node.image || node.svg || node.canvas || node.qr) && !node.absolutePosition && !node.relativePosition) {
+				// block content is not wrapped around floating nodes, it is placed below them
+				let context = this.writer.context();
+				context.moveDown(context.getFloatsBottom() - context.y);
+			}
+
 			let unbreakable = node.unbreakable;
 			if (unbreakable) {
 				this.writer.beginUnbreakableBlock();
@@ -421,6 +690,8 @@ class LayoutBuilder {
 				this.processVerticalContainer(node);
 			} else if (node.columns) {
 				this.processColumns(node);
+			} else if (node.flowColumns) {
+				this.processFlowColumns(node);
 			} else if (node.ul) {
 				this.processList(false, node);
 			} else if (node.ol) {
@@ -439,6 +710,8 @@ class LayoutBuilder {
 				this.processCanvas(node);
 			} else if (node.qr) {
 				this.processQr(node);
+			} else if (node.field) {
+				this.processLeaf(node);
 			} else if (!node._span) {
 				throw new Error(`Unrecognized document structure: ${stringifyNode(node)}`);
 			}
@@ -453,9 +726,45 @@ class LayoutBuilder {
 		});
 	}
 
+	/**
+	 * Places image, svg or canvas at the left or right side of the current column without
+	 * moving down, following lines are wrapped around it (see buildNextLine)
+	 *
+	 * @param {object} node
+	 */
+	processFloat(node) {
+		let context = this.writer.context();
+		let margin = node._margin || [0, 0, 0, 0];
+		let height = margin[1] + (node.canvas ? node._minHeight : node._height) + margin[3];
+
+		if (height > context.availableHeight) {
+			this.writer.moveToNextPage();
+		}
+
+		let left = node.float === 'right' ? context.x + context.availableWidth - node._minWidth : context.x;
+		let top = context.y;
+
+		context.beginDetachedBlock();
+		context.x = left + margin[0];
+		context.availableWidth = node._minWidth - margin[0] - margin[2];
+		context.moveDown(margin[1]);
+
+		if (node.image) {
+			this.processImage(node);
+		} else if (node.svg) {
+			this.processSVG(node);
+		} else {
+			this.processCanvas(node);
+		}
+
+		context.endDetachedBlock();
+		context.addFloat({ side: node.float, left: left, right: left + node._minWidth, top: top, bottom: top + height });
+	}
+
 	// vertical container
 	processVerticalContainer(node) {
-		node.stack.forEach(item => {
+		node.stack.forEach((item, index) => {
+			this.keepOnPage(index, node.stack.length, (i, property) => isKept(node.stack[i], property), i => this.processNode(node.stack[i]));
 			this.processNode(item);
 			addAll(node.positions, item.positions);
 
@@ -463,6 +772,250 @@ class LayoutBuilder {
 		}, this);
 	}
 
+	/**
+	 * Moves to the next page (or column) before the item of a vertical container (stack, list or table
+	 * rows) if the item is kept together (keepTogether) or with the start of the following item
+	 * (keepWithNext, following items with keepWithNext are kept with it as well) and it does not fit
+	 * on the current page, but fits on an empty page.
+	 *
+	 * @param {number} index index of the item
+	 * @param {number} count number of items
+	 * @param {Function} isItemKept returns true if the item with the index has the property (keepTogether or keepWithNext)
+	 * @param {Function} processItem lays out the item with the index
+	 * @returns {boolean} true if moved to the next page
+	 */
+	keepOnPage(index, count, isItemKept, processItem) {
+		if (this.keepTrial || this.writer.contextStack.length > 0) { // unbreakable block is kept together already
+			return false;
+		}
+
+		let end = index;
+		while (end + 1 < count && isItemKept(end, 'keepWithNext')) {
+			end++;
+		}
+
+		if (end === index && !isItemKept(index, 'keepTogether')) {
+			return false;
+		}
+
+		const processKept = () => {
+			for (let i = index; i === index || i < end; i++) {
+				processItem(i);
+			}
+		};
+		let processNext = end > index ? () => processItem(end) : null;
+
+		if (this.tryLayoutOnPage(processKept, processNext, false) || !this.tryLayoutOnPage(processKept, processNext, true)) {
+			return false;
+		}
+
+		this.writer.moveToNextPage();
+		return true;
+	}
+
+	/**
+	 * Lays out kept content on trial with a separate writer (as footnotes are laid out),
+	 * from the current position or from the top of an empty page. The trial ends when
+	 * the content continues on the next page, state of laid out nodes is restored then.
+	 *
+	 * @param {Function} processKept lays out the kept content
+	 * @param {?Function} processNext lays out the following content, only its start is kept on the page
+	 * @param {boolean} emptyPage
+	 * @returns {boolean} true if the kept content (with the start of the following content) fits on the page
+	 */
+	tryLayoutOnPage(processKept, processNext, emptyPage) {
+		let writer = this.writer;
+		let linearNodeList = this.linearNodeList;
+		let trial = { restores: [], previousItems: null };
+		let fits = true;
+
+		this.writer = new PageElementWriter(createTrialContext(writer, emptyPage));
+		this.linearNodeList = [];
+		this.keepTrial = trial;
+
+		this.writer.context().addListener('pageAdded', () => {
+			throw trial;
+		});
+
+		try {
+			processKept();
+			if (processNext) {
+				trial.previousItems = new Set(this.writer.context().getCurrentPage().items);
+				processNext();
+			}
+		} catch (error) {
+			if (error !== trial) {
+				throw error;
+			}
+
+			// the following content is started on the page if any of its lines or images is there
+			fits = trial.previousItems !== null && this.writer.context().pages[0].items.some(item => !trial.previousItems.has(item) && item.type !== 'vector');
+		} finally {
+			this.writer = writer;
+			this.linearNodeList = linearNodeList;
+			this.keepTrial = null;
+
+			for (let i = trial.restores.length - 1; i >= 0; i--) {
+				trial.restores[i]();
+			}
+		}
+
+		return fits;
+	}
+
+	// flowing columns
+	processFlowColumns(node) {
+		let context = this.writer.context();
+		let content = node.flowColumns.content;
+
+		context.beginFlowColumns(node._count, node._gap);
+
+		this.processNode(content);
+		addAll(node.positions, content.positions);
+
+		let bottom;
+		if (node.flowColumns.balance !== false) {
+			bottom = this.balanceFlowColumns(context, node.positions);
+		}
+
+		context.completeFlowColumns(bottom);
+	}
+
+	/**
+	 * Balances flowing columns on the last page, content is split into bands of overlapping
+	 * items and bands are distributed into columns with the lowest possible height
+	 *
+	 * @param {DocumentContext} context
+	 * @param {Array} positions recorded positions of nodes in columns, moved with their bands
+	 * @returns {number|undefined} bottom of balanced columns
+	 */
+	balanceFlowColumns(context, positions) {
+		let flow = context.getFlowColumns();
+		let items = context.pages[flow.page].items.slice(flow.itemsStart);
+		let offset = flow.width + flow.gap;
+		let bands = [];
+
+		items.forEach(item => {
+			let band = bands[bands.length - 1];
+			let bounds = getItemBounds(item);
+
+			if (!bounds) {
+				if (band) {
+					band.items.push(item);
+				}
+				return;
+			}
+
+			let column = Math.floor((bounds.x - flow.x + flow.gap / 2) / offset);
+			column = Math.min(Math.max(column, 0), flow.count - 1);
+
+			if (!band || band.column !== column || bounds.top >= band.bottom) {
+				band = { column: column, top: bounds.top, bottom: bounds.bottom, items: [] };
+				bands.push(band);
+			}
+
+			band.items.push(item);
+			band.top = Math.min(band.top, bounds.top);
+			band.bottom = Math.max(band.bottom, bounds.bottom);
+
+			// item can overlap previous bands (e.g. vertical lines of table cell)
+			while (bands.length > 1 && bands[bands.length - 2].column === column && bands[bands.length - 2].bottom > band.top) {
+				let previous = bands.splice(bands.length - 2, 1)[0];
+				band.items = previous.items.concat(band.items);
+				band.top = Math.min(band.top, previous.top);
+				band.bottom = Math.max(band.bottom, previous.bottom);
+			}
+		});
+
+		if (bands.length === 0) {
+			return undefined;
+		}
+
+		// space above the band, it is omitted at the top of the column
+		bands.forEach((band, index) => {
+			let previous = bands[index - 1];
+			band.space = previous && previous.column === band.column ? band.top - previous.bottom : band.top - flow.top;
+		});
+
+		const distribute = height => {
+			let column = 0;
+			let y = null;
+			let bottom = 0;
+			let minExcess = Infinity;
+			let placements = bands.map((band, index) => {
+				let bandHeight = band.bottom - band.top;
+				let top = y === null ? (index === 0 ? band.space : 0) : y + band.space;
+
+				if (y !== null && top + bandHeight > height) {
+					minExcess = Math.min(minExcess, top + bandHeight - height);
+					column++;
+					top = 0;
+				}
+
+				y = top + bandHeight;
+				bottom = Math.max(bottom, y);
+
+				return { column: column, top: top };
+			});
+
+			return { columns: column + 1, placements: placements, bottom: bottom, minExcess: minExcess };
+		};
+
+		let totalHeight = 0;
+		let height = 0;
+		bands.forEach(band => {
+			totalHeight += band.space + band.bottom - band.top;
+			height = Math.max(height, band.bottom - band.top);
+		});
+		height = Math.max(height, totalHeight / flow.count);
+
+		let result = distribute(height);
+		while (result.columns > flow.count) {
+			height += result.minExcess;
+			result = distribute(height);
+		}
+
+		// space after the last band (e.g. bottom margin) is kept
+		let lastBand = bands[bands.length - 1];
+		let lastPlacement = result.placements[bands.length - 1];
+		let bottom = Math.max(result.bottom, lastPlacement.top + lastBand.bottom - lastBand.top + Math.max(context.y - lastBand.bottom, 0));
+
+		if (bottom > flow.availableHeight) {
+			return undefined;
+		}
+
+		bands.forEach((band, index) => {
+			let placement = result.placements[index];
+			let x = (placement.column - band.column) * offset;
+			let y = flow.top + placement.top - band.top;
+
+			band.items.forEach(item => {
+				offsetItem(item, x, y);
+			});
+			band.x = x;
+			band.y = y;
+		});
+
+		// position of the node moves with the first band of its column ending below the position,
+		// lines left out because they do not fit on a page have false positions
+		new Set(positions).forEach(position => {
+			if (!position || position.pageNumber !== flow.page + 1 || position.top < flow.top) {
+				return;
+			}
+
+			let column = Math.floor((position.left - flow.x + flow.gap / 2) / offset);
+			column = Math.min(Math.max(column, 0), flow.count - 1);
+
+			let columnBands = bands.filter(band => band.column === column);
+			let band = columnBands.find(band => position.top < band.bottom) || columnBands[columnBands.length - 1];
+			if (band) {
+				offsetPosition(position, band.x, band.y);
+			}
+		});
+
+		return flow.top + bottom;
+	}
+
 	// columns
 	processColumns(columnNode) {
 		let columns = columnNode.columns;
@@ -474,7 +1027,7 @@ class LayoutBuilder {
 		}
 
 		ColumnCalculator.buildColumnWidths(columns, availableWidth);
-		let result = this.processRow(columns, columns, gaps);
+		let result = this.processRow(columns, columns, gaps, null, null, null, columnNode._direction === 'rtl');
 		addAll(columnNode.positions, result.positions);
 
 		function gapArray(gap) {
@@ -493,7 +1046,17 @@ class LayoutBuilder {
 		}
 	}
 
-	processRow(columns, widths, gaps, tableBody, tableRow, height) {
+	/**
+	 * @param {Array} columns
+	 * @param {?Array} widths
+	 * @param {?Array} gaps
+	 * @param {?Array} tableBody
+	 * @param {?number} tableRow
+	 * @param {?number} height
+	 * @param {boolean} isRtl columns are placed from right to left
+	 * @returns {object}
+	 */
+	processRow(columns, widths, gaps, tableBody, tableRow, height, isRtl = false) {
 		const storePageBreakData = data => {
 			let pageDesc;
 
@@ -515,11 +1078,16 @@ class LayoutBuilder {
 
 		let pageBreaks = [];
 		let positions = [];
+		let alignedContents = [];
 
 		this.writer.addListener('pageChanged', storePageBreakData);
 
 		widths = widths || columns;
 
+		let rowWidth = this.writer.context().availableWidth;
+		let columnLeft = 0;
+		let previousColumnEnd = 0;
+
 		this.writer.context().beginColumnGroup();
 
 		for (let i = 0, l = columns.length; i < l; i++) {
@@ -533,18 +1101,47 @@ class LayoutBuilder {
 				}
 			}
 
-			this.writer.context().beginColumn(width, leftOffset, getEndingCell(column, i));
+			if (isRtl) {
+				// column is mirrored from the right edge of the row,
+				// offset is relative to the end of the previous column
+				columnLeft += leftOffset;
+				let mirroredLeft = rowWidth - columnLeft - width;
+				columnLeft += width;
+
+				leftOffset = mirroredLeft - previousColumnEnd;
+				previousColumnEnd = mirroredLeft + width;
+			}
+
+			let endingCell = getEndingCell(column, i);
+			this.writer.context().beginColumn(width, leftOffset, endingCell);
 			if (!column._span) {
+				let alignedContent = this.beginAlignedContent(column);
 				this.processNode(column);
 				addAll(positions, column.positions);
+
+				if (alignedContent) {
+					this.endAlignedContent(alignedContent, column);
+					if (endingCell) { // aligned when the row span ends
+						endingCell._alignedContent = alignedContent;
+					} else {
+						alignedContents.push(alignedContent);
+					}
+				}
 			} else if (column._columnEndingContext) {
 				// row-span ending
 				this.writer.context().markEnding(column);
+				if (column._alignedContent) {
+					alignedContents.push(column._alignedContent);
+				}
 			}
 		}
 
 		this.writer.context().completeColumnGroup(height);
 
+		alignedContents.forEach(content => {
+			this.alignContent(content, this.writer.context().page, this.writer.context().y);
+		});
+
 		this.writer.removeListener('pageChanged', storePageBreakData);
 
 		return { pageBreaks: pageBreaks, positions: positions };
@@ -569,6 +1166,71 @@ class LayoutBuilder {
 		}
 	}
 
+	/**
+	 * @param {object} cell table cell
+	 * @returns {?object} content of the cell aligned to the middle or bottom of the row
+	 */
+	beginAlignedContent(cell) {
+		if (cell._verticalAlignment !== 'middle' && cell._verticalAlignment !== 'bottom') {
+			return null;
+		}
+
+		let context = this.writer.context();
+		return {
+			verticalAlignment: cell._verticalAlignment,
+			context: context,
+			page: context.page,
+			previousItems: new Set(context.getCurrentPage().items)
+		};
+	}
+
+	/**
+	 * Collects items of the cell, items can be inserted before items of previous
+	 * cells (e.g. backgrounds of nested tables), so they are found by the difference.
+	 *
+	 * @param {object} content
+	 * @param {object} cell
+	 */
+	endAlignedContent(content, cell) {
+		let context = this.writer.context();
+
+		content.endPage = context.page;
+		content.bottom = context.y;
+		content.items = context.pages[content.page].items.filter(item => !content.previousItems.has(item));
+		content.positions = cell.positions;
+		delete content.previousItems;
+	}
+
+	/**
+	 * Moves content of the cell down to the middle or bottom of the row. Only content
+	 * on the last page of the row is moved, content broken across pages (or ending on
+	 * the previous page of the row) stays at the top, as well as content of row span
+	 * cells of unbreakable rows (their items were already copied to the page).
+	 *
+	 * @param {object} content
+	 * @param {number} rowPage page of the bottom of the row
+	 * @param {number} rowBottom
+	 */
+	alignContent(content, rowPage, rowBottom) {
+		let isOnLastPage = content.context === this.writer.context() && content.page === content.endPage && content.page === rowPage;
+		if (!isOnLastPage || rowBottom <= content.bottom) {
+			return;
+		}
+
+		let offset = rowBottom - content.bottom;
+		if (content.verticalAlignment === 'middle') {
+			offset /= 2;
+		}
+
+		content.items.forEach(item => {
+			offsetItem(item, 0, offset);
+		});
+
+		content.positions.filter(position => position && position.pageNumber === rowPage + 1).forEach(position => {
+			offsetPosition(position, 0, offset);
+		});
+	}
+
 	// lists
 	processList(orderedList, node) {
 		const addMarkerToFirstLeaf = line => {
@@ -581,12 +1243,19 @@ class LayoutBuilder {
 				if (marker.canvas) {
 					let vector = marker.canvas[0];
 
-					offsetVector(vector, -marker._minWidth, 0);
+					if (isRtl) { // mirrored into the gap on the right side
+						offsetVector(vector, this.writer.context().availableWidth + marker._minWidth - 2 * vector.x - (vector.w || 0), 0);
+					} else {
+						offsetVector(vector, -marker._minWidth, 0);
+					}
 					this.writer.addVector(vector);
 				} else if (marker._inlines) {
 					let markerLine = new Line(this.pageSize.width);
-					markerLine.addInline(marker._inlines[0]);
-					markerLine.x = -marker._minWidth;
+					marker._inlines.forEach(inline => {
+						markerLine.addInline(inline);
+					});
+					markerLine.reorderInlines();
+					markerLine.x = isRtl ? this.writer.context().availableWidth + marker._minWidth - markerLine.getWidth() : -marker._minWidth;
 					markerLine.y = line.getAscenderHeight() - markerLine.getAscenderHeight();
 					this.writer.addLine(markerLine, true);
 				}
@@ -595,14 +1264,20 @@ class LayoutBuilder {
 
 		let items = orderedList ? node.ol : node.ul;
 		let gapSize = node._gapSize;
+		let isRtl = node._direction === 'rtl';
 
-		this.writer.context().addMargin(gapSize.width);
+		if (isRtl) {
+			this.writer.context().addMargin(0, gapSize.width);
+		} else {
+			this.writer.context().addMargin(gapSize.width);
+		}
 
 		let nextMarker;
 
 		this.writer.addListener('lineAdded', addMarkerToFirstLeaf);
 
-		items.forEach(item => {
+		items.forEach((item, index) => {
+			this.keepOnPage(index, items.length, (i, property) => isKept(items[i], property), i => this.processNode(items[i]));
 			nextMarker = item.listMarker;
 			this.processNode(item);
 			addAll(node.positions, item.positions);
@@ -610,7 +1285,11 @@ class LayoutBuilder {
 
 		this.writer.removeListener('lineAdded', addMarkerToFirstLeaf);
 
-		this.writer.context().addMargin(-gapSize.width);
+		if (isRtl) {
+			this.writer.context().addMargin(0, -gapSize.width);
+		} else {
+			this.writer.context().addMargin(-gapSize.width);
+		}
 	}
 
 	// tables
@@ -619,46 +1298,158 @@ class LayoutBuilder {
 
 		processor.beginTable(this.writer);
 
-		let rowHeights = tableNode.table.heights;
 		for (let i = 0, l = tableNode.table.body.length; i < l; i++) {
-			processor.beginRow(i, this.writer);
+			this.keepRowOnPage(processor, tableNode, i);
+			addAll(tableNode.positions, this.processTableRow(processor, tableNode, i));
+		}
 
-			let height;
-			if (isFunction(rowHeights)) {
-				height = rowHeights(i);
-			} else if (isArray(rowHeights)) {
-				height = rowHeights[i];
-			} else {
-				height = rowHeights;
-			}
+		processor.endTable(this.writer);
+	}
 
-			if (height === 'auto') {
-				height = undefined;
-			}
+	/**
+	 * @param {TableProcessor} processor
+	 * @param {object} tableNode
+	 * @param {number} rowIndex
+	 * @returns {Array} positions of nodes of the row
+	 */
+	processTableRow(processor, tableNode, rowIndex) {
+		let rowHeights = tableNode.table.heights;
 
-			let result = this.processRow(tableNode.table.body[i], tableNode.table.widths, tableNode._offsets.offsets, tableNode.table.body, i, height);
-			addAll(tableNode.positions, result.positions);
+		processor.beginRow(rowIndex, this.writer);
 
-			processor.endRow(i, this.writer, result.pageBreaks);
+		let height;
+		if (isFunction(rowHeights)) {
+			height = rowHeights(rowIndex);
+		} else if (isArray(rowHeights)) {
+			height = rowHeights[rowIndex];
+		} else {
+			height = rowHeights;
 		}
 
-		processor.endTable(this.writer);
+		if (height === 'auto') {
+			height = undefined;
+		}
+
+		let result = this.processRow(tableNode.table.body[rowIndex], tableNode.table.widths, tableNode._offsets.offsets, tableNode.table.body, rowIndex, height, tableNode._direction === 'rtl');
+
+		processor.endRow(rowIndex, this.writer, result.pageBreaks);
+
+		return result.positions;
+	}
+
+	/**
+	 * Moves the table row to the next page if it is kept (by keepTogether or keepWithNext
+	 * of its cells) and does not fit on the current page (see keepOnPage). Rows kept with
+	 * header rows are unbreakable already, rows spanned by cells of rows above are not moved.
+	 *
+	 * @param {TableProcessor} processor
+	 * @param {object} tableNode
+	 * @param {number} rowIndex
+	 */
+	keepRowOnPage(processor, tableNode, rowIndex) {
+		if (rowIndex < processor.rowsWithoutPageBreak || processor.rowSpanData.some(data => data.rowSpan > 0)) {
+			return;
+		}
+
+		let body = tableNode.table.body;
+		let trialProcessor;
+		let isMoved = this.keepOnPage(rowIndex, body.length, (i, property) => body[i].some(cell => isKept(cell, property)), i => {
+			if (i === rowIndex) {
+				trialProcessor = processor.clone();
+			}
+			this.processTableRow(trialProcessor, tableNode, i);
+		});
+
+		if (isMoved && !processor.headerRows && processor.layout.hLineWhenBroken !== false) {
+			processor.drawHorizontalLine(rowIndex, this.writer);
+		}
 	}
 
 	// leafs (texts)
 	processLeaf(node) {
-		let line = this.buildNextLine(node);
-		if (line && (node.tocItem || node.id)) {
-			line._node = node;
+		if (node._lineBreaking === 'optimal') {
+			this.markOptimalBreaks(node);
 		}
-		let currentHeight = (line) ? line.getHeight() : 0;
+
 		let maxHeight = node.maxHeight || -1;
+		let height = 0;
+		let placedCount = 0;
+		let forcedPageBreak = false;
+		let lineMoved = false;
+
+		// lines are built from the current position on the page, lines which are not placed
+		// on the page are built again after the page break, so they are wrapped around floats
+		// of the page (or column) where they are placed
+		let lines = this.buildLines(node, maxHeight, height);
+		while (lines.length > 0) {
+			let rest = lines.length;
+			let count = this.getFittingLinesCount(lines, 0);
+			let keep = count;
+
+			if (lineMoved && count === 0) {
+				if (lines[0]._footnotes && this.writer.contextStack.length === 0) {
+					this.writer.checkFootnotesFit(lines[0]._footnotes, lines[0].getHeight());
+				}
+
+				// line higher than the page is left out (as the writer does)
+				node.positions.push(false);
+				height += lines[0].getHeight();
+				this.restoreLines(node, lines.slice(1));
+				lineMoved = false;
+				lines = this.buildLines(node, maxHeight, height);
+				continue;
+			}
+
+			// orphans (first lines at the bottom of the page) and widows (last lines
+			// at the top of the next page) are moved to the next page
+			if (count > 0 && count < rest) {
+				if (rest - keep < node._widows) {
+					keep = rest - node._widows;
+				}
+				if (placedCount === 0 && keep < node._orphans) {
+					keep = 0;
+				}
+				if (keep <= 0 && (placedCount > 0 || forcedPageBreak || lineMoved)) {
+					keep = count;
+				}
+			}
+
+			for (let i = 0; i < keep; i++) {
+				let line = lines[i];
+				if (placedCount === 0) {
+					this.decorateFirstLine(node, line);
+				}
+				delete line._consumed;
+				node.positions.push(this.writer.addLine(line));
+				height += line.getHeight();
+				placedCount++;
+			}
 
-		if (line) {
-			let nodeId = getNodeId(node);
-			if (nodeId) {
-				line.id = nodeId;
+			if (keep === lines.length) {
+				break;
 			}
+
+			this.restoreLines(node, lines.slice(keep));
+			forcedPageBreak = keep < count;
+			lineMoved = !forcedPageBreak; // the line does not fit on the page
+			this.writer.moveToNextPage();
+
+			lines = this.buildLines(node, maxHeight, height);
+		}
+	}
+
+	/**
+	 * @param {object} node
+	 * @param {Line} line first line of the text
+	 */
+	decorateFirstLine(node, line) {
+		if (node.tocItem || node.id) {
+			line._node = node;
+		}
+
+		let nodeId = getNodeId(node);
+		if (nodeId) {
+			line.id = nodeId;
 		}
 
 		if (node._tocItemRef) {
@@ -669,7 +1460,7 @@ class LayoutBuilder {
 			line._pageNodeRef = node._pageRef._nodeRef;
 		}
 
-		if (line && line.inlines && isArray(line.inlines)) {
+		if (line.inlines && isArray(line.inlines)) {
 			for (let i = 0, l = line.inlines.length; i < l; i++) {
 				if (line.inlines[i]._tocItemRef) {
 					line.inlines[i]._pageNodeRef = line.inlines[i]._tocItemRef;
@@ -680,17 +1471,106 @@ class LayoutBuilder {
 				}
 			}
 		}
+	}
+
+	/**
+	 * Builds lines of the text placed from the current position, lines are built
+	 * up to the end of the page and the number of widows below it (which is enough
+	 * to decide which lines are placed on the page)
+	 *
+	 * @param {object} node
+	 * @param {number} maxHeight maximum height of the text, -1 for unlimited height
+	 * @param {number} height height of lines already placed
+	 * @returns {Array}
+	 */
+	buildLines(node, maxHeight, height) {
+		let context = this.writer.context();
+		let lines = [];
+		let y = context.y;
+		let linesHeight = 0;
+		let linesBelow = 0;
+
+		while (linesBelow <= (node._widows || 0)) {
+			let line = this.buildNextLine(node, y);
+			if (!line) {
+				break;
+			}
 
-		while (line && (maxHeight === -1 || currentHeight < maxHeight)) {
-			let positions = this.writer.addLine(line);
-			node.positions.push(positions);
-			line = this.buildNextLine(node);
-			if (line) {
-				currentHeight += line.getHeight();
+			if (maxHeight !== -1 && height + line.getHeight() >= maxHeight) {
+				this.restoreLines(node, [line]);
+				break;
+			}
+
+			lines.push(line);
+			height += line.getHeight();
+			linesHeight += line.getHeight();
+			y += line.getHeight();
+			if (linesHeight > context.availableHeight) {
+				linesBelow++;
+			}
+		}
+
+		return lines;
+	}
+
+	/**
+	 * Returns inlines of lines which are not placed back to the text node,
+	 * so the lines can be built again at another position
+	 *
+	 * @param {object} node
+	 * @param {Array} lines built lines in the order they were built
+	 */
+	restoreLines(node, lines) {
+		for (let i = lines.length - 1; i >= 0; i--) {
+			let consumed = lines[i]._consumed;
+			for (let j = consumed.length - 1; j >= 0; j--) {
+				let entry = consumed[j];
+				if (entry.isBroken) { // rest of the broken word
+					node._inlines.shift();
+				}
+
+				entry.inline.text = entry.text;
+				entry.inline.width = entry.width;
+				entry.inline.hyphen = entry.hyphen;
+				entry.inline.hyphenWidth = entry.hyphenWidth;
+				node._inlines.unshift(entry.inline);
 			}
 		}
 	}
 
+	/**
+	 * @param {Array} lines
+	 * @param {number} index index of the first line
+	 * @returns {number} number of lines which fit on the current page
+	 */
+	getFittingLinesCount(lines, index) {
+		let context = this.writer.context();
+		let availableHeight = context.availableHeight;
+		let footnotes = [];
+		let footnotesHeight = 0;
+		let count = 0;
+
+		for (let i = index, l = lines.length; i < l; i++) {
+			let line = lines[i];
+
+			if (line._footnotes && this.writer.contextStack.length === 0) {
+				footnotes = footnotes.concat(line._footnotes);
+				let height = context.getFootnotesHeight(footnotes) - context.getFootnotesHeight([]);
+				availableHeight -= height - footnotesHeight;
+				footnotesHeight = height;
+			}
+
+			if (availableHeight < line.getHeight()) {
+				break;
+			}
+
+			availableHeight -= line.getHeight();
+			count++;
+		}
+
+		return count;
+	}
+
 	processToc(node) {
 		if (node.toc.title) {
 			this.processNode(node.toc.title);
@@ -700,7 +1580,77 @@ class LayoutBuilder {
 		}
 	}
 
-	buildNextLine(textNode) {
+	/**
+	 * Marks inlines ending lines chosen for the whole paragraph by the total-fit algorithm,
+	 * lines are broken greedily if inlines do not fit into the available width or if floats
+	 * are beside the paragraph
+	 *
+	 * @param {object} node
+	 */
+	markOptimalBreaks(node) {
+		if (!node._inlines) {
+			return;
+		}
+
+		// break points of the previous layout of the node (e.g. on trial) are not kept
+		node._inlines.forEach(inline => {
+			delete inline._lineBreak;
+		});
+
+		// lines wrapped around floats have different widths, they are broken greedily
+		let context = this.writer.context();
+		if (context.getFloatSpace(context.y, Infinity).width !== context.availableWidth) {
+			return;
+		}
+
+		let breaks = new OptimalLineBreaker().getBreaks(node._inlines, context.availableWidth);
+		if (breaks) {
+			breaks.forEach(index => {
+				node._inlines[index]._lineBreak = true;
+			});
+		}
+	}
+
+	/**
+	 * @param {object} textNode
+	 * @param {number} y vertical position of the line, used to wrap the line around floating nodes
+	 * @returns {?Line}
+	 */
+	buildNextLine(textNode, y) {
+		if (!textNode._inlines || textNode._inlines.length === 0) {
+			return null;
+		}
+
+		let context = this.writer.context();
+		if (!isNumber(y)) {
+			return this.buildLine(textNode, { left: 0, width: context.availableWidth });
+		}
+
+		// line is built again if it is higher than expected and its lower part overlaps another float
+		let height = textNode._inlines[0].height || 0;
+		for (;;) {
+			let space = context.getFloatSpace(y, height);
+			let line = this.buildLine(textNode, space);
+			if (line.getHeight() <= height) {
+				return line;
+			}
+
+			height = line.getHeight();
+			let lineSpace = context.getFloatSpace(y, height);
+			if (lineSpace.left === space.left && lineSpace.width === space.width) {
+				return line;
+			}
+
+			this.restoreLines(textNode, [line]);
+		}
+	}
+
+	/**
+	 * @param {object} textNode
+	 * @param {object} space horizontal space of the line ({ left, width }), see DocumentContext.getFloatSpace
+	 * @returns {Line}
+	 */
+	buildLine(textNode, space) {
 
 		function cloneInline(inline) {
 			let newInline = inline.constructor();
@@ -710,11 +1660,14 @@ class LayoutBuilder {
 			return newInline;
 		}
 
-		if (!textNode._inlines || textNode._inlines.length === 0) {
-			return null;
+		let context = this.writer.context();
+		let line = new Line(space.width);
+		if (space.width !== context.availableWidth) {
+			line.x = space.left;
+			line.wrapWidth = space.width;
 		}
-
-		let line = new Line(this.writer.context().availableWidth);
+		// inlines taken from the text node with their original values, see restoreLines
+		line._consumed = [];
 		const textInlines = new TextInlines(null);
 
 		let isForceContinue = false;
@@ -722,24 +1675,31 @@ class LayoutBuilder {
 			(line.hasEnoughSpaceForInline(textNode._inlines[0], textNode._inlines.slice(1)) || isForceContinue)) {
 			let isHardWrap = false;
 			let inline = textNode._inlines.shift();
+			let consumed = { inline: inline, text: inline.text, width: inline.width, hyphen: inline.hyphen, hyphenWidth: inline.hyphenWidth };
+			line._consumed.push(consumed);
 			isForceContinue = false;
 
-			if (!inline.noWrap && inline.text.length > 1 && inline.width > line.getAvailableWidth()) {
-				let widthPerChar = inline.width / inline.text.length;
+			let graphemes = !inline.noWrap && inline.width > line.getAvailableWidth() ? splitGraphemes(inline.text) : [];
+			if (graphemes.length > 1) {
+				// word is broken between grapheme clusters (e.g. not inside Indic conjuncts)
+				let widthPerChar = inline.width / graphemes.length;
 				let maxChars = Math.floor(line.getAvailableWidth() / widthPerChar);
 				if (maxChars < 1) {
 					maxChars = 1;
 				}
-				if (maxChars < inline.text.length) {
+				if (maxChars < graphemes.length) {
 					let newInline = cloneInline(inline);
 
-					newInline.text = inline.text.substr(maxChars);
-					inline.text = inline.text.substr(0, maxChars);
+					newInline.text = graphemes.slice(maxChars).join('');
+					inline.text = graphemes.slice(0, maxChars).join('');
+					inline.hyphen = false;
+					inline.hyphenWidth = 0;
 
 					newInline.width = textInlines.widthOfText(newInline.text, newInline);
 					inline.width = textInlines.widthOfText(inline.text, inline);
 
 					textNode._inlines.unshift(newInline);
+					consumed.isBroken = true;
 					isHardWrap = true;
 				}
 			}
@@ -747,9 +1707,35 @@ class LayoutBuilder {
 			line.addInline(inline);
 
 			isForceContinue = inline.noNewLine && !isHardWrap;
+
+			if (inline._lineBreak) { // break point chosen by optimal line breaking
+				break;
+			}
+		}
+
+		let lastInline = line.inlines[line.inlines.length - 1];
+		if (lastInline.hyphen) { // word is broken at the hyphenation point
+			let width = textInlines.widthOfText(lastInline.text + HYPHEN, lastInline);
+			lastInline.text += HYPHEN;
+			line.inlineWidths += width - lastInline.width;
+			lastInline.width = width;
 		}
 
 		line.lastLineInParagraph = textNode._inlines.length === 0;
+		line.reorderInlines();
+
+		// footnote is laid out once, even if the line is built again
+		let footnotes = line.inlines.filter(inline => inline._footnote).map(inline => {
+			inline._footnoteLayout = inline._footnoteLayout || this.layoutFootnote(inline._footnote);
+			return inline._footnoteLayout;
+		});
+		if (footnotes.length > 0) {
+			line._footnotes = footnotes;
+		}
+
+		if (textNode._structElement) {
+			line._structElement = textNode._structElement;
+		}
 
 		return line;
 	}
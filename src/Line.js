@@ -1,3 +1,48 @@
+import { getVisualOrder, isRtlInline } from './bidi';
+
+/**
+ * Position of the top edge of inline image (or svg) above the baseline. Image is placed
+ * on the baseline or aligned by verticalAlign to the ascender (top), descender (bottom)
+ * or to the middle of them.
+ *
+ * @param {object} inline
+ * @returns {number}
+ */
+export const getInlineImageTop = inline => {
+	let ascender = inline.font.ascender / 1000 * inline.fontSize;
+	let descender = inline.font.descender / 1000 * inline.fontSize;
+
+	switch (inline.verticalAlign) {
+		case 'top':
+			return ascender;
+		case 'middle':
+			return (ascender + descender + inline._height) / 2;
+		case 'bottom':
+			return descender + inline._height;
+		default:
+			return inline._height;
+	}
+};
+
+/**
+ * Height of the inline above the baseline. Form field is placed on the baseline,
+ * its bottom edge is at the descender of its font.
+ *
+ * @param {object} inline
+ * @returns {number}
+ */
+export const getInlineAscenderHeight = inline => {
+	let ascender = inline.font.ascender / 1000 * inline.fontSize;
+
+	if (inline.field) {
+		return inline.height + inline.font.descender / 1000 * inline.fontSize;
+	} else if (inline.image || inline.svg) {
+		return Math.max(ascender, getInlineImageTop(inline));
+	}
+
+	return ascender;
+};
+
 class Line {
 	/**
 	 * @param {number} maxWidth Maximum width this line can have
@@ -49,7 +94,7 @@ class Line {
 		let y = 0;
 
 		this.inlines.forEach(inline => {
-			y = Math.max(y, inline.font.ascender / 1000 * inline.fontSize);
+			y = Math.max(y, getInlineAscenderHeight(inline));
 		});
 
 		return y;
@@ -84,20 +129,50 @@ class Line {
 
 		let inlineWidth = inline.width;
 		let inlineTrailingCut = inline.trailingCut || 0;
+		let lastInline = inline;
 		if (inline.noNewLine) {
 			for (let i = 0, l = nextInlines.length; i < l; i++) {
 				let nextInline = nextInlines[i];
 				inlineWidth += nextInline.width;
 				inlineTrailingCut += nextInline.trailingCut || 0;
+				lastInline = nextInline;
 				if (!nextInline.noNewLine) {
 					break;
 				}
 			}
 		}
 
+		// space for hyphen if the line is broken at the hyphenation point
+		inlineWidth += lastInline.hyphenWidth || 0;
+
 		return (this.inlineWidths + inlineWidth - this.leadingCut - inlineTrailingCut) <= this.maxWidth;
 	}
 
+	/**
+	 * Reorders inlines with bidi levels from logical to visual order and positions them
+	 * from left to right. Trailing space of right-to-left inline is on its left side,
+	 * so the cut of the last logical inline is taken from the left.
+	 */
+	reorderInlines() {
+		if (!this.inlines.some(inline => inline.bidiLevel)) {
+			return;
+		}
+
+		let first = this.inlines[0];
+		let last = this.inlines[this.inlines.length - 1];
+		let order = getVisualOrder(this.inlines.map(inline => inline.bidiLevel || 0));
+		this.inlines = order.map(index => this.inlines[index]);
+
+		let x = 0;
+		this.inlines.forEach(inline => {
+			let leadingCut = inline === first ? this.leadingCut : 0;
+			let trailingCut = inline === last ? this.trailingCut : 0;
+
+			inline.x = x - (isRtlInline(inline) ? trailingCut : leadingCut);
+			x += inline.width - leadingCut - trailingCut;
+		});
+	}
+
 	clone() {
 		let result = new Line(this.maxWidth);
 
@@ -0,0 +1,103 @@
+const INFINITE_BADNESS = 10000;
+const LINE_PENALTY = 10;
+const HYPHEN_PENALTY = 50;
+const CONSECUTIVE_HYPHENS_DEMERITS = 3000;
+
+/**
+ * Badness of the line stretched by justification (Knuth-Plass), spaces can only
+ * be stretched, stretchability of a space is half of its width
+ *
+ * @param {number} slack unused width of the line
+ * @param {number} stretch
+ * @returns {number}
+ */
+const getBadness = (slack, stretch) => {
+	if (slack <= 0) {
+		return 0;
+	} else if (stretch <= 0) {
+		return INFINITE_BADNESS;
+	}
+
+	return Math.min(INFINITE_BADNESS, 100 * Math.pow(slack / stretch, 3));
+};
+
+/**
+ * Line breaking of the whole paragraph at once by the total-fit algorithm of Knuth and Plass.
+ * Break points are chosen to minimize sum of demerits of all lines (derived from the badness
+ * of stretched spaces of justified lines and penalties of hyphenation) instead of filling
+ * lines one by one.
+ */
+class OptimalLineBreaker {
+	/**
+	 * @param {Array} inlines measured inlines of the paragraph
+	 * @param {number} maxWidth width of the lines
+	 * @returns {?Array} indexes of inlines ending lines (except the last line), null if inlines do not fit into the lines
+	 */
+	getBreaks(inlines, maxWidth) {
+		let count = inlines.length;
+		let demerits = [0];
+		let previous = [null];
+
+		for (let start = 0; start < count; start++) {
+			if (demerits[start] === undefined) {
+				continue;
+			}
+
+			let width = -(inlines[start].leadingCut || 0);
+			let stretch = 0;
+
+			for (let end = start; end < count; end++) {
+				let inline = inlines[end];
+				let isLast = end === count - 1;
+				width += inline.width;
+
+				let lineWidth = width - (inline.trailingCut || 0) + (inline.hyphen && !isLast ? inline.hyphenWidth || 0 : 0);
+				if (lineWidth > maxWidth) {
+					if (end === start) {
+						return null;
+					}
+					break;
+				}
+
+				if (isLast || inline.lineEnd || !inline.noNewLine) {
+					// last line and lines ended by new line are not justified
+					let isJustified = !isLast && !inline.lineEnd;
+					let badness = isJustified ? getBadness(maxWidth - lineWidth, stretch) : 0;
+					let penalty = inline.hyphen && !isLast ? HYPHEN_PENALTY : 0;
+					let lineDemerits = Math.pow(LINE_PENALTY + badness, 2) + Math.pow(penalty, 2);
+
+					if (penalty && start > 0 && inlines[start - 1].hyphen) {
+						lineDemerits += CONSECUTIVE_HYPHENS_DEMERITS;
+					}
+
+					let total = demerits[start] + lineDemerits;
+					if (demerits[end + 1] === undefined || total < demerits[end + 1]) {
+						demerits[end + 1] = total;
+						previous[end + 1] = start;
+					}
+				}
+
+				if (inline.lineEnd) {
+					break;
+				}
+
+				stretch += (inline.trailingCut || 0) / 2;
+			}
+		}
+
+		if (demerits[count] === undefined) { // inlines without break are wider than the line
+			return null;
+		}
+
+		let breaks = [];
+		for (let end = count; end > 0; end = previous[end]) {
+			if (end < count) {
+				breaks.unshift(end - 1);
+			}
+		}
+
+		return breaks;
+	}
+}
+
+export default OptimalLineBreaker;
@@ -4,7 +4,6 @@ class OutputDocument {
 	 * @param {Promise<object>} pdfDocumentPromise
 	 */
 	constructor(pdfDocumentPromise) {
-		this.bufferSize = 9007199254740991;
 		this.pdfDocumentPromise = pdfDocumentPromise;
 		this.bufferPromise = null;
 	}
@@ -16,6 +15,51 @@ class OutputDocument {
 		return this.pdfDocumentPromise;
 	}
 
+	/**
+	 * Returns document as a readable stream. Pages are rendered into the stream
+	 * as it is consumed, respecting backpressure, and the stream is ended
+	 * after the last page. Rendering starts in the next task, so listeners
+	 * (e.g. for errors) can be attached to the resolved stream before.
+	 *
+	 * @returns {Promise<object>}
+	 */
+	getReadableStream() {
+		return new Promise((resolve, reject) => {
+			this.getStream().then(stream => {
+				resolve(stream);
+				setTimeout(() => {
+					this._render(stream);
+				}, 0);
+			}, result => {
+				reject(result);
+			});
+		});
+	}
+
+	/**
+	 * @param {object} writable writable stream
+	 * @returns {Promise} resolved when all data has been flushed to writable
+	 */
+	pipe(writable) {
+		return new Promise((resolve, reject) => {
+			this.getStream().then(stream => {
+				stream.on('error', error => {
+					reject(error);
+				});
+				writable.on('error', error => {
+					reject(error);
+				});
+				writable.on('finish', () => {
+					resolve();
+				});
+				stream.pipe(writable);
+				this._render(stream);
+			}, result => {
+				reject(result);
+			});
+		});
+	}
+
 	/**
 	 * @returns {Promise<Buffer>}
 	 */
@@ -23,21 +67,17 @@ class OutputDocument {
 		if (this.bufferPromise === null) {
 			this.bufferPromise = new Promise((resolve, reject) => {
 				this.getStream().then(stream => {
-
 					let chunks = [];
-					let result;
-					stream.on('readable', () => {
-						let chunk;
-						while ((chunk = stream.read(this.bufferSize)) !== null) {
-							chunks.push(chunk);
-						}
+					stream.on('data', chunk => {
+						chunks.push(chunk);
+					});
+					stream.on('error', error => {
+						reject(error);
 					});
 					stream.on('end', () => {
-						result = Buffer.concat(chunks);
-						resolve(result);
+						resolve(Buffer.concat(chunks));
 					});
-					stream.end();
-
+					this._render(stream);
 				}, result => {
 					reject(result);
 				});
@@ -73,6 +113,20 @@ class OutputDocument {
 		});
 	}
 
+	/**
+	 * Renders pages into the stream and ends it, rendering error is emitted
+	 * as error event of the stream (listeners must be attached before)
+	 *
+	 * @param {object} stream
+	 */
+	_render(stream) {
+		stream.renderProgressively().then(() => {
+			stream.end();
+		}, error => {
+			stream.emit('error', error);
+		});
+	}
+
 }
 
 export default OutputDocument;
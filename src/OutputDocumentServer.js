@@ -8,17 +8,7 @@ class OutputDocumentServer extends OutputDocument {
 	 * @returns {Promise}
 	 */
 	write(filename) {
-		return new Promise((resolve, reject) => {
-			this.getStream().then(stream => {
-				stream.pipe(fs.createWriteStream(filename));
-				stream.on('end', () => {
-					resolve();
-				});
-				stream.end();
-			}, result => {
-				reject(result);
-			});
-		});
+		return this.pipe(fs.createWriteStream(filename));
 	}
 
 }
@@ -1,16 +1,128 @@
 import PDFKit from 'pdfkit';
-import { isArray } from './helpers/variableType';
-
-const typeName = (bold, italics) => {
-	let type = 'normal';
-	if (bold && italics) {
-		type = 'bolditalics';
-	} else if (bold) {
-		type = 'bold';
-	} else if (italics) {
-		type = 'italics';
-	}
-	return type;
+import { isArray, isNumber, isObject } from './helpers/variableType';
+import * as pdfA from './pdfA';
+import Hyphenator from './Hyphenator';
+import TextShaper from './TextShaper';
+import ColorFont from './ColorFont';
+
+const NORMAL_WEIGHT = 400;
+const BOLD_WEIGHT = 700;
+
+/**
+ * @param {number} weight
+ * @param {boolean} italics
+ * @returns {string} name of the style (normal, bold, italics and bolditalics for weights 400 and 700, e.g. 300italics for other weights)
+ */
+const typeName = (weight, italics) => {
+	if (weight === NORMAL_WEIGHT) {
+		return italics ? 'italics' : 'normal';
+	}
+
+	let type = weight === BOLD_WEIGHT ? 'bold' : `${weight}`;
+	return italics ? `${type}italics` : type;
+};
+
+/**
+ * Fonts of the font descriptor by weight, descriptor has styles normal, bold (weight 700),
+ * italics and bolditalics and/or styles keyed by weight (e.g. { 300: { normal, italics }, 600: 'SemiBold.ttf' }).
+ *
+ * @param {object} fontDef font descriptor
+ * @returns {object} fonts by weight and style (normal or italics)
+ */
+export const getFontWeights = fontDef => {
+	let weights = {};
+	let addFont = (weight, style, def) => {
+		if (def) {
+			weights[weight] = weights[weight] || {};
+			weights[weight][style] = def;
+		}
+	};
+
+	addFont(NORMAL_WEIGHT, 'normal', fontDef.normal);
+	addFont(NORMAL_WEIGHT, 'italics', fontDef.italics);
+	addFont(BOLD_WEIGHT, 'normal', fontDef.bold);
+	addFont(BOLD_WEIGHT, 'italics', fontDef.bolditalics);
+
+	Object.keys(fontDef).filter(key => /^\d+$/.test(key)).forEach(key => {
+		let styles = fontDef[key];
+		if (isObject(styles) && (styles.normal || styles.italics || styles.italic)) {
+			addFont(Number(key), 'normal', styles.normal);
+			addFont(Number(key), 'italics', styles.italics || styles.italic);
+		} else {
+			addFont(Number(key), 'normal', styles);
+		}
+	});
+
+	return weights;
+};
+
+/**
+ * Nearest available weight by the font matching of CSS: for weights from 400 to 500 lighter
+ * weights up to 500 are tried first, for lighter weights lighter ones, for bolder weights bolder ones.
+ *
+ * @param {Array} weights available weights
+ * @param {number} weight required weight
+ * @returns {?number}
+ */
+const findNearestWeight = (weights, weight) => {
+	if (weights.indexOf(weight) > -1) {
+		return weight;
+	}
+
+	let lighter = weights.filter(value => value < weight).sort((a, b) => b - a);
+	let bolder = weights.filter(value => value > weight).sort((a, b) => a - b);
+	let candidates;
+
+	if (weight >= 400 && weight <= 500) {
+		candidates = bolder.filter(value => value <= 500).concat(lighter, bolder.filter(value => value > 500));
+	} else if (weight < 400) {
+		candidates = lighter.concat(bolder);
+	} else {
+		candidates = bolder.concat(lighter);
+	}
+
+	return candidates.length ? candidates[0] : null;
+};
+
+/**
+ * Shapes text of the font and draws its color glyphs
+ *
+ * @param {object} font pdfkit font
+ * @returns {object} pdfkit font
+ */
+const prepareFont = font => {
+	if (TextShaper.isShapeable(font)) {
+		new TextShaper(font).attach();
+	}
+	if (ColorFont.hasColorGlyphs(font)) {
+		new ColorFont(font).attach();
+	}
+	return font;
+};
+
+/**
+ * @param {object} font pdfkit font
+ * @param {object} axes axis values by tag (e.g. { wght: 650 })
+ * @returns {?object} values of axes of the variable font clamped to their range, null if the font has none of the axes
+ */
+const getVariationSettings = (font, axes) => {
+	let tags = Object.keys(axes);
+	if (tags.length === 0) {
+		return null;
+	}
+
+	let fontAxes = (font.font && font.font.variationAxes) || {};
+	let settings = null;
+
+	tags.sort().forEach(tag => {
+		let axis = fontAxes[tag];
+		if (axis && isNumber(axes[tag])) {
+			settings = settings || {};
+			settings[tag] = Math.min(Math.max(axes[tag], axis.min), axis.max);
+		}
+	});
+
+	return settings;
 };
 
 class PDFDocument extends PDFKit {
@@ -21,78 +133,326 @@ class PDFDocument extends PDFKit {
 		this.fontCache = {};
 		for (let font in fonts) {
 			if (fonts.hasOwnProperty(font)) {
-				let fontDef = fonts[font];
-
-				this.fonts[font] = {
-					normal: fontDef.normal,
-					bold: fontDef.bold,
-					italics: fontDef.italics,
-					bolditalics: fontDef.bolditalics
-				};
+				this.fonts[font] = getFontWeights(fonts[font]);
 			}
 		}
 
 		this.images = images;
 		this.virtualfs = virtualfs;
+		this.deferredRenderer = null;
+		this.structureTree = null; // instance of StructureTree for tagged PDF
+		this.documentOutline = null; // instance of DocumentOutline
+		this.pdfA = options.pdfA || null; // PDF/A conformance level
+		this.hyphenationPatterns = options.hyphenationPatterns || {};
+		this.fallbackFonts = options.fallbackFonts || []; // font families used for characters missing in the font of the text
+		this.sharedFontCache = options.sharedFontCache || null; // instance of FontCache shared by documents
+		this.hyphenatorCache = {};
 	}
 
-	getFontType(bold, italics) {
-		return typeName(bold, italics);
+	/**
+	 * Postpones rendering of laid out pages until the document is consumed.
+	 * Pages not rendered yet are rendered when the document is ended.
+	 *
+	 * @param {object} renderer instance of Renderer
+	 * @param {Array} pages
+	 */
+	deferRendering(renderer, pages) {
+		renderer.beginRendering(pages);
+		this.deferredRenderer = renderer;
+	}
+
+	/**
+	 * Renders deferred pages as the consumer reads the stream.
+	 *
+	 * @returns {Promise}
+	 */
+	renderProgressively() {
+		if (!this.deferredRenderer) {
+			return Promise.resolve();
+		}
+
+		return this.deferredRenderer.renderPagesProgressively();
 	}
 
-	getFontFile(familyName, bold, italics) {
-		let type = this.getFontType(bold, italics);
-		if (!this.fonts[familyName] || !this.fonts[familyName][type]) {
+	_read() {
+		this.emit('readRequested');
+	}
+
+	end() {
+		if (this.deferredRenderer) {
+			let renderer = this.deferredRenderer;
+			this.deferredRenderer = null;
+			while (renderer.hasPendingPages()) {
+				renderer.renderNextPage();
+			}
+		}
+
+		if (this.structureTree) {
+			this.structureTree.end();
+		}
+
+		if (this.documentOutline) {
+			this.documentOutline.end();
+		}
+
+		if (this.pdfA) {
+			pdfA.writeMetadata(this, this.pdfA);
+		}
+
+		return super.end();
+	}
+
+	/**
+	 * @param {boolean} bold
+	 * @param {boolean} italics
+	 * @param {?number} fontWeight weight of the font, bold is weight 700
+	 * @returns {string} name of the style
+	 */
+	getFontType(bold, italics, fontWeight = null) {
+		return typeName(this.getRequiredWeight(bold, fontWeight), italics);
+	}
+
+	/**
+	 * @param {boolean} bold
+	 * @param {?number} fontWeight
+	 * @returns {number}
+	 */
+	getRequiredWeight(bold, fontWeight) {
+		if (isNumber(fontWeight)) {
+			return fontWeight;
+		}
+
+		return bold ? BOLD_WEIGHT : NORMAL_WEIGHT;
+	}
+
+	/**
+	 * @param {string} familyName
+	 * @param {number} weight required weight
+	 * @param {boolean} italics
+	 * @returns {?number} weight nearest to the required weight which is defined in the style, null if the style is not defined
+	 */
+	getFontWeight(familyName, weight, italics) {
+		let weights = this.fonts[familyName];
+		if (!weights) {
+			return null;
+		}
+
+		let style = italics ? 'italics' : 'normal';
+		let available = Object.keys(weights).map(Number).filter(value => weights[value][style]);
+
+		return findNearestWeight(available, weight);
+	}
+
+	/**
+	 * @param {string} familyName
+	 * @param {boolean} bold
+	 * @param {boolean} italics
+	 * @param {?number} fontWeight weight of the font, bold is weight 700
+	 * @returns {?string|Buffer|Array} font file of the nearest weight (file of the variable font descriptor), null if the style is not defined
+	 */
+	getFontFile(familyName, bold, italics, fontWeight = null) {
+		let weight = this.getFontWeight(familyName, this.getRequiredWeight(bold, fontWeight), italics);
+		if (weight === null) {
 			return null;
 		}
 
-		return this.fonts[familyName][type];
+		let def = this.fonts[familyName][weight][italics ? 'italics' : 'normal'];
+		return isObject(def) && def.file ? def.file : def;
 	}
 
-	provideFont(familyName, bold, italics) {
-		let type = this.getFontType(bold, italics);
-		if (this.getFontFile(familyName, bold, italics) === null) {
-			throw new Error(`Font '${familyName}' in style '${type}' is not defined in the font section of the document definition.`);
+	/**
+	 * Font of the style with the weight nearest to the required weight. Style of the variable
+	 * font (e.g. { file: 'Inter.ttf', axes: { wght: 650 } }) is an instance with axis values
+	 * of the descriptor overridden by the variation, instance of the nearest weight has wght axis
+	 * set to the required weight. Axes missing in the font are ignored.
+	 *
+	 * @param {string} familyName
+	 * @param {boolean} bold
+	 * @param {boolean} italics
+	 * @param {?object} variation axis values by tag (e.g. { wght: 300, wdth: 75 }), wght is the required weight (instead of bold)
+	 * @returns {object} pdfkit font
+	 */
+	provideFont(familyName, bold, italics, variation = null) {
+		let requiredWeight = this.getRequiredWeight(bold, variation && variation.wght);
+		let weight = this.getFontWeight(familyName, requiredWeight, italics);
+		if (weight === null) {
+			throw new Error(`Font '${familyName}' in style '${typeName(requiredWeight, italics)}' is not defined in the font section of the document definition.`);
 		}
 
+		let type = typeName(weight, italics);
+		let fontDef = this.fonts[familyName][weight][italics ? 'italics' : 'normal'];
+
+		let def = isObject(fontDef) && fontDef.file ? fontDef.file : fontDef;
+		def = isArray(def) ? def.slice() : [def];
+
 		this.fontCache[familyName] = this.fontCache[familyName] || {};
 
-		if (!this.fontCache[familyName][type]) {
-			let def = this.fonts[familyName][type];
-			if (!isArray(def)) {
-				def = [def];
-			}
+		let isCached = !!this.fontCache[familyName][type];
+		if (!isCached && this.pdfA) {
+			pdfA.validateFont(familyName, type, def[0]);
+		}
+
+		// font of virtual file system is opened (and shared) by its content, not by its file name
+		if (this.virtualfs && this.virtualfs.existsSync(def[0])) {
+			def[0] = this.virtualfs.readFileSync(def[0]);
+		}
 
-			if (this.virtualfs && this.virtualfs.existsSync(def[0])) {
-				def[0] = this.virtualfs.readFileSync(def[0]);
+		if (!isCached) {
+			this.fontCache[familyName][type] = prepareFont(this.openFont(def));
+		}
+
+		let font = this.fontCache[familyName][type];
+		let weightAxis = weight !== requiredWeight ? { wght: requiredWeight } : null;
+		let settings = getVariationSettings(font, Object.assign({}, fontDef.axes, weightAxis, variation));
+		if (!settings) {
+			return font;
+		}
+
+		let key = `${type} ${JSON.stringify(settings)}`;
+		if (!this.fontCache[familyName][key]) {
+			let cacheKey = `${def[1] || ''} ${JSON.stringify(settings)}`;
+			let entry = this.sharedFontCache && this.sharedFontCache.get(def[0], cacheKey);
+			if (!entry) {
+				entry = { font: font.font.getVariation(settings), constructor: font.constructor };
+				if (this.sharedFontCache) {
+					this.sharedFontCache.set(def[0], cacheKey, entry);
+				}
 			}
 
-			this.fontCache[familyName][type] = this.font(...def)._font;
+			// instance is embedded as another font, embedded font class of pdfkit is not exported
+			let id = `F${++this._fontCount}`;
+			let instance = new entry.constructor(this, entry.font, id);
+			this._fontFamilies[id] = instance;
+
+			this.fontCache[familyName][key] = prepareFont(instance);
 		}
 
-		return this.fontCache[familyName][type];
+		return this.fontCache[familyName][key];
 	}
 
-	provideImage(src) {
-		const realImageSrc = src => {
-			let image = this.images[src];
-
-			if (!image) {
-				return src;
+	/**
+	 * Opens font by pdfkit, embedded fonts parsed by another document are taken
+	 * from the shared font cache.
+	 *
+	 * @param {Array} def pdfkit font arguments (font file or content, postscript name of the font in collection)
+	 * @returns {object} pdfkit font
+	 */
+	openFont(def) {
+		let cacheKey = def[1] || '';
+		let entry = this.sharedFontCache && this.sharedFontCache.get(def[0], cacheKey);
+		if (!entry) {
+			let font = this.font(...def)._font;
+			if (this.sharedFontCache && font.subset) { // embedded font
+				this.sharedFontCache.set(def[0], cacheKey, { font: font.font, constructor: font.constructor });
 			}
+			return font;
+		}
+
+		// font of the same name opened in this document is reused (as pdfkit does)
+		let font = this._fontFamilies[entry.font.postscriptName];
+		if (!font) {
+			font = new entry.constructor(this, entry.font, `F${++this._fontCount}`);
+			this._fontFamilies[font.name] = font;
+		}
+		return font;
+	}
 
-			if (this.virtualfs && this.virtualfs.existsSync(image)) {
-				return this.virtualfs.readFileSync(image);
+	/**
+	 * Statistics of subsets of fonts embedded in the document, available
+	 * when the document is ended (after end event of the document stream).
+	 *
+	 * @returns {Array} { family, style, name, glyphs, fontGlyphs, bytes, uncompressedBytes } of each embedded font
+	 */
+	getFontReport() {
+		let report = [];
+		let reported = [];
+
+		for (let family in this.fontCache) {
+			for (let style in this.fontCache[family]) {
+				let font = this.fontCache[family][style];
+				if (!font.embedded || !font.subset || reported.indexOf(font) > -1) {
+					continue;
+				}
+				reported.push(font);
+
+				let descriptor = font.dictionary.data.DescendantFonts[0].data.FontDescriptor.data;
+				let fontFile = descriptor.FontFile2 || descriptor.FontFile3;
+
+				report.push({
+					family: family,
+					style: style,
+					name: font.name,
+					glyphs: font.subset.glyphs.length,
+					fontGlyphs: font.font.numGlyphs,
+					bytes: fontFile.data.Length,
+					uncompressedBytes: fontFile.uncompressedLength
+				});
 			}
+		}
+
+		return report;
+	}
+
+	/**
+	 * Fonts of the fallback chain, the font family (or list of font families) of the text
+	 * followed by fallback fonts of the document. Fallback font without the required style
+	 * is used in normal style.
+	 *
+	 * @param {string|Array} familyName
+	 * @param {boolean} bold
+	 * @param {boolean} italics
+	 * @param {?object} variation axis values of variable fonts
+	 * @returns {Array} pdfkit fonts
+	 */
+	provideFontChain(familyName, bold, italics, variation = null) {
+		let familyNames = (isArray(familyName) ? familyName : [familyName]).concat(this.fallbackFonts);
 
-			let index = image.indexOf('base64,');
-			if (index < 0) {
-				return this.images[src];
+		return familyNames.filter((name, index) => familyNames.indexOf(name) === index).map((name, index) => {
+			let isStyleDefined = index === 0 || this.getFontFile(name, bold, italics) !== null;
+			return this.provideFont(name, isStyleDefined && bold, isStyleDefined && italics, variation);
+		});
+	}
+
+	/**
+	 * @param {string} language key in hyphenation patterns (e.g. 'de')
+	 * @returns {Hyphenator}
+	 */
+	provideHyphenator(language) {
+		if (!this.hyphenatorCache[language]) {
+			if (!this.hyphenationPatterns[language]) {
+				throw new Error(`Hyphenation patterns for language '${language}' are not defined.`);
 			}
 
-			return Buffer.from(image.substring(index + 7), 'base64');
-		};
+			this.hyphenatorCache[language] = new Hyphenator(this.hyphenationPatterns[language]);
+		}
+
+		return this.hyphenatorCache[language];
+	}
 
+	/**
+	 * @param {string} src image name (key in images dictionary), path or data URL
+	 * @returns {string|Buffer} path, data URL or content of image
+	 */
+	getImageSource(src) {
+		let image = this.images[src];
+
+		if (!image) {
+			return src;
+		}
+
+		if (this.virtualfs && this.virtualfs.existsSync(image)) {
+			return this.virtualfs.readFileSync(image);
+		}
+
+		let index = image.indexOf('base64,');
+		if (index < 0) {
+			return this.images[src];
+		}
+
+		return Buffer.from(image.substring(index + 7), 'base64');
+	}
+
+	provideImage(src) {
 		if (this._imageRegistry[src]) {
 			return this._imageRegistry[src];
 		}
@@ -100,7 +460,7 @@ class PDFDocument extends PDFKit {
 		let image;
 
 		try {
-			image = this.openImage(realImageSrc(src));
+			image = this.openImage(this.getImageSource(src));
 			if (!image) {
 				throw new Error('No image');
 			}
@@ -108,6 +468,10 @@ class PDFDocument extends PDFKit {
 			throw new Error(`Invalid image: ${error.toString()}\nImages dictionary should contain dataURL entries (or local file paths in node.js)`);
 		}
 
+		if (this.pdfA === '1b') {
+			pdfA.validateImage(image, src);
+		}
+
 		image.embed(this);
 		this._imageRegistry[src] = image;
 
@@ -7,6 +7,8 @@ import ElementWriter from './ElementWriter';
  *                         a page-break occurs)
  * - transactions (used for unbreakable-blocks when we want to make sure
  *                 whole block will be rendered on the same page)
+ * - footnotes (a line is placed on the page only together with its footnotes)
+ * - flowing columns (content continues in the next column before the next page)
  */
 class PageElementWriter extends ElementWriter {
 	constructor(context) {
@@ -16,7 +18,7 @@ class PageElementWriter extends ElementWriter {
 	}
 
 	addLine(line, dontUpdateContextPosition, index) {
-		return this._fitOnPage(() => super.addLine(line, dontUpdateContextPosition, index));
+		return this._fitOnPage(() => this._addWithFootnotes(line._footnotes, line.getHeight(), () => super.addLine(line, dontUpdateContextPosition, index)));
 	}
 
 	addImage(image, index) {
@@ -48,10 +50,21 @@ class PageElementWriter extends ElementWriter {
 	}
 
 	addFragment(fragment, useBlockXOffset, useBlockYOffset, dontUpdateContextPosition) {
-		return this._fitOnPage(() => super.addFragment(fragment, useBlockXOffset, useBlockYOffset, dontUpdateContextPosition));
+		let footnotes = [];
+		fragment.items.forEach(item => {
+			if (item.type === 'line' && item.item._footnotes) {
+				footnotes = footnotes.concat(item.item._footnotes);
+			}
+		});
+
+		return this._fitOnPage(() => this._addWithFootnotes(footnotes, useBlockXOffset ? 0 : fragment.height, () => super.addFragment(fragment, useBlockXOffset, useBlockYOffset, dontUpdateContextPosition)));
 	}
 
 	moveToNextPage(pageOrientation) {
+		if (this.context().moveToNextFlowColumn()) {
+			return;
+		}
+
 		let nextPage = this.context().moveToNextPage(pageOrientation);
 
 		// moveToNextPage is called multiple times for table, because is called for each column
@@ -142,6 +155,42 @@ class PageElementWriter extends ElementWriter {
 		this.repeatables.pop();
 	}
 
+	_addWithFootnotes(footnotes, height, addFct) {
+		// footnotes of unbreakable blocks are placed when the block is committed
+		if (!footnotes || footnotes.length === 0 || this.contextStack.length > 0) {
+			return addFct();
+		}
+
+		let context = this.context();
+		let footnotesHeight = context.getFootnotesHeight(footnotes) - context.getFootnotesHeight([]);
+		if (context.availableHeight - footnotesHeight < height) {
+			this.checkFootnotesFit(footnotes, height);
+			return false;
+		}
+
+		context.addFootnotes(footnotes);
+		return addFct();
+	}
+
+	/**
+	 * Footnotes are not broken across pages, content with footnotes which do not fit
+	 * on an empty page would be left out, so an error is thrown instead
+	 *
+	 * @param {Array} footnotes laid out footnotes ({ items, height })
+	 * @param {number} height height of content referencing the footnotes
+	 */
+	checkFootnotesFit(footnotes, height) {
+		let availableHeight = this.context().getEmptyPageHeight(footnotes);
+		this.repeatables.forEach(rep => {
+			availableHeight -= rep.height;
+		});
+
+		if (height > availableHeight) {
+			let text = footnotes.map(footnote => getItemsText(footnote.items)).join(' ');
+			throw new Error(`Footnotes do not fit on an empty page with the text referencing them, footnotes: '${text}'`);
+		}
+	}
+
 	_fitOnPage(addFct) {
 		let position = addFct();
 		if (!position) {
@@ -153,4 +202,12 @@ class PageElementWriter extends ElementWriter {
 
 }
 
+/**
+ * @param {Array} items page items
+ * @returns {string} text of lines
+ */
+function getItemsText(items) {
+	return items.filter(item => item.type === 'line').map(item => item.item.inlines.map(inline => inline.text).join('')).join(' ');
+}
+
 export default PageElementWriter;
@@ -1,10 +1,17 @@
-import PDFDocument from './PDFDocument';
+import PDFDocument, { getFontWeights } from './PDFDocument';
+import { sharedFontCache } from './FontCache';
 import LayoutBuilder from './LayoutBuilder';
 import SVGMeasure from './SVGMeasure';
 import sizes from './standardPageSizes';
 import { tableLayouts } from './tableLayouts';
 import Renderer from './Renderer';
-import { isFunction, isString, isNumber, isBoolean, isArray, isValue } from './helpers/variableType';
+import SVGRenderer from './SVGRenderer';
+import StructureTree from './StructureTree';
+import DocumentOutline from './DocumentOutline';
+import * as pdfA from './pdfA';
+import DocValidator, { formatErrors } from './DocValidator';
+import { buildPageModel } from './helpers/pageModel';
+import { isFunction, isString, isNumber, isBoolean, isArray, isObject, isValue } from './helpers/variableType';
 
 /**
  * Printer which turns document definition into a pdf
@@ -16,6 +23,15 @@ import { isFunction, isString, isNumber, isBoolean, isArray, isValue } from './h
  *		bold: 'fonts/Roboto-Medium.ttf',
  *		italics: 'fonts/Roboto-Italic.ttf',
  *		bolditalics: 'fonts/Roboto-MediumItalic.ttf'
+ *	},
+ *	Inter: { // variable font, style is an instance with axis values (fontWeight and fontStretch style properties override wght and wdth)
+ *		normal: 'fonts/Inter.ttf',
+ *		bold: { file: 'fonts/Inter.ttf', axes: { wght: 650 } }
+ *	},
+ *	Lato: { // styles by weight, fontWeight style property selects the nearest weight (bold is 700)
+ *		300: { normal: 'fonts/Lato-Light.ttf', italics: 'fonts/Lato-LightItalic.ttf' },
+ *		400: { normal: 'fonts/Lato-Regular.ttf', italics: 'fonts/Lato-Italic.ttf' },
+ *		900: 'fonts/Lato-Black.ttf'
  *	}
  * };
  *
@@ -24,28 +40,133 @@ import { isFunction, isString, isNumber, isBoolean, isArray, isValue } from './h
 class PdfPrinter {
 
 	/**
+	 * With `options.sharedFontCache` fonts are parsed once and shared by documents of all printers
+	 * with this option (instead of parsing fonts for each document).
+	 *
 	 * @param {object} fontDescriptors font definition dictionary
 	 * @param {object} virtualfs
 	 * @param {object} urlResolver
+	 * @param {object} options
 	 */
-	constructor(fontDescriptors, virtualfs = null, urlResolver = null) {
+	constructor(fontDescriptors, virtualfs = null, urlResolver = null, options = {}) {
 		this.fontDescriptors = fontDescriptors;
 		this.virtualfs = virtualfs;
 		this.urlResolver = urlResolver;
+		this.sharedFontCache = options.sharedFontCache ? sharedFontCache : null;
 	}
 
 	/**
 	 * Executes layout engine for the specified document and renders it into a pdfkit document
 	 * ready to be saved.
 	 *
+	 * With `options.progressiveRendering` pages are rendered while the document stream is read
+	 * (or all at once when the document is ended).
+	 *
+	 * With `options.strict` invalid document definition is rejected with an error listing
+	 * all problems found by DocValidator.
+	 *
+	 * `options.hyphenationPatterns` defines hyphenation patterns by language for the
+	 * `hyphenation` style property (see Hyphenator).
+	 *
+	 * `options.fallbackFonts` is a list of font families used for characters which are
+	 * missing in the font of the text (after fonts listed in the `font` style property).
+	 *
+	 * Statistics of embedded font subsets are returned by `getFontReport()` of the document
+	 * after the document is ended.
+	 *
 	 * @param {object} docDefinition
 	 * @param {object} options
 	 * @returns {Promise<PDFDocument>} resolved promise return a pdfkit document
 	 */
 	createPdfKitDocument(docDefinition, options = {}) {
 		return new Promise((resolve, reject) => {
+			this.layoutPages(docDefinition, options).then(pages => {
+				try {
+					const renderer = new Renderer(this.pdfKitDoc, options.progressCallback);
+					if (options.progressiveRendering) {
+						this.pdfKitDoc.deferRendering(renderer, pages);
+					} else {
+						renderer.renderPages(pages);
+					}
+
+					resolve(this.pdfKitDoc);
+				} catch (e) {
+					reject(e);
+				}
+			}, result => {
+				reject(result);
+			});
+		});
+	}
+
+	/**
+	 * Executes layout engine for the specified document without rendering it.
+	 *
+	 * @param {object} docDefinition
+	 * @param {object} options
+	 * @returns {Promise<object>} resolved promise return serializable page model (see buildPageModel)
+	 */
+	layoutDocument(docDefinition, options = {}) {
+		return new Promise((resolve, reject) => {
+			this.layoutPages(docDefinition, options).then(pages => {
+				try {
+					resolve(buildPageModel(pages, this.layoutBuilder.linearNodeList));
+				} catch (e) {
+					reject(e);
+				}
+			}, result => {
+				reject(result);
+			});
+		});
+	}
+
+	/**
+	 * Executes layout engine for the specified document and renders each page into SVG.
+	 *
+	 * @param {object} docDefinition
+	 * @param {object} options
+	 * @returns {Promise<Array>} resolved promise return SVG document (string) for each page
+	 */
+	createSvgPages(docDefinition, options = {}) {
+		return new Promise((resolve, reject) => {
+			this.layoutPages(docDefinition, options).then(pages => {
+				try {
+					const renderer = new SVGRenderer(this.pdfKitDoc, options.progressCallback);
+					resolve(renderer.renderPages(pages));
+				} catch (e) {
+					reject(e);
+				}
+			}, result => {
+				reject(result);
+			});
+		});
+	}
+
+	/**
+	 * Creates pdfkit document (without pages) and executes layout engine for the specified document.
+	 *
+	 * @param {object} docDefinition
+	 * @param {object} options
+	 * @returns {Promise<Array>} resolved promise return laid out pages
+	 */
+	layoutPages(docDefinition, options = {}) {
+		return new Promise((resolve, reject) => {
+			if (options.strict) {
+				let errors = new DocValidator().validate(docDefinition);
+				if (errors.length > 0) {
+					let error = new Error(`Invalid document definition:\n${formatErrors(errors)}`);
+					error.errors = errors;
+					reject(error);
+					return;
+				}
+			}
+
 			this.resolveUrls(docDefinition).then(() => {
 				try {
+					if (docDefinition.pdfA) {
+						docDefinition.version = pdfA.validateDocDefinition(docDefinition);
+					}
+
 					docDefinition.version = docDefinition.version || '1.3';
 					docDefinition.compress = isBoolean(docDefinition.compress) ? docDefinition.compress : true;
 					docDefinition.images = docDefinition.images || {};
@@ -60,6 +181,10 @@ class PdfPrinter {
 						userPassword: docDefinition.userPassword,
 						ownerPassword: docDefinition.ownerPassword,
 						permissions: docDefinition.permissions,
+						pdfA: docDefinition.pdfA,
+						hyphenationPatterns: options.hyphenationPatterns,
+						fallbackFonts: options.fallbackFonts,
+						sharedFontCache: this.sharedFontCache,
 						fontLayoutCache: isBoolean(options.fontLayoutCache) ? options.fontLayoutCache : true,
 						bufferPages: options.bufferPages || false,
 						autoFirstPage: false,
@@ -69,7 +194,12 @@ class PdfPrinter {
 					this.pdfKitDoc = new PDFDocument(this.fontDescriptors, docDefinition.images, pdfOptions, this.virtualfs);
 					setMetadata(docDefinition, this.pdfKitDoc);
 
+					if (docDefinition.tagged) {
+						this.pdfKitDoc.structureTree = new StructureTree(this.pdfKitDoc);
+					}
+
 					const builder = new LayoutBuilder(pageSize, fixPageMargins(docDefinition.pageMargins), new SVGMeasure());
+					this.layoutBuilder = builder;
 
 					builder.registerTableLayouts(tableLayouts);
 					if (options.tableLayouts) {
@@ -82,17 +212,27 @@ class PdfPrinter {
 						pages = pages.slice(0, maxNumberPages);
 					}
 
+					this.pdfKitDoc.documentOutline = new DocumentOutline(this.pdfKitDoc, docDefinition.outline === true);
+					this.pdfKitDoc.documentOutline.build(builder.linearNodeList);
+
+					if (docDefinition.pdfA) {
+						pdfA.validateFields(pages, docDefinition.pdfA);
+					}
+					if (docDefinition.pdfA === '1b') {
+						pdfA.validatePages(pages);
+					}
+
 					// if pageSize.height is set to Infinity, calculate the actual height of the page that
 					// was laid out using the height of each of the items in the page.
 					if (pageSize.height === Infinity) {
 						let pageHeight = calculatePageHeight(pages, docDefinition.pageMargins);
 						this.pdfKitDoc.options.size = [pageSize.width, pageHeight];
+						pages.forEach(page => {
+							page.pageSize.height = pageHeight;
+						});
 					}
 
-					const renderer = new Renderer(this.pdfKitDoc, options.progressCallback);
-					renderer.renderPages(pages);
-
-					resolve(this.pdfKitDoc);
+					resolve(pages);
 				} catch (e) {
 					reject(e);
 				}
@@ -114,17 +254,15 @@ class PdfPrinter {
 
 			for (let font in this.fontDescriptors) {
 				if (this.fontDescriptors.hasOwnProperty(font)) {
-					if (this.fontDescriptors[font].normal) {
-						this.urlResolver.resolve(this.fontDescriptors[font].normal);
-					}
-					if (this.fontDescriptors[font].bold) {
-						this.urlResolver.resolve(this.fontDescriptors[font].bold);
-					}
-					if (this.fontDescriptors[font].italics) {
-						this.urlResolver.resolve(this.fontDescriptors[font].italics);
-					}
-					if (this.fontDescriptors[font].bolditalics) {
-						this.urlResolver.resolve(this.fontDescriptors[font].bolditalics);
+					let weights = getFontWeights(this.fontDescriptors[font]);
+					for (let weight in weights) {
+						for (let style in weights[weight]) {
+							let fontFile = weights[weight][style];
+							if (isObject(fontFile) && fontFile.file) { // variable font
+								fontFile = fontFile.file;
+							}
+							this.urlResolver.resolve(fontFile);
+						}
 					}
 				}
 			}
@@ -174,6 +312,10 @@ function setMetadata(docDefinition, pdfKitDoc) {
 			}
 		}
 	}
+
+	if (docDefinition.language) {
+		pdfKitDoc._root.data.Lang = new String(docDefinition.language);
+	}
 }
 
 function calculatePageHeight(pages, margins) {
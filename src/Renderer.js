@@ -1,6 +1,8 @@
 import TextDecorator from './TextDecorator';
 import TextInlines from './TextInlines';
+import { getInlineAscenderHeight, getInlineImageTop } from './Line';
 import { isNumber } from './helpers/variableType';
+import { getVisualText } from './bidi';
 
 // TODO: refactor lazy load init
 const getSvgToPDF = function () {
@@ -12,6 +14,21 @@ const getSvgToPDF = function () {
 	}
 };
 
+/**
+ * @param {object} inline
+ * @param {string} text visual text of the inline
+ * @returns {?object} shaped run of the text in the color font, null for text without color glyphs
+ */
+const getColorRun = (inline, text) => {
+	let colorFont = inline.font && inline.font.colorFont;
+	if (!colorFont) {
+		return null;
+	}
+
+	let run = inline.font.layout(text, inline.fontFeatures);
+	return run.glyphs.some(glyph => colorFont.getColorGlyph(glyph)) ? run : null;
+};
+
 const findFont = (fonts, requiredFonts, defaultFont) => {
 	for (let i = 0; i < requiredFonts.length; i++) {
 		let requiredFont = requiredFonts[i].toLowerCase();
@@ -35,7 +52,7 @@ const findFont = (fonts, requiredFonts, defaultFont) => {
  * @param {object} inline
  * @returns {number}
  */
-const offsetText = (y, inline) => {
+export const offsetText = (y, inline) => {
 	var newY = y;
 	if (inline.sup) {
 		newY -= inline.fontSize * 0.75;
@@ -46,92 +63,238 @@ const offsetText = (y, inline) => {
 	return newY;
 };
 
+/**
+ * Replaces text of page reference inline with the number of the referenced page
+ *
+ * @param {object} _pageNodeRef referenced node
+ * @param {object} inline
+ */
+export const preparePageNodeRefLine = (_pageNodeRef, inline) => {
+	let newWidth;
+	let diffWidth;
+	let textInlines = new TextInlines(null);
+
+	if (_pageNodeRef.positions === undefined) {
+		throw new Error('Page reference id not found');
+	}
+
+	let pageNumber = _pageNodeRef.positions[0].pageNumber.toString();
+
+	inline.text = pageNumber;
+	newWidth = textInlines.widthOfText(inline.text, inline);
+	diffWidth = inline.width - newWidth;
+	inline.width = newWidth;
+
+	switch (inline.alignment) {
+		case 'right':
+			inline.x += diffWidth;
+			break;
+		case 'center':
+			inline.x += diffWidth / 2;
+			break;
+	}
+};
+
+const FIELD_FLAGS = {
+	readOnly: 1,
+	required: 2,
+	multiline: 0x1000,
+	password: 0x2000,
+	noToggleToOff: 0x4000,
+	radio: 0x8000,
+	combo: 0x20000
+};
+
+const FIELD_ALIGNMENT = {
+	center: 1,
+	right: 2
+};
+
+/**
+ * @param {number} value
+ * @returns {string}
+ */
+const formatNumber = value => String(Math.round(value * 1000) / 1000);
+
+/**
+ * Converts value into PDF name (delimiters and characters outside of printable ASCII are escaped)
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+const toName = value => Buffer.from(String(value), 'utf8').toString('binary')
+	.replace(/[^!-~]|[#%()<>[\]{}/]/g, char => `#${(`0${char.charCodeAt(0).toString(16)}`).slice(-2)}`);
+
+/**
+ * @param {object} pdfDocument
+ * @param {string} color
+ * @param {boolean} stroke
+ * @returns {string} color operator of content stream
+ */
+const colorOperator = (pdfDocument, color, stroke) => {
+	let components = pdfDocument._normalizeColor(color) || [0, 0, 0];
+	let operator = components.length === 4 ? 'k' : 'rg';
+	return `${components.map(formatNumber).join(' ')} ${stroke ? operator.toUpperCase() : operator}`;
+};
+
+/**
+ * @param {number} x center
+ * @param {number} y center
+ * @param {number} r radius
+ * @returns {string} circle path of content stream
+ */
+const circlePath = (x, y, r) => {
+	const coordinates = (...values) => values.map(formatNumber).join(' ');
+	let k = r * 0.5522847498;
+
+	return `${coordinates(x + r, y)} m ` +
+		`${coordinates(x + r, y + k, x + k, y + r, x, y + r)} c ` +
+		`${coordinates(x - k, y + r, x - r, y + k, x - r, y)} c ` +
+		`${coordinates(x - r, y - k, x - k, y - r, x, y - r)} c ` +
+		`${coordinates(x + k, y - r, x + r, y - k, x + r, y)} c`;
+};
+
 class Renderer {
 	constructor(pdfDocument, progressCallback) {
 		this.pdfDocument = pdfDocument;
 		this.progressCallback = progressCallback;
+		this.colorGlyphImages = new Map();
 	}
 
 	renderPages(pages) {
+		this.beginRendering(pages);
+
+		while (this.hasPendingPages()) {
+			this.renderNextPage();
+		}
+	}
+
+	/**
+	 * Renders pages one by one. Whenever the internal buffer of the pdfkit stream
+	 * is full, rendering waits until the consumer requests more data, so
+	 * the whole document is never held in memory.
+	 *
+	 * @param {?Array} pages pages to render, omit to continue with pages passed to beginRendering
+	 * @returns {Promise}
+	 */
+	renderPagesProgressively(pages) {
+		if (pages) {
+			this.beginRendering(pages);
+		}
+
+		return new Promise((resolve, reject) => {
+			const renderUntilBufferIsFull = () => {
+				try {
+					while (this.hasPendingPages()) {
+						this.renderNextPage();
+
+						if (this.pdfDocument.readableLength >= this.pdfDocument.readableHighWaterMark) {
+							this.pdfDocument.once('readRequested', renderUntilBufferIsFull);
+							return;
+						}
+					}
+				} catch (e) {
+					reject(e);
+					return;
+				}
+
+				resolve();
+			};
+
+			renderUntilBufferIsFull();
+		});
+	}
+
+	/**
+	 * @param {Array} pages
+	 */
+	beginRendering(pages) {
 		this.pdfDocument._pdfMakePages = pages; // TODO: Why?
 		this.pdfDocument.addPage();
+		this.pages = pages;
+		this.pageIndex = 0;
 
-		let totalItems = 0;
+		this.totalItems = 0;
 		if (this.progressCallback) {
 			pages.forEach(page => {
-				totalItems += page.items.length;
+				this.totalItems += page.items.length;
 			});
 		}
 
-		let renderedItems = 0;
-
-		for (let i = 0; i < pages.length; i++) {
-			if (i > 0) {
-				this._updatePageOrientationInOptions(pages[i]);
-				this.pdfDocument.addPage(this.pdfDocument.options);
-			}
+		this.renderedItems = 0;
+		this.formFields = {};
+	}
 
-			let page = pages[i];
-			for (let ii = 0, il = page.items.length; ii < il; ii++) {
-				let item = page.items[ii];
-				switch (item.type) {
-					case 'vector':
-						this.renderVector(item.item);
-						break;
-					case 'line':
-						this.renderLine(item.item, item.item.x, item.item.y);
-						break;
-					case 'image':
-						this.renderImage(item.item);
-						break;
-					case 'svg':
-						this.renderSVG(item.item);
-						break;
-					case 'beginClip':
-						this.beginClip(item.item);
-						break;
-					case 'endClip':
-						this.endClip();
-						break;
-				}
-				renderedItems++;
-				if (this.progressCallback) {
-					this.progressCallback(renderedItems / totalItems);
-				}
-			}
-			if (page.watermark) {
-				this.renderWatermark(page);
-			}
-		}
+	/**
+	 * @returns {boolean}
+	 */
+	hasPendingPages() {
+		return Boolean(this.pages) && this.pageIndex < this.pages.length;
 	}
 
-	renderLine(line, x, y) {
-		function preparePageNodeRefLine(_pageNodeRef, inline) {
-			let newWidth;
-			let diffWidth;
-			let textInlines = new TextInlines(null);
+	renderNextPage() {
+		let i = this.pageIndex++;
+		let page = this.pages[i];
 
-			if (_pageNodeRef.positions === undefined) {
-				throw new Error('Page reference id not found');
-			}
+		if (i > 0) {
+			this._updatePageOrientationInOptions(page);
+			this.pdfDocument.addPage(this.pdfDocument.options);
+		}
 
-			let pageNumber = _pageNodeRef.positions[0].pageNumber.toString();
+		let structureTree = this.pdfDocument.structureTree;
+		if (structureTree) {
+			structureTree.beginPage();
+		}
 
-			inline.text = pageNumber;
-			newWidth = textInlines.widthOfText(inline.text, inline);
-			diffWidth = inline.width - newWidth;
-			inline.width = newWidth;
+		for (let ii = 0, il = page.items.length; ii < il; ii++) {
+			let item = page.items[ii];
+			let isMarkedContent = structureTree && item.type !== 'beginClip' && item.type !== 'endClip';
+			if (isMarkedContent) {
+				structureTree.beginMarkedContent(item.item._structElement || null);
+			}
 
-			switch (inline.alignment) {
-				case 'right':
-					inline.x += diffWidth;
+			switch (item.type) {
+				case 'vector':
+					this.renderVector(item.item);
 					break;
-				case 'center':
-					inline.x += diffWidth / 2;
+				case 'line':
+					this.renderLine(item.item, item.item.x, item.item.y);
+					break;
+				case 'image':
+					this.renderImage(item.item);
+					break;
+				case 'svg':
+					this.renderSVG(item.item);
+					break;
+				case 'beginClip':
+					this.beginClip(item.item);
+					break;
+				case 'endClip':
+					this.endClip();
 					break;
 			}
+
+			if (isMarkedContent) {
+				structureTree.endMarkedContent();
+			}
+
+			this.renderedItems++;
+			if (this.progressCallback) {
+				this.progressCallback(this.renderedItems / this.totalItems);
+			}
 		}
+		if (page.watermark) {
+			if (structureTree) {
+				structureTree.beginMarkedContent(null);
+			}
+			this.renderWatermark(page);
+			if (structureTree) {
+				structureTree.endMarkedContent();
+			}
+		}
+	}
 
+	renderLine(line, x, y) {
 		if (line._pageNodeRef) {
 			preparePageNodeRefLine(line._pageNodeRef, line.inlines[0]);
 		}
@@ -151,7 +314,27 @@ class Renderer {
 		//TOOD: lines without differently styled inlines should be written to pdf as one stream
 		for (let i = 0, l = line.inlines.length; i < l; i++) {
 			let inline = line.inlines[i];
-			let shiftToBaseline = lineHeight - ((inline.font.ascender / 1000) * inline.fontSize) - descent;
+			let shiftToBaseline = lineHeight - getInlineAscenderHeight(inline) - descent;
+
+			if (inline.field) {
+				this.renderField(inline, x + inline.x, y + shiftToBaseline);
+				continue;
+			}
+
+			if (inline.image || inline.svg) {
+				let image = Object.assign({}, inline, {
+					x: x + inline.x,
+					y: y + lineHeight - descent - getInlineImageTop(inline),
+					font: inline._fontFamily
+				});
+
+				if (inline.image) {
+					this.renderImage(image);
+				} else {
+					this.renderSVG(image);
+				}
+				continue;
+			}
 
 			if (inline._pageNodeRef) {
 				preparePageNodeRefLine(inline._pageNodeRef, inline);
@@ -177,6 +360,9 @@ class Renderer {
 				options.features = inline.fontFeatures;
 			}
 
+			let text = getVisualText(inline);
+			let colorRun = getColorRun(inline, text);
+
 			let opacity = isNumber(inline.opacity) ? inline.opacity : 1;
 			this.pdfDocument.opacity(opacity);
 			this.pdfDocument.fill(inline.color || 'black');
@@ -185,7 +371,19 @@ class Renderer {
 			this.pdfDocument.fontSize(inline.fontSize);
 
 			let shiftedY = offsetText(y + shiftToBaseline, inline);
-			this.pdfDocument.text(inline.text, x + inline.x, shiftedY, options);
+
+			if (colorRun) {
+				// text with color glyphs is written in invisible text rendering mode (it can be
+				// still selected and copied) and glyphs are drawn over it
+				this.pdfDocument.save();
+				this.pdfDocument.addContent('3 Tr');
+				this.pdfDocument.text(text, x + inline.x, shiftedY, options);
+				this.pdfDocument.restore();
+
+				this.renderColorGlyphs(inline, colorRun, x + inline.x, shiftedY);
+			} else {
+				this.pdfDocument.text(text, x + inline.x, shiftedY, options);
+			}
 
 			if (inline.linkToPage) {
 				this.pdfDocument.ref({ Type: 'Action', S: 'GoTo', D: [inline.linkToPage, 0, 0] }).end();
@@ -197,6 +395,239 @@ class Renderer {
 		textDecorator.drawDecorations(line, x, y);
 	}
 
+	/**
+	 * Draws glyphs of the text in the color font: layers of COLR glyphs as paths,
+	 * bitmaps of sbix and CBDT glyphs as images, SVG glyphs by svg-to-pdfkit and
+	 * glyphs without color as outlines in the color of the text. Glyphs are placed
+	 * by positions of the shaped run, so they take the measured width of the text.
+	 *
+	 * @param {object} inline
+	 * @param {object} run shaped run of the text
+	 * @param {number} x
+	 * @param {number} y top of the text
+	 */
+	renderColorGlyphs(inline, run, x, y) {
+		let font = inline.font;
+		let fontSize = inline.fontSize;
+		let scale = fontSize / 1000;
+		let unitScale = fontSize / font.font.unitsPerEm;
+		let baseline = y + font.ascender * scale;
+		let color = inline.color || 'black';
+		let opacity = isNumber(inline.opacity) ? inline.opacity : 1;
+
+		let drawPath = (path, glyphX, glyphY, pathColor, pathOpacity) => {
+			if (!path) {
+				return;
+			}
+
+			this.pdfDocument.save();
+			this.pdfDocument.translate(glyphX, glyphY);
+			this.pdfDocument.scale(unitScale, -unitScale);
+			this.pdfDocument.fillColor(pathColor || color, opacity * pathOpacity);
+			this.pdfDocument.path(path).fill();
+			this.pdfDocument.restore();
+		};
+
+		run.glyphs.forEach((glyph, i) => {
+			let position = run.positions[i];
+			let glyphX = x + position.xOffset * scale;
+			let glyphY = baseline - position.yOffset * scale;
+			let colorGlyph = font.colorFont.getColorGlyph(glyph);
+
+			if (!colorGlyph) {
+				drawPath(glyph.path.toSVG(), glyphX, glyphY, color, 1);
+			} else if (colorGlyph.layers) {
+				colorGlyph.layers.forEach(layer => drawPath(layer.path, glyphX, glyphY, layer.color, layer.opacity));
+			} else if (colorGlyph.bitmap) {
+				let bitmap = colorGlyph.bitmap;
+				if (!this.colorGlyphImages.has(bitmap)) {
+					this.colorGlyphImages.set(bitmap, this.pdfDocument.openImage(bitmap.data));
+				}
+
+				this.pdfDocument.image(this.colorGlyphImages.get(bitmap), glyphX + bitmap.left * fontSize, glyphY - bitmap.top * fontSize, {
+					width: bitmap.width * fontSize,
+					height: bitmap.height * fontSize
+				});
+			} else {
+				let unitsPerEm = font.font.unitsPerEm;
+				let ascent = font.font.ascent;
+				let document = colorGlyph.svg.replace(/^\s*<\?xml[^>]*\?>/, '');
+				let svg = `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" viewBox="0 ${-ascent} ${unitsPerEm} ${unitsPerEm}">` +
+					`<defs>${document}</defs><use xlink:href="#${colorGlyph.id}"/></svg>`;
+
+				getSvgToPDF()(this.pdfDocument, svg, glyphX, glyphY - ascent * unitScale, {
+					width: fontSize,
+					height: fontSize,
+					assumePt: true
+				});
+			}
+
+			x += position.xAdvance * scale + (inline.characterSpacing || 0);
+		});
+	}
+
+	/**
+	 * Adds widget annotation of the form field. Widgets with the same name
+	 * (buttons of radio group, fields in repeated table headers) are kids
+	 * of one field, so they share the value.
+	 *
+	 * @param {object} field measured field inline
+	 * @param {number} x
+	 * @param {number} y
+	 */
+	renderField(field, x, y) {
+		if (!this.pdfDocument._acroform) {
+			this.pdfDocument._font = field.font;
+			this.pdfDocument.initForm();
+		}
+
+		let parent = this.formFields[field.name];
+		if (!parent) {
+			parent = this.formFields[field.name] = this.pdfDocument.ref(this.createFieldDictionary(field));
+			this.pdfDocument._root.data.AcroForm.data.Fields.push(parent);
+		}
+
+		let widget = { Subtype: 'Widget', Parent: parent, F: 4, MK: {} };
+
+		if (field.fillColor) {
+			widget.MK.BG = this.pdfDocument._normalizeColor(field.fillColor);
+		}
+
+		if (field.lineColor) {
+			widget.MK.BC = this.pdfDocument._normalizeColor(field.lineColor);
+			widget.BS = { W: 1, S: 'S' };
+		}
+
+		if (field.field === 'checkbox' || field.field === 'radio') {
+			let state = field.field === 'checkbox' ? 'Yes' : toName(field.option);
+			let isRadio = field.field === 'radio';
+
+			widget.MK.CA = new String(isRadio ? 'l' : '4'); // ZapfDingbats circle and check mark
+			widget.AS = field.value ? state : 'Off';
+			widget.AP = { N: {} };
+			widget.AP.N[state] = this.createButtonAppearance(field, isRadio, true);
+			widget.AP.N.Off = this.createButtonAppearance(field, isRadio, false);
+
+			if (isRadio && field.value) {
+				parent.data.V = parent.data.DV = state;
+			}
+		}
+
+		this.pdfDocument.annotate(x, y, field.width, field.height, widget);
+		parent.data.Kids.push(this.pdfDocument.page.annotations[this.pdfDocument.page.annotations.length - 1]);
+	}
+
+	/**
+	 * @param {object} field measured field inline
+	 * @returns {object} field dictionary
+	 */
+	createFieldDictionary(field) {
+		let flags = 0;
+		['readOnly', 'required', 'multiline', 'password'].forEach(flag => {
+			if (field[flag]) {
+				flags |= FIELD_FLAGS[flag];
+			}
+		});
+
+		let dictionary = { T: new String(field.name), Kids: [] };
+		let hasText = false;
+
+		switch (field.field) {
+			case 'text':
+				dictionary.FT = 'Tx';
+				if (field.value) {
+					dictionary.V = dictionary.DV = new String(field.value);
+				}
+				if (isNumber(field.maxLength)) {
+					dictionary.MaxLen = field.maxLength;
+				}
+				hasText = true;
+				break;
+			case 'dropdown':
+				dictionary.FT = 'Ch';
+				flags |= FIELD_FLAGS.combo;
+				dictionary.Opt = (field.options || []).map(option => new String(option));
+				if (field.value) {
+					dictionary.V = dictionary.DV = new String(field.value);
+				}
+				hasText = true;
+				break;
+			case 'checkbox':
+				dictionary.FT = 'Btn';
+				dictionary.V = dictionary.DV = field.value ? 'Yes' : 'Off';
+				break;
+			case 'radio':
+				dictionary.FT = 'Btn';
+				flags |= FIELD_FLAGS.radio | FIELD_FLAGS.noToggleToOff;
+				dictionary.V = dictionary.DV = 'Off'; // value is set by checked button
+				break;
+			case 'signature':
+				dictionary.FT = 'Sig';
+				break;
+		}
+
+		if (flags) {
+			dictionary.Ff = flags;
+		}
+
+		if (hasText) {
+			// add used glyphs into font subset, value must be displayable
+			[field.value].concat(field.options || []).forEach(text => {
+				if (text) {
+					field.font.encode(String(text));
+				}
+			});
+
+			this.pdfDocument._acroform.fonts[field.font.id] = field.font.ref();
+			dictionary.DA = new String(`/${field.font.id} ${formatNumber(field.fontSize)} Tf ${colorOperator(this.pdfDocument, field.color, false)}`);
+
+			if (FIELD_ALIGNMENT[field.alignment]) {
+				dictionary.Q = FIELD_ALIGNMENT[field.alignment];
+			}
+		}
+
+		return dictionary;
+	}
+
+	/**
+	 * Appearance (form XObject) of checkbox or radio button in on or off state
+	 *
+	 * @param {object} field measured field inline
+	 * @param {boolean} isRadio
+	 * @param {boolean} isOn
+	 * @returns {object} reference to appearance stream
+	 */
+	createButtonAppearance(field, isRadio, isOn) {
+		let width = field.width;
+		let height = field.height;
+		let size = Math.min(width, height);
+		let content = ['q'];
+
+		if (field.fillColor) {
+			content.push(colorOperator(this.pdfDocument, field.fillColor, false));
+			content.push(isRadio ? `${circlePath(width / 2, height / 2, size / 2)} f` : `0 0 ${formatNumber(width)} ${formatNumber(height)} re f`);
+		}
+
+		if (field.lineColor) {
+			content.push(`1 w ${colorOperator(this.pdfDocument, field.lineColor, true)}`);
+			content.push(isRadio ? `${circlePath(width / 2, height / 2, size / 2 - 0.5)} S` : `0.5 0.5 ${formatNumber(width - 1)} ${formatNumber(height - 1)} re S`);
+		}
+
+		if (isOn && isRadio) {
+			content.push(colorOperator(this.pdfDocument, field.color, false));
+			content.push(`${circlePath(width / 2, height / 2, size / 4)} f`);
+		} else if (isOn) {
+			content.push(`${formatNumber(size * 0.12)} w 1 J 1 j ${colorOperator(this.pdfDocument, field.color, true)}`);
+			content.push(`${formatNumber(width * 0.2)} ${formatNumber(height * 0.5)} m ${formatNumber(width * 0.42)} ${formatNumber(height * 0.25)} l ${formatNumber(width * 0.8)} ${formatNumber(height * 0.75)} l S`);
+		}
+
+		content.push('Q');
+
+		let appearance = this.pdfDocument.ref({ Type: 'XObject', Subtype: 'Form', BBox: [0, 0, width, height] });
+		appearance.end(content.join('\n'));
+		return appearance;
+	}
+
 	renderVector(vector) {
 		//TODO: pdf optimization (there's no need to write all properties everytime)
 		this.pdfDocument.lineWidth(vector.lineWidth || 1);
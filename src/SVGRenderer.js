@@ -0,0 +1,515 @@
+import fs from 'fs';
+import { groupDecorations } from './TextDecorator';
+import { offsetText, preparePageNodeRefLine } from './Renderer';
+import { getInlineAscenderHeight, getInlineImageTop } from './Line';
+import { isNumber, isString } from './helpers/variableType';
+import { isRtlInline } from './bidi';
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+const escapeXml = value => String(value)
+	.replace(/&/g, '&amp;')
+	.replace(/</g, '&lt;')
+	.replace(/>/g, '&gt;')
+	.replace(/"/g, '&quot;');
+
+/**
+ * @param {number} value
+ * @returns {string}
+ */
+const formatNumber = value => String(Math.round(value * 1000) / 1000);
+
+/**
+ * Serializes attributes, null and undefined values are skipped
+ *
+ * @param {object} attributes
+ * @returns {string}
+ */
+const attributesToString = attributes => {
+	let result = '';
+	for (let name in attributes) {
+		let value = attributes[name];
+		if (value === null || value === undefined) {
+			continue;
+		}
+		result += ` ${name}="${isNumber(value) ? formatNumber(value) : escapeXml(value)}"`;
+	}
+	return result;
+};
+
+/**
+ * @param {string} name
+ * @param {object} attributes
+ * @param {?string} content
+ * @returns {string}
+ */
+const element = (name, attributes, content) => {
+	if (content === undefined || content === null) {
+		return `<${name}${attributesToString(attributes)}/>`;
+	}
+	return `<${name}${attributesToString(attributes)}>${content}</${name}>`;
+};
+
+// XML declaration, document type declaration and comments before the root element
+const SVG_PROLOG = /^(\s*(<\?[\s\S]*?\?>|<!DOCTYPE[^[>]*(\[[\s\S]*?\])?\s*>|<!--[\s\S]*?-->))*\s*/i;
+
+/**
+ * CSS font properties of pdfkit font (family name, weight and style of embedded font)
+ *
+ * @param {object} font
+ * @returns {object}
+ */
+const fontAttributes = font => {
+	if (!font.font) { // standard font
+		return { 'font-family': font.name };
+	}
+
+	let os2 = font.font['OS/2'];
+	return {
+		'font-family': font.font.getName('preferredFamily') || font.font.familyName,
+		'font-weight': os2 && os2.usWeightClass !== 400 ? os2.usWeightClass : null,
+		'font-style': font.font.italicAngle !== 0 ? 'italic' : null
+	};
+};
+
+/**
+ * @param {Buffer|Uint8Array} data
+ * @returns {string}
+ */
+const imageDataUrl = data => {
+	let mimeType = data[0] === 0xff && data[1] === 0xd8 ? 'image/jpeg' : 'image/png';
+	return `data:${mimeType};base64,${Buffer.from(data).toString('base64')}`;
+};
+
+/**
+ * Renders pages produced by LayoutBuilder into SVG, one SVG document
+ * (string) per page. Text is positioned with the metrics measured by TextInlines
+ * (inline x and width), so page preview matches the PDF layout.
+ */
+class SVGRenderer {
+	/**
+	 * @param {object} pdfDocument pdfkit document used for layout (provides images)
+	 * @param {?Function} progressCallback
+	 */
+	constructor(pdfDocument, progressCallback) {
+		this.pdfDocument = pdfDocument;
+		this.progressCallback = progressCallback;
+		this.uniqueId = 0; // ids are unique across pages, pages can be inserted into one HTML document
+	}
+
+	/**
+	 * @param {Array} pages
+	 * @returns {Array} SVG document for each page
+	 */
+	renderPages(pages) {
+		this.totalItems = 0;
+		if (this.progressCallback) {
+			pages.forEach(page => {
+				this.totalItems += page.items.length;
+			});
+		}
+
+		this.renderedItems = 0;
+
+		return pages.map(page => this.renderPage(page));
+	}
+
+	/**
+	 * @param {object} page
+	 * @returns {string}
+	 */
+	renderPage(page) {
+		let content = '';
+
+		for (let i = 0, l = page.items.length; i < l; i++) {
+			let item = page.items[i];
+			switch (item.type) {
+				case 'vector':
+					content += this.renderVector(item.item);
+					break;
+				case 'line':
+					content += this.renderLine(item.item, item.item.x, item.item.y);
+					break;
+				case 'image':
+					content += this.renderImage(item.item);
+					break;
+				case 'svg':
+					content += this.renderSVG(item.item);
+					break;
+				case 'beginClip':
+					content += this.beginClip(item.item);
+					break;
+				case 'endClip':
+					content += this.endClip();
+					break;
+			}
+			this.renderedItems++;
+			if (this.progressCallback) {
+				this.progressCallback(this.renderedItems / this.totalItems);
+			}
+		}
+		if (page.watermark) {
+			content += this.renderWatermark(page);
+		}
+
+		let width = page.pageSize.width;
+		let height = page.pageSize.height;
+
+		return element('svg', {
+			xmlns: 'http://www.w3.org/2000/svg',
+			'xmlns:xlink': 'http://www.w3.org/1999/xlink',
+			width: width,
+			height: height,
+			viewBox: `0 0 ${formatNumber(width)} ${formatNumber(height)}`
+		}, content);
+	}
+
+	/**
+	 * @returns {string}
+	 */
+	nextId() {
+		return `pdfmake-${++this.uniqueId}`;
+	}
+
+	renderLine(line, x, y) {
+		if (line._pageNodeRef) {
+			preparePageNodeRefLine(line._pageNodeRef, line.inlines[0]);
+		}
+
+		x = x || 0;
+		y = y || 0;
+
+		let lineHeight = line.getHeight();
+		let ascenderHeight = line.getAscenderHeight();
+		let descent = lineHeight - ascenderHeight;
+
+		let content = this.renderBackground(line, x, y);
+
+		for (let i = 0, l = line.inlines.length; i < l; i++) {
+			let inline = line.inlines[i];
+			let ascender = getInlineAscenderHeight(inline);
+			let shiftToBaseline = lineHeight - ascender - descent;
+
+			if (inline.field) {
+				content += this.renderField(inline, x + inline.x, y + shiftToBaseline);
+				continue;
+			}
+
+			if (inline.image || inline.svg) {
+				let image = Object.assign({}, inline, {
+					x: x + inline.x,
+					y: y + lineHeight - descent - getInlineImageTop(inline)
+				});
+				content += inline.image ? this.renderImage(image) : this.renderSVG(image);
+				continue;
+			}
+
+			if (inline._pageNodeRef) {
+				preparePageNodeRefLine(inline._pageNodeRef, inline);
+			}
+
+			// pdfkit places text by its top, svg by its baseline
+			let baseline = offsetText(y + shiftToBaseline, inline) + ascender;
+
+			// right-to-left text is positioned by its start on the right side
+			let isRtl = isRtlInline(inline);
+			let text = element('text', Object.assign({
+				x: x + inline.x + (isRtl ? inline.width : 0),
+				y: baseline,
+				direction: isRtl ? 'rtl' : null,
+				'font-size': inline.fontSize,
+				fill: inline.color || 'black',
+				opacity: isNumber(inline.opacity) && inline.opacity !== 1 ? inline.opacity : null,
+				textLength: inline.width,
+				lengthAdjust: 'spacing',
+				'xml:space': 'preserve',
+				id: line.id && i === 0 ? line.id : null
+			}, fontAttributes(inline.font)), escapeXml(inline.text));
+
+			if (inline.link) {
+				text = element('a', { 'xlink:href': inline.link }, text);
+			} else if (inline.linkToDestination) {
+				text = element('a', { 'xlink:href': `#${inline.linkToDestination}` }, text);
+			}
+
+			content += text;
+		}
+
+		return content + this.renderDecorations(line, x, y);
+	}
+
+	/**
+	 * Static preview of the form field: box, default value or checked state
+	 *
+	 * @param {object} field measured field inline
+	 * @param {number} x
+	 * @param {number} y
+	 * @returns {string}
+	 */
+	renderField(field, x, y) {
+		let width = field.width;
+		let height = field.height;
+		let size = Math.min(width, height);
+		let isRadio = field.field === 'radio';
+		let box = { fill: field.fillColor || 'none', stroke: field.lineColor || null };
+		let content;
+
+		if (isRadio) {
+			content = element('circle', Object.assign({ cx: x + width / 2, cy: y + height / 2, r: size / 2 - 0.5 }, box));
+		} else {
+			content = element('rect', Object.assign({ x: x + 0.5, y: y + 0.5, width: width - 1, height: height - 1 }, box));
+		}
+
+		if (field.value && isRadio) {
+			content += element('circle', { cx: x + width / 2, cy: y + height / 2, r: size / 4, fill: field.color });
+		} else if (field.value && field.field === 'checkbox') {
+			let points = [[0.2, 0.5], [0.42, 0.75], [0.8, 0.25]].map(point => `${formatNumber(x + width * point[0])},${formatNumber(y + height * point[1])}`);
+			content += element('polyline', { points: points.join(' '), fill: 'none', stroke: field.color, 'stroke-width': size * 0.12, 'stroke-linecap': 'round', 'stroke-linejoin': 'round' });
+		} else if (field.value && (field.field === 'text' || field.field === 'dropdown')) {
+			let ascender = (field.font.ascender / 1000) * field.fontSize;
+			let anchor = { left: 'start', center: 'middle', right: 'end' }[field.alignment] || 'start';
+			content += element('text', Object.assign({
+				x: anchor === 'start' ? x + 2 : (anchor === 'middle' ? x + width / 2 : x + width - 2),
+				y: y + (height - field.font.lineHeight(field.fontSize)) / 2 + ascender,
+				'text-anchor': anchor === 'start' ? null : anchor,
+				'font-size': field.fontSize,
+				fill: field.color || 'black',
+				'xml:space': 'preserve'
+			}, fontAttributes(field.font)), escapeXml(field.value));
+		}
+
+		return element('g', { 'data-field': field.name }, content);
+	}
+
+	renderBackground(line, x, y) {
+		let content = '';
+		let height = line.getHeight();
+		for (let i = 0, l = line.inlines.length; i < l; i++) {
+			let inline = line.inlines[i];
+			if (!inline.background) {
+				continue;
+			}
+			let justifyShift = (inline.justifyShift || 0);
+			content += element('rect', {
+				x: x + inline.x - justifyShift,
+				y: y,
+				width: inline.width + justifyShift,
+				height: height,
+				fill: inline.background
+			});
+		}
+		return content;
+	}
+
+	renderDecorations(line, x, y) {
+		let content = '';
+		let groups = groupDecorations(line);
+		for (let i = 0, l = groups.length; i < l; i++) {
+			content += this.renderDecoration(groups[i], x, y);
+		}
+		return content;
+	}
+
+	renderDecoration(group, x, y) {
+		let biggerInline = group.inlines[0];
+		let totalWidth = 0;
+		group.inlines.forEach(inline => {
+			if (inline.fontSize > biggerInline.fontSize) {
+				biggerInline = inline;
+			}
+			totalWidth += inline.width + (inline.justifyShift || 0);
+		});
+
+		let firstInline = group.inlines[0];
+		let lineAscent = group.line.getAscenderHeight();
+		let ascent = biggerInline.font.ascender / 1000 * biggerInline.fontSize;
+		let descent = biggerInline.height - ascent;
+
+		let lw = 0.5 + Math.floor(Math.max(biggerInline.fontSize - 8, 0) / 2) * 0.12;
+
+		switch (group.decoration) {
+			case 'underline':
+				y += lineAscent + descent * 0.45;
+				break;
+			case 'overline':
+				y += lineAscent - (ascent * 0.85);
+				break;
+			case 'lineThrough':
+				y += lineAscent - (ascent * 0.25);
+				break;
+			default:
+				throw new Error(`Unkown decoration : ${group.decoration}`);
+		}
+
+		let x1 = x + firstInline.x;
+		let x2 = x1 + totalWidth;
+		let attributes = { stroke: group.decorationColor, 'stroke-width': lw };
+
+		switch (group.decorationStyle) {
+			case 'double': {
+				let gap = Math.max(0.5, lw * 2);
+				attributes['stroke-width'] = lw / 2;
+				return element('line', Object.assign({ x1: x1, y1: y - lw / 4, x2: x2, y2: y - lw / 4 }, attributes)) +
+					element('line', Object.assign({ x1: x1, y1: y + gap - lw / 4, x2: x2, y2: y + gap - lw / 4 }, attributes));
+			}
+			case 'dashed':
+				attributes['stroke-dasharray'] = '3.96 2.84';
+				break;
+			case 'dotted':
+				attributes['stroke-dasharray'] = `${formatNumber(lw)} ${formatNumber(lw * 2)}`;
+				break;
+			case 'wavy': {
+				let sh = 0.7, sv = 1;
+				let nbWaves = Math.ceil(totalWidth / (sh * 2)) + 1;
+				let rwx = x1 - 1;
+				let d = `M${formatNumber(rwx)} ${formatNumber(y)}`;
+				for (let i = 0; i < nbWaves && rwx < x2; i++) {
+					d += ` c${sh} ${-sv} ${sh * 2} ${-sv} ${formatNumber(sh * 3)} 0 s${formatNumber(sh * 2)} ${sv} ${formatNumber(sh * 3)} 0`;
+					rwx += sh * 6;
+				}
+				return element('path', { d: d, fill: 'none', stroke: group.decorationColor, 'stroke-width': 0.24 });
+			}
+		}
+
+		return element('line', Object.assign({ x1: x1, y1: y, x2: x2, y2: y }, attributes));
+	}
+
+	renderVector(vector) {
+		let content = '';
+		let gradientId = null;
+
+		if (vector.linearGradient && (vector.type === 'ellipse' || vector.type === 'rect')) {
+			gradientId = this.nextId();
+			let step = 1 / (vector.linearGradient.length - 1);
+			let stops = vector.linearGradient.map((color, i) => element('stop', { offset: i * step, 'stop-color': color })).join('');
+			let x1 = vector.type === 'ellipse' ? vector.x - vector.r1 : vector.x;
+			let x2 = vector.type === 'ellipse' ? vector.x + vector.r1 : vector.x + vector.w;
+
+			content += element('defs', {}, element('linearGradient', {
+				id: gradientId,
+				gradientUnits: 'userSpaceOnUse',
+				x1: x1,
+				y1: vector.y,
+				x2: x2,
+				y2: vector.y
+			}, stops));
+		}
+
+		let fillColor = gradientId ? `url(#${gradientId})` : (isString(vector.color) ? vector.color : null);
+		let fillOpacity = isNumber(vector.fillOpacity) ? vector.fillOpacity : 1;
+		let strokeOpacity = isNumber(vector.strokeOpacity) ? vector.strokeOpacity : 1;
+
+		let attributes = {};
+		if (fillColor) {
+			attributes.fill = fillColor;
+			attributes['fill-opacity'] = fillOpacity !== 1 ? fillOpacity : null;
+		} else {
+			attributes.fill = 'none';
+		}
+
+		if (!fillColor || vector.lineColor) {
+			attributes.stroke = vector.lineColor || 'black';
+			attributes['stroke-opacity'] = strokeOpacity !== 1 ? strokeOpacity : null;
+			attributes['stroke-width'] = vector.lineWidth || 1;
+			attributes['stroke-linejoin'] = vector.lineJoin || null;
+			attributes['stroke-linecap'] = vector.lineCap || null;
+			if (vector.dash) {
+				attributes['stroke-dasharray'] = `${formatNumber(vector.dash.length)} ${formatNumber(vector.dash.space || vector.dash.length)}`;
+				attributes['stroke-dashoffset'] = vector.dash.phase || null;
+			}
+		}
+
+		switch (vector.type) {
+			case 'ellipse':
+				content += element('ellipse', Object.assign({ cx: vector.x, cy: vector.y, rx: vector.r1, ry: vector.r2 }, attributes));
+				break;
+			case 'rect':
+				content += element('rect', Object.assign({ x: vector.x, y: vector.y, width: vector.w, height: vector.h, rx: vector.r || null }, attributes));
+				break;
+			case 'line':
+				content += element('line', Object.assign({ x1: vector.x1, y1: vector.y1, x2: vector.x2, y2: vector.y2 }, attributes));
+				break;
+			case 'polyline': {
+				if (vector.points.length === 0) {
+					break;
+				}
+
+				let p1 = vector.points[0];
+				let pn = vector.points[vector.points.length - 1];
+				let closePath = vector.points.length > 1 && (vector.closePath || p1.x === pn.x && p1.y === pn.y);
+				let points = vector.points.map(point => `${formatNumber(point.x)},${formatNumber(point.y)}`).join(' ');
+
+				content += element(closePath ? 'polygon' : 'polyline', Object.assign({ points: points }, attributes));
+				break;
+			}
+			case 'path':
+				content += element('path', Object.assign({ d: vector.d }, attributes));
+				break;
+		}
+
+		return content;
+	}
+
+	renderImage(image) {
+		let source = this.pdfDocument.getImageSource(image.image);
+		if (isString(source) && source.indexOf('data:') !== 0) {
+			source = fs.readFileSync(source);
+		}
+
+		let content = element('image', {
+			x: image.x,
+			y: image.y,
+			width: image._width,
+			height: image._height,
+			preserveAspectRatio: 'none',
+			opacity: isNumber(image.opacity) && image.opacity !== 1 ? image.opacity : null,
+			'xlink:href': isString(source) ? source : imageDataUrl(source)
+		});
+
+		if (image.link) {
+			content = element('a', { 'xlink:href': image.link }, content);
+		} else if (image.linkToDestination) {
+			content = element('a', { 'xlink:href': `#${image.linkToDestination}` }, content);
+		}
+
+		return content;
+	}
+
+	renderSVG(svg) {
+		// dimensions of svg are already written by DocMeasure, svg is nested into the page without prolog
+		return element('g', { transform: `translate(${formatNumber(svg.x)} ${formatNumber(svg.y)})` }, svg.svg.replace(SVG_PROLOG, ''));
+	}
+
+	beginClip(rect) {
+		let clipId = this.nextId();
+		return element('clipPath', { id: clipId }, element('rect', { x: rect.x, y: rect.y, width: rect.width, height: rect.height })) +
+			`<g clip-path="url(#${clipId})">`;
+	}
+
+	endClip() {
+		return '</g>';
+	}
+
+	renderWatermark(page) {
+		let watermark = page.watermark;
+		let centerX = page.pageSize.width / 2;
+		let centerY = page.pageSize.height / 2;
+
+		let x = centerX - watermark._size.size.width / 2;
+		let y = centerY - watermark._size.size.height / 2;
+
+		return element('text', Object.assign({
+			x: x,
+			y: y + (watermark.font.ascender / 1000) * watermark.fontSize,
+			'font-size': watermark.fontSize,
+			fill: watermark.color,
+			opacity: watermark.opacity,
+			transform: `rotate(${formatNumber(watermark.angle)} ${formatNumber(centerX)} ${formatNumber(centerY)})`,
+			'xml:space': 'preserve'
+		}, fontAttributes(watermark.font)), escapeXml(watermark.text));
+	}
+}
+
+export default SVGRenderer;
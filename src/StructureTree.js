@@ -0,0 +1,244 @@
+/**
+ * Structure tree of tagged PDF (logical structure used by screen readers).
+ *
+ * Structure elements are created from the document structure in order of
+ * the document definition (reading order):
+ * - text -> P, text with headlineLevel -> H1 - H6,
+ * - ul, ol -> L with LI and LBody for each item,
+ * - table -> Table with THead (header rows) and TBody, TR, TH and TD,
+ * - image, svg -> Figure (with alternate text from alt property).
+ *
+ * Renderer wraps rendered items into marked content referencing
+ * structure elements, everything else (borders, list markers, headers, footers,
+ * background, repeated table headers, ...) is marked as an artifact.
+ */
+class StructureTree {
+	/**
+	 * @param {object} pdfDocument
+	 */
+	constructor(pdfDocument) {
+		this.pdfDocument = pdfDocument;
+		this.root = null;
+		this.pages = [];
+	}
+
+	/**
+	 * Creates structure elements for preprocessed and measured document structure,
+	 * elements are assigned to nodes (_structElement property)
+	 *
+	 * @param {object} docStructure
+	 */
+	build(docStructure) {
+		this.root = createElement('Document', null);
+		this.addNode(docStructure, this.root, false);
+	}
+
+	/**
+	 * @param {object} node
+	 * @param {object} parent
+	 * @param {boolean} isRepeatable is in repeated table header
+	 */
+	addNode(node, parent, isRepeatable) {
+		if (node.stack) {
+			node.stack.forEach(item => this.addNode(item, parent, isRepeatable));
+		} else if (node.columns) {
+			node.columns.forEach(column => this.addNode(column, parent, isRepeatable));
+		} else if (node.flowColumns) {
+			this.addNode(node.flowColumns.content, parent, isRepeatable);
+		} else if (node.ul || node.ol) {
+			let list = createElement('L', parent, isRepeatable);
+			(node.ul || node.ol).forEach(item => {
+				let listItem = createElement('LI', list, isRepeatable);
+				this.addNode(item, createElement('LBody', listItem, isRepeatable), isRepeatable);
+			});
+		} else if (node.table) {
+			this.addTable(node, parent, isRepeatable);
+		} else if (node.toc) {
+			if (node.toc.title) {
+				this.addNode(node.toc.title, parent, isRepeatable);
+			}
+			if (node.toc._table) {
+				this.addNode(node.toc._table, parent, isRepeatable);
+			}
+		} else if (node.image || node.svg) {
+			node._structElement = createElement('Figure', parent, isRepeatable);
+			node._structElement.alt = node.alt;
+		} else if (node.text !== undefined) {
+			let headlineLevel = node.headlineLevel ? Math.min(Math.max(Math.round(node.headlineLevel), 1), 6) : null;
+			node._structElement = createElement(headlineLevel ? `H${headlineLevel}` : 'P', parent, isRepeatable);
+		}
+	}
+
+	/**
+	 * @param {object} node table node
+	 * @param {object} parent
+	 * @param {boolean} isRepeatable
+	 */
+	addTable(node, parent, isRepeatable) {
+		let table = createElement('Table', parent, isRepeatable);
+		let headerRows = node.table.headerRows || 0;
+		let head = null;
+		let body = null;
+
+		node.table.body.forEach((row, rowIndex) => {
+			let isHeaderRow = rowIndex < headerRows;
+			let rowGroup;
+			if (isHeaderRow) {
+				rowGroup = head = head || createElement('THead', table, isRepeatable);
+			} else {
+				rowGroup = body = body || createElement('TBody', table, isRepeatable);
+			}
+
+			// header rows are repeated on every page of the table
+			let isRowRepeatable = isRepeatable || isHeaderRow;
+			let tableRow = createElement('TR', rowGroup, isRowRepeatable);
+
+			row.forEach(cell => {
+				if (cell._span) {
+					return;
+				}
+
+				let tableCell = createElement(isHeaderRow ? 'TH' : 'TD', tableRow, isRowRepeatable);
+				tableCell.attributes = { O: 'Table' };
+				if (isHeaderRow) {
+					tableCell.attributes.Scope = 'Column';
+				}
+				if (cell.colSpan > 1) {
+					tableCell.attributes.ColSpan = cell.colSpan;
+				}
+				if (cell.rowSpan > 1) {
+					tableCell.attributes.RowSpan = cell.rowSpan;
+				}
+
+				this.addNode(cell, tableCell, isRowRepeatable);
+			});
+		});
+	}
+
+	/**
+	 * Must be called for every page before its items are rendered
+	 */
+	beginPage() {
+		let page = this.pdfDocument.page;
+		page.dictionary.data.StructParents = this.pages.length;
+		page.dictionary.data.Tabs = 'S';
+
+		this.pages.push({ dictionary: page.dictionary, elements: [] });
+	}
+
+	/**
+	 * Begins marked content of structure element or an artifact
+	 *
+	 * @param {?object} element structure element, artifact if null
+	 */
+	beginMarkedContent(element) {
+		let pageIndex = this.pages.length - 1;
+		let page = this.pages[pageIndex];
+
+		// content of repeated table header is part of the structure only on the first page
+		let isRepeated = element && element.isRepeatable && element.pageIndex !== undefined && element.pageIndex !== pageIndex;
+
+		if (!element || isRepeated) {
+			this.pdfDocument.addContent('/Artifact BMC');
+			return;
+		}
+
+		let mcid = page.elements.length;
+		page.elements.push(element);
+		element.pageIndex = element.pageIndex === undefined ? pageIndex : element.pageIndex;
+		element.kids.push({ pageIndex: pageIndex, mcid: mcid });
+
+		this.pdfDocument.addContent(`/${element.type} <</MCID ${mcid}>> BDC`);
+	}
+
+	endMarkedContent() {
+		this.pdfDocument.addContent('EMC');
+	}
+
+	/**
+	 * Writes structure tree into the document, must be called before the document is ended
+	 */
+	end() {
+		let treeRoot = this.pdfDocument.ref({ Type: 'StructTreeRoot' });
+
+		this.writeElement(this.root, treeRoot);
+
+		let nums = [];
+		this.pages.forEach((page, index) => {
+			nums.push(index, page.elements.map(element => element.ref));
+		});
+
+		treeRoot.data.K = this.root.ref ? [this.root.ref] : [];
+		treeRoot.data.ParentTree = { Nums: nums };
+		treeRoot.data.ParentTreeNextKey = this.pages.length;
+		treeRoot.end();
+
+		this.pdfDocument._root.data.StructTreeRoot = treeRoot;
+		this.pdfDocument._root.data.MarkInfo = { Marked: true };
+	}
+
+	/**
+	 * @param {object} element
+	 * @param {object} parentRef
+	 */
+	writeElement(element, parentRef) {
+		if (!hasContent(element)) {
+			return;
+		}
+
+		element.ref = this.pdfDocument.ref({
+			Type: 'StructElem',
+			S: element.type,
+			P: parentRef
+		});
+
+		element.ref.data.K = element.kids.filter(kid => !kid.type || hasContent(kid)).map(kid => {
+			if (kid.type) {
+				this.writeElement(kid, element.ref);
+				return kid.ref;
+			}
+
+			return { Type: 'MCR', Pg: this.pages[kid.pageIndex].dictionary, MCID: kid.mcid };
+		});
+
+		if (element.alt) {
+			element.ref.data.Alt = new String(element.alt);
+		}
+
+		if (element.attributes) {
+			element.ref.data.A = element.attributes;
+		}
+
+		element.ref.end();
+	}
+}
+
+/**
+ * @param {string} type structure type
+ * @param {?object} parent
+ * @param {boolean} isRepeatable
+ * @returns {object}
+ */
+const createElement = (type, parent, isRepeatable) => {
+	let element = { type: type, kids: [], isRepeatable: isRepeatable };
+	if (parent) {
+		parent.kids.push(element);
+	}
+	return element;
+};
+
+/**
+ * Elements without marked content are omitted, except table cells (empty cells keep table grid)
+ *
+ * @param {object} element
+ * @returns {boolean}
+ */
+const hasContent = element => {
+	if (element.type === 'TD' || element.type === 'TH') {
+		return true;
+	}
+
+	return element.kids.some(kid => !kid.type || hasContent(kid));
+};
+
+export default StructureTree;
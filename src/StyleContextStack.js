@@ -100,7 +100,15 @@ class StyleContextStack {
 			'markerColor',
 			'leadingIndent',
 			'sup',
-			'sub'
+			'sub',
+			'orphans',
+			'widows',
+			'hyphenation',
+			'lineBreaking',
+			'direction',
+			'fontWeight',
+			'fontStretch',
+			'verticalAlignment'
 			//'tableCellPadding'
 			// 'cellBorder',
 			// 'headerCellBorder',
@@ -98,6 +98,8 @@ class TableProcessor {
 		ColumnCalculator.buildColumnWidths(tableNode.table.widths, availableWidth);
 
 		this.tableWidth = tableNode._offsets.total + getTableInnerContentWidth();
+		// right-to-left table is mirrored to the right edge of the available width
+		this.mirrorWidth = tableNode._direction === 'rtl' ? writer.context().availableWidth : null;
 		this.rowSpanData = prepareRowSpanData();
 		this.cleanUpRepeatables = false;
 
@@ -115,6 +117,15 @@ class TableProcessor {
 		this.drawHorizontalLine(0, writer);
 	}
 
+	/**
+	 * @returns {TableProcessor} copy of the processor, rows can be laid out by it on trial
+	 */
+	clone() {
+		let processor = Object.assign(new TableProcessor(this.tableNode), this);
+		processor.rowSpanData = this.rowSpanData.map(data => Object.assign({}, data));
+		return processor;
+	}
+
 	onRowBreak(rowIndex, writer) {
 		return () => {
 			let offset = this.rowPaddingTop + (!this.headerRows ? this.topLineWidth : 0);
@@ -231,7 +242,7 @@ class TableProcessor {
 
 				if (shouldDrawLine) {
 					if (currentLine && currentLine.width) {
-						writer.addVector({
+						this.addVector(writer, {
 							type: 'line',
 							x1: currentLine.left,
 							x2: currentLine.left + currentLine.width,
@@ -312,7 +323,7 @@ class TableProcessor {
 			borderColor = isFunction(this.layout.vLineColor) ? this.layout.vLineColor(vLineColIndex, this.tableNode, vLineRowIndex) : this.layout.vLineColor;
 		}
 
-		writer.addVector({
+		this.addVector(writer, {
 			type: 'line',
 			x1: x + width / 2,
 			x2: x + width / 2,
@@ -327,6 +338,27 @@ class TableProcessor {
 		borderColor = null;
 	}
 
+	/**
+	 * Adds vector of borders or cell background, vector is mirrored horizontally in right-to-left table
+	 *
+	 * @param {object} writer
+	 * @param {object} vector
+	 * @param {...*} args arguments of writer.addVector
+	 */
+	addVector(writer, vector, ...args) {
+		if (isNumber(this.mirrorWidth)) {
+			if (vector.type === 'rect') {
+				vector.x = this.mirrorWidth - vector.x - vector.w;
+			} else {
+				let x1 = vector.x1;
+				vector.x1 = this.mirrorWidth - vector.x2;
+				vector.x2 = this.mirrorWidth - x1;
+			}
+		}
+
+		writer.addVector(vector, ...args);
+	}
+
 	endTable(writer) {
 		if (this.cleanUpRepeatables) {
 			writer.popFromRepeatables();
@@ -457,7 +489,7 @@ class TableProcessor {
 						let y1f = this.dontBreakRows ? y1 : y1 - (hzLineOffset / 2);
 						let x2f = xs[i + 1].x + widthRightBorder;
 						let y2f = this.dontBreakRows ? y2 + this.bottomLineWidth : y2 + (this.bottomLineWidth / 2);
-						writer.addVector({
+						this.addVector(writer, {
 							type: 'rect',
 							x: x1f,
 							y: y1f,
@@ -2,19 +2,51 @@ import LineBreaker from 'linebreak';
 import { isArray, isObject } from './helpers/variableType';
 import StyleContextStack from './StyleContextStack';
 
+const SOFT_HYPHEN = '\u00AD';
+
+/**
+ * Word broken at the hyphenation point (soft hyphen or by hyphenator) is split into parts,
+ * all parts except the last one are marked by hyphen property
+ *
+ * @param {Array} words
+ * @param {string} word
+ * @param {?object} hyphenator instance of Hyphenator
+ */
+const pushHyphenatedWord = (words, word, hyphenator) => {
+	if (word.slice(-1) === SOFT_HYPHEN) {
+		words.push({ text: word.slice(0, -1), hyphen: true });
+		return;
+	}
+
+	let parts = hyphenator ? hyphenator.hyphenate(word) : [word];
+	parts.forEach((part, index) => {
+		if (index < parts.length - 1) {
+			words.push({ text: part, hyphen: true });
+		} else {
+			words.push({ text: part });
+		}
+	});
+};
+
 /**
  * @param {string} text
  * @param {boolean} noWrap
+ * @param {?object} hyphenator instance of Hyphenator
  * @returns {Array}
  */
-const splitWords = (text, noWrap) => {
+const splitWords = (text, noWrap, hyphenator = null) => {
 	let words = [];
 
 	if (noWrap) {
-		words.push({ text: text });
+		words.push({ text: text.replace(/\u00AD/g, '') });
 		return words;
 	}
 
+	// explicit soft hyphens disable automatic hyphenation of the text
+	if (text.indexOf(SOFT_HYPHEN) !== -1) {
+		hyphenator = null;
+	}
+
 	let breaker = new LineBreaker(text);
 	let last = 0;
 	let bk;
@@ -26,7 +58,7 @@ const splitWords = (text, noWrap) => {
 			word = word.replace(/\r?\n$|\r$/, '');
 			words.push({ text: word, lineEnd: true });
 		} else {
-			words.push({ text: word });
+			pushHyphenatedWord(words, word, hyphenator);
 		}
 
 		last = bk.position;
@@ -84,6 +116,13 @@ const getLastWord = (words, noWrap) => {
 };
 
 class TextBreaker {
+	/**
+	 * @param {?object} pdfDocument object is instance of PDFDocument, provides hyphenators
+	 */
+	constructor(pdfDocument = null) {
+		this.pdfDocument = pdfDocument;
+	}
+
 	/**
 	 * @param {string|Array} texts
 	 * @param {StyleContextStack} styleContextStack
@@ -102,15 +141,24 @@ class TextBreaker {
 			let style = null;
 			let words;
 
+			if (isObject(item) && (item.field || item.image || item.svg)) {
+				// form field, image and svg are not breakable, they are placed as one inline
+				results.push(Object.assign({}, item, { text: '' }));
+				lastWord = null;
+				continue;
+			}
+
 			let noWrap = StyleContextStack.getStyleProperty(item || {}, styleContextStack, 'noWrap', false);
+			let hyphenation = StyleContextStack.getStyleProperty(item || {}, styleContextStack, 'hyphenation', null);
+			let hyphenator = hyphenation && this.pdfDocument ? this.pdfDocument.provideHyphenator(hyphenation) : null;
 			if (isObject(item)) {
 				if (item._textRef && item._textRef._textNodeRef.text) {
 					item.text = item._textRef._textNodeRef.text;
 				}
-				words = splitWords(item.text, noWrap);
+				words = splitWords(item.text, noWrap, hyphenator);
 				style = StyleContextStack.copyStyle(item);
 			} else {
-				words = splitWords(item, noWrap);
+				words = splitWords(item, noWrap, hyphenator);
 			}
 
 			if (lastWord && words.length) {
@@ -131,6 +179,10 @@ class TextBreaker {
 					result.lineEnd = true;
 				}
 
+				if (words[i2].hyphen) {
+					result.hyphen = true;
+				}
+
 				StyleContextStack.copyStyle(style, result);
 
 				results.push(result);
@@ -1,6 +1,6 @@
 import { isArray } from './helpers/variableType';
 
-const groupDecorations = line => {
+export const groupDecorations = line => {
 	let groups = [];
 	let currentGroup = null;
 	for (let i = 0, l = line.inlines.length; i < l; i++) {
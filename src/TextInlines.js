@@ -1,10 +1,17 @@
-import { isArray } from './helpers/variableType';
+import { isArray, isNumber, isString, isFunction } from './helpers/variableType';
 import TextBreaker from './TextBreaker';
 import StyleContextStack from './StyleContextStack';
+import { getInlineImageTop } from './Line';
+import { applyBidiLevels } from './bidi';
+import { splitGraphemes } from './TextShaper';
 
 const LEADING = /^(\s)+/g;
 const TRAILING = /(\s)+$/g;
 
+const FIELD_PADDING = 2;
+
+export const HYPHEN = '-';
+
 /**
  * @param {Array} array
  * @returns {Array}
@@ -30,6 +37,75 @@ const flattenTextArray = array => {
 };
 
 
+// joiners and variation selectors do not need a glyph in the font
+const IGNORED_CODE_POINTS = [0x200C, 0x200D, 0xFE0E, 0xFE0F];
+
+/**
+ * @param {object} font pdfkit font
+ * @param {number} codePoint
+ * @returns {boolean}
+ */
+const hasGlyph = (font, codePoint) => {
+	if (font.font && isFunction(font.font.hasGlyphForCodePoint)) { // embedded font
+		return font.font.hasGlyphForCodePoint(codePoint);
+	} else if (font.font && isFunction(font.font.characterToGlyph)) { // standard font
+		return font.font.characterToGlyph(codePoint) !== '.notdef';
+	}
+
+	return true;
+};
+
+/**
+ * @param {Array} fonts fonts of the fallback chain
+ * @param {string} grapheme
+ * @returns {number} index of the first font with glyphs of all characters, the first font if there is none
+ */
+const findFontIndex = (fonts, grapheme) => {
+	let codePoints = Array.from(grapheme).map(char => char.codePointAt(0)).filter(codePoint => IGNORED_CODE_POINTS.indexOf(codePoint) === -1);
+	let index = fonts.findIndex(font => codePoints.every(codePoint => hasGlyph(font, codePoint)));
+
+	return index > -1 ? index : 0;
+};
+
+// widths of CSS font-stretch keywords in percent (values of wdth axis)
+const FONT_STRETCH = {
+	'ultra-condensed': 50,
+	'extra-condensed': 62.5,
+	'condensed': 75,
+	'semi-condensed': 87.5,
+	'normal': 100,
+	'semi-expanded': 112.5,
+	'expanded': 125,
+	'extra-expanded': 150,
+	'ultra-expanded': 200
+};
+
+/**
+ * @param {object} item inline
+ * @param {StyleContextStack} styleContextStack
+ * @returns {?object} axis values of variable fonts by fontWeight (wght) and fontStretch (wdth) style properties
+ */
+const getFontVariation = (item, styleContextStack) => {
+	let fontWeight = StyleContextStack.getStyleProperty(item, styleContextStack, 'fontWeight', null);
+	let fontStretch = StyleContextStack.getStyleProperty(item, styleContextStack, 'fontStretch', null);
+	if (isString(fontStretch)) {
+		fontStretch = FONT_STRETCH[fontStretch];
+	}
+
+	if (!isNumber(fontWeight) && !isNumber(fontStretch)) {
+		return null;
+	}
+
+	let variation = {};
+	if (isNumber(fontWeight)) {
+		variation.wght = fontWeight;
+	}
+	if (isNumber(fontStretch)) {
+		variation.wdth = fontStretch;
+	}
+	return variation;
+};
+
 /**
  * Text measurement utility
  */
@@ -52,7 +128,7 @@ class TextInlines {
 	 */
 	buildInlines(textArray, styleContextStack) {
 		const getTrimmedWidth = item => {
-			return Math.max(0, item.width - item.leadingCut - item.trailingCut);
+			return Math.max(0, item.width + (item.hyphenWidth || 0) - item.leadingCut - item.trailingCut);
 		};
 
 		let minWidth = 0;
@@ -61,9 +137,12 @@ class TextInlines {
 
 		let flattenedTextArray = flattenTextArray(textArray);
 
-		const textBreaker = new TextBreaker();
+		const textBreaker = new TextBreaker(this.pdfDocument);
 		let breakedText = textBreaker.getBreaks(flattenedTextArray, styleContextStack);
 
+		let direction = StyleContextStack.getStyleProperty({}, styleContextStack, 'direction', 'ltr');
+		breakedText = applyBidiLevels(breakedText, direction === 'rtl');
+
 		let measuredText = this.measure(breakedText, styleContextStack);
 
 		measuredText.forEach(inline => {
@@ -94,7 +173,62 @@ class TextInlines {
 		};
 	}
 
+	/**
+	 * Splits inlines into parts drawn by fonts of the fallback chain (list of fonts in the font
+	 * style property followed by fallbackFonts of the document), each grapheme cluster is drawn
+	 * by the first font which has glyphs for it, whitespaces stay in the preceding part.
+	 * Font of the part other than the first font of the chain is set as _fallbackFont.
+	 *
+	 * @param {Array} array inlines
+	 * @param {StyleContextStack} styleContextStack
+	 * @returns {Array}
+	 */
+	splitByFallbackFonts(array, styleContextStack) {
+		let fallbackFonts = this.pdfDocument.fallbackFonts || [];
+		let result = [];
+
+		array.forEach(item => {
+			let font = StyleContextStack.getStyleProperty(item, styleContextStack, 'font', 'Roboto');
+			if (item.text === '' || ((!isArray(font) || font.length <= 1) && fallbackFonts.length === 0)) {
+				result.push(item);
+				return;
+			}
+
+			let bold = StyleContextStack.getStyleProperty(item, styleContextStack, 'bold', false);
+			let italics = StyleContextStack.getStyleProperty(item, styleContextStack, 'italics', false);
+			let fonts = this.pdfDocument.provideFontChain(font, bold, italics, getFontVariation(item, styleContextStack));
+
+			let parts = [];
+			splitGraphemes(item.text).forEach(grapheme => {
+				let lastPart = parts[parts.length - 1];
+				let fontIndex = lastPart && /^\s+$/.test(grapheme) ? lastPart.fontIndex : findFontIndex(fonts, grapheme);
+				if (lastPart && lastPart.fontIndex === fontIndex) {
+					lastPart.text += grapheme;
+				} else {
+					parts.push({ text: grapheme, fontIndex: fontIndex });
+				}
+			});
+
+			parts.forEach((part, index) => {
+				let partItem = parts.length > 1 ? Object.assign({}, item, { text: part.text }) : item;
+				if (part.fontIndex > 0) {
+					partItem._fallbackFont = fonts[part.fontIndex];
+				}
+				if (index < parts.length - 1) {
+					partItem.noNewLine = true;
+					delete partItem.lineEnd;
+					delete partItem.hyphen;
+				}
+				result.push(partItem);
+			});
+		});
+
+		return result;
+	}
+
 	measure(array, styleContextStack) {
+		array = this.splitByFallbackFonts(array, styleContextStack);
+
 		if (array.length) {
 			let leadingIndent = StyleContextStack.getStyleProperty(array[0], styleContextStack, 'leadingIndent', 0);
 			if (leadingIndent) {
@@ -108,9 +242,12 @@ class TextInlines {
 			let bold = StyleContextStack.getStyleProperty(item, styleContextStack, 'bold', false);
 			let italics = StyleContextStack.getStyleProperty(item, styleContextStack, 'italics', false);
 
-			item.font = this.pdfDocument.provideFont(font, bold, italics);
+			let fontFamily = isArray(font) ? font[0] : font;
 
-			item.alignment = StyleContextStack.getStyleProperty(item, styleContextStack, 'alignment', 'left');
+			item.font = item._fallbackFont || this.pdfDocument.provideFont(fontFamily, bold, italics, getFontVariation(item, styleContextStack));
+
+			item.direction = StyleContextStack.getStyleProperty(item, styleContextStack, 'direction', 'ltr');
+			item.alignment = StyleContextStack.getStyleProperty(item, styleContextStack, 'alignment', item.direction === 'rtl' ? 'right' : 'left');
 			item.fontSize = StyleContextStack.getStyleProperty(item, styleContextStack, 'fontSize', 12);
 			item.fontFeatures = StyleContextStack.getStyleProperty(item, styleContextStack, 'fontFeatures', null);
 			item.characterSpacing = StyleContextStack.getStyleProperty(item, styleContextStack, 'characterSpacing', 0);
@@ -134,8 +271,27 @@ class TextInlines {
 
 			let lineHeight = StyleContextStack.getStyleProperty(item, styleContextStack, 'lineHeight', 1);
 
-			item.width = this.widthOfText(item.text, item);
-			item.height = item.font.lineHeight(item.fontSize) * lineHeight;
+			if (item.field) {
+				let size = this.sizeOfField(item);
+				item.width = size.width;
+				item.height = size.height;
+				item.fillColor = StyleContextStack.getStyleProperty(item, styleContextStack, 'fillColor', null);
+			} else if (item.image || item.svg) {
+				// image (measured by DocMeasure) is aligned to the font of the inline,
+				// height of the inline covers the image and the font around the baseline
+				let top = getInlineImageTop(item);
+				item.width = item._width;
+				item.height = Math.max(top, item.font.ascender / 1000 * item.fontSize) + Math.max(item._height - top, -item.font.descender / 1000 * item.fontSize);
+				item._fontFamily = fontFamily;
+			} else {
+				item.width = this.widthOfText(item.text, item);
+				item.height = item.font.lineHeight(item.fontSize) * lineHeight;
+			}
+
+			if (item.hyphen) {
+				// width of hyphen added if the line is broken after the part of the word
+				item.hyphenWidth = this.widthOfText(HYPHEN, item);
+			}
 
 			if (!item.leadingCut) {
 				item.leadingCut = 0;
@@ -171,7 +327,52 @@ class TextInlines {
 	 * @returns {number}
 	 */
 	widthOfText(text, inline) {
-		return inline.font.widthOfString(text, inline.fontSize, inline.fontFeatures) + ((inline.characterSpacing || 0) * (text.length - 1));
+		let characterSpacing = inline.characterSpacing || 0;
+		let glyphCount = text.length;
+		if (characterSpacing && inline.font.shaper) { // spacing is added after glyphs of shaped text (e.g. conjuncts)
+			glyphCount = inline.font.shaper.shape(text, inline.fontFeatures).glyphs.length;
+		}
+
+		return inline.font.widthOfString(text, inline.fontSize, inline.fontFeatures) + (characterSpacing * (glyphCount - 1));
+	}
+
+	/**
+	 * Returns size of the form field, width and height of the field definition
+	 * are used if set, otherwise the size is derived from the font of the field
+	 *
+	 * @param {object} field measured field inline
+	 * @returns {object} size of the field
+	 */
+	sizeOfField(field) {
+		let lineHeight = field.font.lineHeight(field.fontSize);
+		let width;
+		let height;
+
+		switch (field.field) {
+			case 'checkbox':
+			case 'radio':
+				width = height = field.fontSize;
+				break;
+			case 'signature':
+				width = field.fontSize * 15;
+				height = lineHeight * 3;
+				break;
+			default: {
+				height = lineHeight + 2 * FIELD_PADDING;
+
+				let texts = (field.options || []).concat(field.value ? [field.value] : []);
+				let textWidth = Math.max(field.fontSize * 10, ...texts.map(text => this.widthOfText(String(text), field)));
+				width = textWidth + 2 * FIELD_PADDING;
+				if (field.field === 'dropdown') {
+					width += height; // space for drop-down arrow
+				}
+			}
+		}
+
+		return {
+			width: isNumber(field.width) ? field.width : width,
+			height: isNumber(field.height) ? field.height : height
+		};
 	}
 
 	/**
@@ -184,6 +385,9 @@ class TextInlines {
 	sizeOfText(text, styleContextStack) {
 		//TODO: refactor - extract from measure
 		let fontName = StyleContextStack.getStyleProperty({}, styleContextStack, 'font', 'Roboto');
+		if (isArray(fontName)) {
+			fontName = fontName[0];
+		}
 		let fontSize = StyleContextStack.getStyleProperty({}, styleContextStack, 'fontSize', 12);
 		let fontFeatures = StyleContextStack.getStyleProperty({}, styleContextStack, 'fontFeatures', null);
 		let bold = StyleContextStack.getStyleProperty({}, styleContextStack, 'bold', false);
@@ -191,7 +395,7 @@ class TextInlines {
 		let lineHeight = StyleContextStack.getStyleProperty({}, styleContextStack, 'lineHeight', 1);
 		let characterSpacing = StyleContextStack.getStyleProperty({}, styleContextStack, 'characterSpacing', 0);
 
-		let font = this.pdfDocument.provideFont(fontName, bold, italics);
+		let font = this.pdfDocument.provideFont(fontName, bold, italics, getFontVariation({}, styleContextStack));
 
 		return {
 			width: this.widthOfText(text, { font: font, fontSize: fontSize, characterSpacing: characterSpacing, fontFeatures: fontFeatures }),
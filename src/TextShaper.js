@@ -0,0 +1,115 @@
+import { isFunction } from './helpers/variableType';
+
+// characters joined to the previous character: combining marks (including vowel signs of Indic
+// and Southeast Asian scripts), zero width joiners, Thai and Lao sara am, emoji modifiers and tags
+const GRAPHEME_EXTEND = /^(?:\p{M}|[\u200C\u200D]|[\u0E33\u0EB3]|[\u{1F3FB}-\u{1F3FF}]|[\u{E0020}-\u{E007F}])$/u;
+
+// virama joins consonants of Indic scripts into conjuncts
+const VIRAMA = /^[\u094D\u09CD\u0A4D\u0ACD\u0B4D\u0C4D\u0CCD\u0D4D\u1039\u17D2\u1A60]$/;
+
+const LETTER = /^\p{L}$/u;
+
+const ZWJ = '\u200D';
+
+/**
+ * Splits text into grapheme clusters (user-perceived characters), which must not be broken
+ * between lines: base character with its combining marks, consonants joined by virama,
+ * surrogate pairs and emoji sequences joined by ZWJ.
+ *
+ * @param {string} text
+ * @returns {Array} grapheme clusters
+ */
+export const splitGraphemes = text => {
+	let graphemes = [];
+	let previous = null;
+
+	for (let char of text) {
+		let isJoined = previous !== null && (
+			GRAPHEME_EXTEND.test(char) ||
+			(previous === '\r' && char === '\n') ||
+			(VIRAMA.test(previous) && LETTER.test(char)) ||
+			(previous === ZWJ && !/\s/.test(char))
+		);
+
+		if (isJoined) {
+			graphemes[graphemes.length - 1] += char;
+		} else {
+			graphemes.push(char);
+		}
+		previous = char;
+	}
+
+	return graphemes;
+};
+
+/**
+ * Shaping of text by the OpenType layout engine of fontkit, the JavaScript port of HarfBuzz
+ * shapers (Indic, Universal Shaping Engine for Southeast Asian scripts, Arabic and Hangul).
+ * pdfkit lays out text split into words by spaces, the shaper lays out text of the inline
+ * as a whole, so glyphs are substituted and positioned in the context of the whole run.
+ *
+ * Shaper replaces layout of the pdfkit font, which is used both for measuring (widthOfString
+ * called by TextInlines.widthOfText) and for glyph output (encode called when Renderer draws
+ * the text), so measured widths match what is drawn.
+ */
+class TextShaper {
+	/**
+	 * @param {object} font pdfkit embedded font
+	 */
+	constructor(font) {
+		this.font = font;
+		// shaped runs are cached as layouts of pdfkit are, unless disabled by fontLayoutCache option
+		this.cache = font.document && font.document.options.fontLayoutCache === false ? null : Object.create(null);
+	}
+
+	/**
+	 * @param {object} font pdfkit font
+	 * @returns {boolean} true for embedded fonts (standard fonts are not shaped)
+	 */
+	static isShapeable(font) {
+		return !!(font && font.font && isFunction(font.font.layout));
+	}
+
+	/**
+	 * Shapes text of the font by this shaper
+	 */
+	attach() {
+		this.font.layout = (text, features) => this.shape(text, features);
+		this.font.shaper = this;
+	}
+
+	/**
+	 * @param {string} text
+	 * @param {?Array|object} features OpenType features
+	 * @returns {object} shaped run { glyphs, positions, advanceWidth }, positions are in 1000 units per em
+	 */
+	shape(text, features) {
+		let key = features ? `${JSON.stringify(features)}\n${text}` : text;
+
+		if (this.cache && this.cache[key]) {
+			return this.cache[key];
+		}
+
+		let run = this.font.font.layout(text, features || undefined);
+		let scale = this.font.scale;
+		let shaped = {
+			glyphs: run.glyphs,
+			positions: run.positions.map((position, i) => ({
+				xAdvance: position.xAdvance * scale,
+				yAdvance: position.yAdvance * scale,
+				xOffset: position.xOffset * scale,
+				yOffset: position.yOffset * scale,
+				advanceWidth: run.glyphs[i].advanceWidth * scale
+			})),
+			advanceWidth: run.advanceWidth * scale
+		};
+
+		if (this.cache) {
+			this.cache[key] = shaped;
+		}
+
+		return shaped;
+	}
+}
+
+export default TextShaper;
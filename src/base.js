@@ -1,4 +1,6 @@
 import Printer from './Printer';
+import DocValidator from './DocValidator';
+import docDefinitionSchema from './docDefinitionSchema';
 import virtualfs from './virtual-fs';
 import { pack } from './helpers/tools';
 
@@ -17,13 +19,65 @@ class pdfmake {
 	createPdf(docDefinition, options = {}) {
 		options.progressCallback = this.progressCallback;
 		options.tableLayouts = this.tableLayouts;
+		options.hyphenationPatterns = this.hyphenationPatterns;
+		if (options.progressiveRendering === undefined) {
+			options.progressiveRendering = true;
+		}
 
-		let printer = new Printer(this.fonts, this.virtualfs, this.urlResolver);
+		let printer = new Printer(this.fonts, this.virtualfs, this.urlResolver, { sharedFontCache: options.sharedFontCache });
 		const pdfDocumentPromise = printer.createPdfKitDocument(docDefinition, options);
 
 		return this._transformToDocument(pdfDocumentPromise);
 	}
 
+	/**
+	 * Renders document into SVG (e.g. for page previews), one SVG document per page
+	 *
+	 * @param {object} docDefinition
+	 * @param {?object} options
+	 * @returns {Promise<Array>} SVG documents (strings)
+	 */
+	createSvgPages(docDefinition, options = {}) {
+		options.progressCallback = this.progressCallback;
+		options.tableLayouts = this.tableLayouts;
+		options.hyphenationPatterns = this.hyphenationPatterns;
+
+		let printer = new Printer(this.fonts, this.virtualfs, this.urlResolver, { sharedFontCache: options.sharedFontCache });
+		return printer.createSvgPages(docDefinition, options);
+	}
+
+	/**
+	 * Executes layout of the document without rendering PDF
+	 *
+	 * @param {object} docDefinition
+	 * @param {?object} options
+	 * @returns {Promise<object>} serializable page model (pages with lines, inline boxes, vectors, images and node positions)
+	 */
+	layout(docDefinition, options = {}) {
+		options.tableLayouts = this.tableLayouts;
+		options.hyphenationPatterns = this.hyphenationPatterns;
+
+		let printer = new Printer(this.fonts, this.virtualfs, this.urlResolver, { sharedFontCache: options.sharedFontCache });
+		return printer.layoutDocument(docDefinition, options);
+	}
+
+	/**
+	 * Validates document definition against the document definition JSON schema
+	 *
+	 * @param {object} docDefinition
+	 * @returns {Array} list of errors ({ path, message }), empty if document definition is valid
+	 */
+	validate(docDefinition) {
+		return new DocValidator().validate(docDefinition);
+	}
+
+	/**
+	 * @returns {object} JSON schema of the document definition
+	 */
+	getDocDefinitionSchema() {
+		return docDefinitionSchema;
+	}
+
 	setProgressCallback(callback) {
 		this.progressCallback = callback;
 	}
@@ -40,6 +94,13 @@ class pdfmake {
 		this.tableLayouts = {};
 	}
 
+	/**
+	 * @param {object} hyphenationPatterns patterns by language, e.g. { de: '...' } or { de: { patterns, exceptions } }
+	 */
+	addHyphenationPatterns(hyphenationPatterns) {
+		this.hyphenationPatterns = pack(this.hyphenationPatterns, hyphenationPatterns);
+	}
+
 	addFonts(fonts) {
 		this.fonts = pack(this.fonts, fonts);
 	}
@@ -0,0 +1,628 @@
+import { isNumber } from './helpers/variableType';
+
+/**
+ * Bidirectional character types (Unicode Standard Annex #9) of code point ranges,
+ * code points not listed are left-to-right (L)
+ */
+const BIDI_CLASSES = [
+	[0x0009, 0x0009, 'S'],
+	[0x000A, 0x000A, 'B'],
+	[0x000B, 0x000B, 'S'],
+	[0x000C, 0x000C, 'WS'],
+	[0x000D, 0x000D, 'B'],
+	[0x001C, 0x001E, 'B'],
+	[0x001F, 0x001F, 'S'],
+	[0x0020, 0x0020, 'WS'],
+	[0x0021, 0x0022, 'ON'],
+	[0x0023, 0x0025, 'ET'],
+	[0x0026, 0x002A, 'ON'],
+	[0x002B, 0x002B, 'ES'],
+	[0x002C, 0x002C, 'CS'],
+	[0x002D, 0x002D, 'ES'],
+	[0x002E, 0x002F, 'CS'],
+	[0x0030, 0x0039, 'EN'],
+	[0x003A, 0x003A, 'CS'],
+	[0x003B, 0x0040, 'ON'],
+	[0x005B, 0x0060, 'ON'],
+	[0x007B, 0x007E, 'ON'],
+	[0x0085, 0x0085, 'B'],
+	[0x00A0, 0x00A0, 'CS'],
+	[0x00A1, 0x00A1, 'ON'],
+	[0x00A2, 0x00A5, 'ET'],
+	[0x00A6, 0x00A9, 'ON'],
+	[0x00AB, 0x00AF, 'ON'],
+	[0x00B0, 0x00B1, 'ET'],
+	[0x00B2, 0x00B3, 'EN'],
+	[0x00B4, 0x00B4, 'ON'],
+	[0x00B6, 0x00B8, 'ON'],
+	[0x00B9, 0x00B9, 'EN'],
+	[0x00BB, 0x00BF, 'ON'],
+	[0x00D7, 0x00D7, 'ON'],
+	[0x00F7, 0x00F7, 'ON'],
+	[0x0300, 0x036F, 'NSM'],
+	[0x0591, 0x05BD, 'NSM'],
+	[0x05BF, 0x05BF, 'NSM'],
+	[0x05C1, 0x05C2, 'NSM'],
+	[0x05C4, 0x05C5, 'NSM'],
+	[0x05C7, 0x05C7, 'NSM'],
+	[0x0590, 0x05FF, 'R'],
+	[0x060C, 0x060C, 'CS'],
+	[0x0610, 0x061A, 'NSM'],
+	[0x064B, 0x065F, 'NSM'],
+	[0x0660, 0x0669, 'AN'],
+	[0x066A, 0x066A, 'ET'],
+	[0x066B, 0x066C, 'AN'],
+	[0x0670, 0x0670, 'NSM'],
+	[0x06D6, 0x06DC, 'NSM'],
+	[0x06DD, 0x06DD, 'AN'],
+	[0x06DF, 0x06E4, 'NSM'],
+	[0x06E7, 0x06E8, 'NSM'],
+	[0x06EA, 0x06ED, 'NSM'],
+	[0x06F0, 0x06F9, 'EN'],
+	[0x0600, 0x07BF, 'AL'],
+	[0x07C0, 0x085F, 'R'],
+	[0x0860, 0x08FF, 'AL'],
+	[0x2000, 0x200A, 'WS'],
+	[0x200F, 0x200F, 'R'],
+	[0x2010, 0x2027, 'ON'],
+	[0x2028, 0x2028, 'WS'],
+	[0x2029, 0x2029, 'B'],
+	[0x202A, 0x202A, 'LRE'],
+	[0x202B, 0x202B, 'RLE'],
+	[0x202C, 0x202C, 'PDF'],
+	[0x202D, 0x202D, 'LRO'],
+	[0x202E, 0x202E, 'RLO'],
+	[0x2030, 0x2034, 'ET'],
+	[0x2035, 0x205E, 'ON'],
+	[0x205F, 0x205F, 'WS'],
+	[0x2066, 0x2066, 'LRI'],
+	[0x2067, 0x2067, 'RLI'],
+	[0x2068, 0x2068, 'FSI'],
+	[0x2069, 0x2069, 'PDI'],
+	[0x20A0, 0x20CF, 'ET'],
+	[0x2190, 0x2BFF, 'ON'],
+	[0x3000, 0x3000, 'WS'],
+	[0xFB1D, 0xFB4F, 'R'],
+	[0xFB50, 0xFDFF, 'AL'],
+	[0xFE70, 0xFEFF, 'AL'],
+	[0xFFFC, 0xFFFD, 'ON']
+];
+
+const MIRRORED_CHARACTERS = {
+	'(': ')', ')': '(', '[': ']', ']': '[', '{': '}', '}': '{', '<': '>', '>': '<', '\u00AB': '\u00BB', '\u00BB': '\u00AB'
+};
+
+// stands for inlines without text (images, form fields), they are ordered as neutral characters
+const OBJECT_REPLACEMENT = '\uFFFC';
+
+const RTL_TEXT = /[\u0590-\u08FF\u200F\uFB1D-\uFDFF\uFE70-\uFEFF]/;
+
+// right-to-left embeddings, overrides and isolates (first strong isolate may be right-to-left)
+const RTL_CONTROLS = /[\u202B\u202E\u2067\u2068]/;
+
+// maximum explicit embedding level (BD2)
+const MAX_DEPTH = 125;
+
+const ISOLATE_INITIATORS = ['LRI', 'RLI', 'FSI'];
+
+// explicit embeddings and overrides are removed from the resolution of levels by rule X9
+const EMBEDDING_CONTROLS = ['LRE', 'RLE', 'LRO', 'RLO', 'PDF'];
+
+/**
+ * @param {number} code UTF-16 code unit
+ * @returns {string}
+ */
+export const getBidiClass = code => {
+	for (let i = 0, l = BIDI_CLASSES.length; i < l; i++) {
+		let [start, end, bidiClass] = BIDI_CLASSES[i];
+		if (code >= start && code <= end) {
+			return bidiClass;
+		}
+	}
+
+	return 'L';
+};
+
+/**
+ * @param {number} level
+ * @returns {boolean}
+ */
+const isRtlLevel = level => level % 2 === 1;
+
+/**
+ * @param {string} bidiClass resolved class
+ * @returns {string} 'L' or 'R', numbers are handled as R for neutrals (rule N1)
+ */
+const strongDirection = bidiClass => bidiClass === 'L' ? 'L' : 'R';
+
+const isIsolateInitiator = bidiClass => ISOLATE_INITIATORS.indexOf(bidiClass) > -1;
+
+const isIsolateControl = bidiClass => isIsolateInitiator(bidiClass) || bidiClass === 'PDI';
+
+const isRemoved = bidiClass => EMBEDDING_CONTROLS.indexOf(bidiClass) > -1;
+
+const isNeutral = bidiClass => ['B', 'S', 'WS', 'ON'].indexOf(bidiClass) > -1 || isIsolateControl(bidiClass);
+
+/**
+ * Matching PDIs of isolate initiators (BD9)
+ *
+ * @param {Array} types bidi classes of characters
+ * @returns {Array} index of the matching PDI by index of isolate initiator, -1 for isolate closed by the end of the paragraph
+ */
+const getMatchingPDIs = types => {
+	let matches = [];
+	let open = [];
+
+	types.forEach((type, index) => {
+		if (isIsolateInitiator(type)) {
+			matches[index] = -1;
+			open.push(index);
+		} else if (type === 'PDI' && open.length > 0) {
+			matches[open.pop()] = index;
+		} else if (type === 'B') {
+			open = [];
+		}
+	});
+
+	return matches;
+};
+
+/**
+ * First strong class of the text (rules P2-P3), characters of isolates are skipped
+ *
+ * @param {Array} types bidi classes of characters
+ * @param {number} start
+ * @param {Array} matches matching PDIs of isolate initiators
+ * @returns {?string} 'L', 'R' or 'AL', null if the text has no strong character
+ */
+const getFirstStrongClass = (types, start, matches) => {
+	for (let i = start; i < types.length && types[i] !== 'B' && types[i] !== 'PDI'; i++) {
+		if (types[i] === 'L' || types[i] === 'R' || types[i] === 'AL') {
+			return types[i];
+		} else if (isIsolateInitiator(types[i])) {
+			if (matches[i] === -1) {
+				return null;
+			}
+			i = matches[i];
+		}
+	}
+
+	return null;
+};
+
+/**
+ * Resolves explicit embedding levels (rules X1-X8) by the directional status stack,
+ * types of characters of overrides are changed to the direction of the override
+ *
+ * @param {Array} types bidi classes of characters
+ * @param {number} baseLevel
+ * @param {Array} matches matching PDIs of isolate initiators
+ * @returns {Array} explicit levels of characters
+ */
+const getExplicitLevels = (types, baseLevel, matches) => {
+	let levels = [];
+	let stack;
+	let overflowIsolates;
+	let overflowEmbeddings;
+	let validIsolates;
+
+	const reset = () => {
+		stack = [{ level: baseLevel, override: null, isolate: false }];
+		overflowIsolates = 0;
+		overflowEmbeddings = 0;
+		validIsolates = 0;
+	};
+
+	const push = (isRtl, override, isolate) => {
+		let level = stack[stack.length - 1].level;
+		level = isRtl ? (level + 1) | 1 : (level + 2) & ~1;
+		if (level <= MAX_DEPTH && overflowIsolates === 0 && overflowEmbeddings === 0) {
+			stack.push({ level: level, override: override, isolate: isolate });
+			return true;
+		}
+		return false;
+	};
+
+	const setLevel = index => {
+		let top = stack[stack.length - 1];
+		levels[index] = top.level;
+		if (top.override) {
+			types[index] = top.override;
+		}
+	};
+
+	reset();
+	types.forEach((type, index) => {
+		switch (type) {
+			case 'RLE':
+			case 'LRE':
+			case 'RLO':
+			case 'LRO': // X2 - X5
+				levels[index] = stack[stack.length - 1].level;
+				if (!push(type[0] === 'R', type[2] === 'O' ? type[0] : null, false) && overflowIsolates === 0) {
+					overflowEmbeddings++;
+				}
+				break;
+			case 'RLI':
+			case 'LRI':
+			case 'FSI': { // X5a - X5c
+				setLevel(index);
+				let isRtl = type === 'RLI' || (type === 'FSI' && ['R', 'AL'].indexOf(getFirstStrongClass(types, index + 1, matches)) > -1);
+				if (push(isRtl, null, true)) {
+					validIsolates++;
+				} else {
+					overflowIsolates++;
+				}
+				break;
+			}
+			case 'PDI': // X6a
+				if (overflowIsolates > 0) {
+					overflowIsolates--;
+				} else if (validIsolates > 0) {
+					overflowEmbeddings = 0;
+					while (!stack[stack.length - 1].isolate) {
+						stack.pop();
+					}
+					stack.pop();
+					validIsolates--;
+				}
+				setLevel(index);
+				break;
+			case 'PDF': // X7
+				levels[index] = stack[stack.length - 1].level;
+				if (overflowIsolates > 0) {
+					break;
+				} else if (overflowEmbeddings > 0) {
+					overflowEmbeddings--;
+				} else if (!stack[stack.length - 1].isolate && stack.length > 1) {
+					stack.pop();
+				}
+				break;
+			case 'B': // X8
+				levels[index] = baseLevel;
+				reset();
+				break;
+			default: // X6
+				setLevel(index);
+		}
+	});
+
+	return levels;
+};
+
+/**
+ * Isolating run sequences (rule X10), level runs of characters not removed by rule X9,
+ * level runs ending with isolate initiator continue with the level run starting with its matching PDI
+ *
+ * @param {Array} types bidi classes of characters
+ * @param {Array} levels explicit levels of characters
+ * @param {Array} matches matching PDIs of isolate initiators
+ * @returns {Array} indexes of characters of sequences
+ */
+const getIsolatingRunSequences = (types, levels, matches) => {
+	let runs = [];
+	let run = null;
+	types.forEach((type, index) => {
+		if (isRemoved(type)) {
+			return;
+		}
+
+		if (run && levels[index] === levels[run[0]]) {
+			run.push(index);
+		} else {
+			run = [index];
+			runs.push(run);
+		}
+	});
+
+	let runsByStart = {};
+	runs.forEach(run => {
+		runsByStart[run[0]] = run;
+	});
+	let matchedPDIs = matches.filter(match => match > -1);
+
+	let sequences = [];
+	runs.forEach(run => {
+		if (types[run[0]] === 'PDI' && matchedPDIs.indexOf(run[0]) > -1) {
+			return; // sequence of the isolate initiator
+		}
+
+		let sequence = [];
+		while (run) {
+			sequence.push(...run);
+			let last = run[run.length - 1];
+			run = isIsolateInitiator(types[last]) && matches[last] > -1 ? runsByStart[matches[last]] : null;
+		}
+		sequences.push(sequence);
+	});
+
+	return sequences;
+};
+
+/**
+ * Resolves weak and neutral types (rules W1-W7 and N1-N2) of the isolating run sequence
+ *
+ * @param {Array} types types of characters of the sequence
+ * @param {string} embedding direction of the embedding level of the sequence ('L' or 'R')
+ * @param {string} sos type of the start of the sequence ('L' or 'R')
+ * @param {string} eos type of the end of the sequence ('L' or 'R')
+ * @returns {Array} resolved types ('L', 'R', 'EN' or 'AN')
+ */
+const resolveSequence = (types, embedding, sos, eos) => {
+	let count = types.length;
+
+	// W1 - W3
+	let lastStrong = sos;
+	for (let i = 0; i < count; i++) {
+		if (types[i] === 'NSM') {
+			if (i === 0) {
+				types[i] = sos;
+			} else {
+				types[i] = isIsolateControl(types[i - 1]) ? 'ON' : types[i - 1];
+			}
+		}
+
+		if (types[i] === 'L' || types[i] === 'R' || types[i] === 'AL') {
+			lastStrong = types[i];
+		} else if (types[i] === 'EN' && lastStrong === 'AL') {
+			types[i] = 'AN';
+		}
+	}
+	types = types.map(type => type === 'AL' ? 'R' : type);
+
+	// W4
+	for (let i = 1; i < count - 1; i++) {
+		if (types[i] === 'ES' && types[i - 1] === 'EN' && types[i + 1] === 'EN') {
+			types[i] = 'EN';
+		} else if (types[i] === 'CS' && types[i - 1] === types[i + 1] && (types[i - 1] === 'EN' || types[i - 1] === 'AN')) {
+			types[i] = types[i - 1];
+		}
+	}
+
+	// W5
+	for (let i = 0; i < count; i++) {
+		if (types[i] === 'ET') {
+			let end = i;
+			while (end < count && types[end] === 'ET') {
+				end++;
+			}
+			if ((i > 0 && types[i - 1] === 'EN') || (end < count && types[end] === 'EN')) {
+				types.fill('EN', i, end);
+			}
+			i = end - 1;
+		}
+	}
+
+	// W6 - W7
+	lastStrong = sos;
+	for (let i = 0; i < count; i++) {
+		if (types[i] === 'ES' || types[i] === 'ET' || types[i] === 'CS') {
+			types[i] = 'ON';
+		} else if (types[i] === 'L' || types[i] === 'R') {
+			lastStrong = types[i];
+		} else if (types[i] === 'EN' && lastStrong === 'L') {
+			types[i] = 'L';
+		}
+	}
+
+	// N1 - N2
+	for (let i = 0; i < count; i++) {
+		if (isNeutral(types[i])) {
+			let end = i;
+			while (end < count && isNeutral(types[end])) {
+				end++;
+			}
+			let before = i > 0 ? strongDirection(types[i - 1]) : sos;
+			let after = end < count ? strongDirection(types[end]) : eos;
+			types.fill(before === after ? before : embedding, i, end);
+			i = end - 1;
+		}
+	}
+
+	return types;
+};
+
+/**
+ * Resolves embedding levels of characters of the paragraph by the Unicode Bidirectional
+ * Algorithm (rules X1-X10, W1-W7, N1-N2, I1-I2 and L1) including explicit embeddings,
+ * overrides and isolates (formatting characters), brackets are resolved as other neutrals.
+ *
+ * @param {string} text text of the paragraph
+ * @param {number} baseLevel 0 for left-to-right paragraph, 1 for right-to-left
+ * @returns {Array} levels of characters (UTF-16 code units)
+ */
+export const getBidiLevels = (text, baseLevel = 0) => {
+	let originalTypes = [];
+	for (let i = 0; i < text.length; i++) {
+		originalTypes.push(getBidiClass(text.charCodeAt(i)));
+	}
+	let types = originalTypes.slice();
+	let count = types.length;
+
+	// X1 - X8
+	let matches = getMatchingPDIs(originalTypes);
+	let levels = getExplicitLevels(types, baseLevel, matches);
+
+	// level of the nearest character not removed by rule X9, the base level if there is none
+	const getAdjacentLevel = (index, step) => {
+		for (let i = index + step; i >= 0 && i < count; i += step) {
+			if (!isRemoved(originalTypes[i])) {
+				return levels[i];
+			}
+		}
+		return baseLevel;
+	};
+	const getDirection = level => isRtlLevel(level) ? 'R' : 'L';
+
+	// X10, W1 - W7, N1 - N2
+	let resolvedTypes = types.slice();
+	getIsolatingRunSequences(originalTypes, levels, matches).forEach(sequence => {
+		let first = sequence[0];
+		let last = sequence[sequence.length - 1];
+		let level = levels[first];
+		let sos = getDirection(Math.max(level, getAdjacentLevel(first, -1)));
+		let eos = getDirection(Math.max(level, isIsolateInitiator(originalTypes[last]) ? baseLevel : getAdjacentLevel(last, 1)));
+
+		let sequenceTypes = resolveSequence(sequence.map(index => types[index]), getDirection(level), sos, eos);
+		sequence.forEach((index, i) => {
+			resolvedTypes[index] = sequenceTypes[i];
+		});
+	});
+
+	// I1 - I2, removed characters are on the level of the preceding character
+	for (let i = 0; i < count; i++) {
+		let level = levels[i];
+		let type = resolvedTypes[i];
+		if (isRemoved(originalTypes[i])) {
+			levels[i] = i > 0 ? levels[i - 1] : baseLevel;
+		} else if (!isRtlLevel(level)) {
+			levels[i] = type === 'R' ? level + 1 : (type === 'AN' || type === 'EN' ? level + 2 : level);
+		} else {
+			levels[i] = type === 'L' || type === 'AN' || type === 'EN' ? level + 1 : level;
+		}
+	}
+
+	// L1 - whitespaces and isolate controls before separators and at the end of the paragraph are on the base level
+	let isTrailing = true;
+	for (let i = count - 1; i >= 0; i--) {
+		let type = originalTypes[i];
+		if (type === 'B' || type === 'S') {
+			levels[i] = baseLevel;
+			isTrailing = true;
+		} else if ((type === 'WS' || isIsolateControl(type) || isRemoved(type)) && isTrailing) {
+			levels[i] = baseLevel;
+		} else {
+			isTrailing = false;
+		}
+	}
+
+	return levels;
+};
+
+/**
+ * Visual order of items by their levels (rule L2), from the highest level to the lowest
+ * odd level each sequence of items at that level or higher is reversed
+ *
+ * @param {Array} levels
+ * @returns {Array} indexes of items in visual order
+ */
+export const getVisualOrder = levels => {
+	let order = levels.map((level, index) => index);
+	if (levels.length === 0) {
+		return order;
+	}
+
+	let maxLevel = Math.max(...levels);
+	let lowestOddLevel = Math.min(...levels.map(level => isRtlLevel(level) ? level : level + 1));
+
+	for (let level = maxLevel; level >= lowestOddLevel; level--) {
+		for (let i = 0; i < order.length; i++) {
+			if (levels[order[i]] >= level) {
+				let end = i;
+				while (end + 1 < order.length && levels[order[end + 1]] >= level) {
+					end++;
+				}
+				let reversed = order.slice(i, end + 1).reverse();
+				order.splice(i, reversed.length, ...reversed);
+				i = end;
+			}
+		}
+	}
+
+	return order;
+};
+
+/**
+ * Sets bidi level to inlines of the paragraph, inline with characters at different
+ * levels is split into parts which are not wrapped (noNewLine) between each other.
+ * Inlines of left-to-right paragraph without right-to-left characters are not changed.
+ *
+ * @param {Array} inlines inlines of the paragraph in logical order
+ * @param {boolean} isRtl right-to-left paragraph
+ * @returns {Array}
+ */
+export const applyBidiLevels = (inlines, isRtl) => {
+	let texts = inlines.map(inline => inline.text === '' ? OBJECT_REPLACEMENT : inline.text);
+	if (!isRtl && !RTL_TEXT.test(texts.join('')) && !RTL_CONTROLS.test(texts.join(''))) {
+		return inlines;
+	}
+
+	let levels = getBidiLevels(texts.join(''), isRtl ? 1 : 0);
+	let result = [];
+	let position = 0;
+
+	inlines.forEach((inline, index) => {
+		let text = texts[index];
+		let parts = [];
+		for (let i = 0; i < text.length; i++) {
+			let level = levels[position + i];
+			if (parts.length > 0 && parts[parts.length - 1].bidiLevel === level) {
+				parts[parts.length - 1].end = i + 1;
+			} else {
+				parts.push({ start: i, end: i + 1, bidiLevel: level });
+			}
+		}
+		position += text.length;
+
+		if (parts.length <= 1) {
+			inline.bidiLevel = parts.length > 0 ? parts[0].bidiLevel : (isRtl ? 1 : 0);
+			result.push(inline);
+			return;
+		}
+
+		parts.forEach((part, partIndex) => {
+			let isLast = partIndex === parts.length - 1;
+			let splitInline = Object.assign({}, inline, {
+				text: inline.text.slice(part.start, part.end),
+				bidiLevel: part.bidiLevel
+			});
+			if (!isLast) {
+				splitInline.noNewLine = true;
+				delete splitInline.lineEnd;
+				delete splitInline.hyphen;
+			}
+			result.push(splitInline);
+		});
+	});
+
+	return result;
+};
+
+/**
+ * Text of the inline in order for drawing. Fonts lay out text from right to left
+ * if its first character with a script is of right-to-left script, text at odd level
+ * without such character (e.g. punctuation) and numbers of right-to-left scripts
+ * at even level are reversed (with mirrored brackets) to be drawn in the right direction.
+ *
+ * @param {object} inline
+ * @returns {string}
+ */
+export const getVisualText = inline => {
+	let text = inline.text;
+	if (!isNumber(inline.bidiLevel)) {
+		return text;
+	}
+
+	let laidOutRtl = false;
+	for (let i = 0; i < text.length; i++) {
+		let code = text.charCodeAt(i);
+		if (RTL_TEXT.test(text.charAt(i))) {
+			laidOutRtl = true;
+			break;
+		} else if (getBidiClass(code) === 'L') {
+			break;
+		}
+	}
+
+	if (laidOutRtl === isRtlLevel(inline.bidiLevel)) {
+		return text;
+	}
+
+	return Array.from(text).reverse().map(char => MIRRORED_CHARACTERS[char] || char).join('');
+};
+
+/**
+ * @param {object} inline
+ * @returns {boolean}
+ */
+export const isRtlInline = inline => isNumber(inline.bidiLevel) && isRtlLevel(inline.bidiLevel);
@@ -27,12 +27,12 @@ class pdfmake extends pdfmakeBase {
 		this.fonts = defaultClientFonts;
 	}
 
-	createPdf(docDefinition) {
+	createPdf(docDefinition, options) {
 		if (!isBrowserSupported()) {
 			throw new Error('Your browser does not provide the level of support needed');
 		}
 
-		return super.createPdf(docDefinition);
+		return super.createPdf(docDefinition, options);
 	}
 
 	addFontContainer(fontContainer) {
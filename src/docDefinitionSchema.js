@@ -0,0 +1,505 @@
+/**
+ * JSON Schema (draft-07) of the document definition.
+ *
+ * Schema is plain JSON-serializable object. In addition to standard keywords
+ * it uses the `typeof` keyword (known from ajv-keywords) for properties
+ * accepting functions (header, footer, background, ...).
+ */
+
+const ref = name => ({ $ref: `#/definitions/${name}` });
+
+const functionType = { typeof: 'function' };
+
+const number = { type: 'number' };
+const string = { type: 'string' };
+const boolean = { type: 'boolean' };
+const color = { type: 'string' };
+
+const stringOrStringArray = {
+	anyOf: [
+		string,
+		{ type: 'array', items: string }
+	]
+};
+
+// named style(s) or style overrides object
+const styleReference = {
+	anyOf: [
+		string,
+		{ type: 'array', items: string },
+		ref('style')
+	]
+};
+
+// empty object is rendered as empty text
+const emptyObject = { type: 'object', properties: {}, additionalProperties: false };
+
+const point = {
+	type: 'object',
+	properties: {
+		x: number,
+		y: number
+	},
+	additionalProperties: false
+};
+
+const styleProperties = {
+	font: stringOrStringArray,
+	fontSize: number,
+	fontFeatures: { type: 'array', items: string },
+	bold: boolean,
+	italics: boolean,
+	fontWeight: { type: 'number', minimum: 1, maximum: 1000 },
+	fontStretch: {
+		anyOf: [
+			{ type: 'number', exclusiveMinimum: 0 },
+			{ enum: ['ultra-condensed', 'extra-condensed', 'condensed', 'semi-condensed', 'normal', 'semi-expanded', 'expanded', 'extra-expanded', 'ultra-expanded'] }
+		]
+	},
+	alignment: { enum: ['left', 'right', 'center', 'justify'] },
+	color: color,
+	columnGap: number,
+	fillColor: color,
+	fillOpacity: number,
+	decoration: {
+		anyOf: [
+			ref('decoration'),
+			{ type: 'array', items: ref('decoration') }
+		]
+	},
+	decorationStyle: { enum: ['solid', 'double', 'dashed', 'dotted', 'wavy'] },
+	decorationColor: color,
+	background: color,
+	lineHeight: number,
+	characterSpacing: number,
+	noWrap: boolean,
+	markerColor: color,
+	leadingIndent: number,
+	sup: boolean,
+	sub: boolean,
+	orphans: { type: 'integer', minimum: 1 },
+	widows: { type: 'integer', minimum: 1 },
+	hyphenation: { anyOf: [string, { enum: [false] }] },
+	lineBreaking: { enum: ['greedy', 'optimal'] },
+	direction: { enum: ['ltr', 'rtl'] },
+	verticalAlignment: { enum: ['top', 'middle', 'bottom'] },
+	opacity: number,
+	preserveLeadingSpaces: boolean,
+	preserveTrailingSpaces: boolean
+};
+
+const marginProperties = {
+	margin: ref('margin'),
+	marginLeft: number,
+	marginTop: number,
+	marginRight: number,
+	marginBottom: number
+};
+
+const linkProperties = {
+	link: string,
+	linkToPage: number,
+	linkToDestination: string
+};
+
+// properties available on every node, including properties of table cells,
+// columns and list items (a node can be placed anywhere)
+const nodeProperties = Object.assign({
+	id: string,
+	style: styleReference,
+	pageBreak: { enum: ['before', 'after', 'beforeOdd', 'beforeEven', 'afterOdd', 'afterEven'] },
+	pageOrientation: ref('pageOrientation'),
+	absolutePosition: point,
+	relativePosition: point,
+	unbreakable: boolean,
+	keepWithNext: boolean,
+	keepTogether: boolean,
+	headlineLevel: number,
+	width: ref('size'),
+	colSpan: { type: 'integer', minimum: 1 },
+	rowSpan: { type: 'integer', minimum: 1 },
+	border: { type: 'array', items: boolean, minItems: 4, maxItems: 4 },
+	borderColor: { type: 'array', items: color, minItems: 4, maxItems: 4 },
+	listType: string,
+	counter: number,
+	marker: {
+		type: 'object',
+		additionalProperties: { type: ['string', 'number'] }
+	},
+	outline: {
+		anyOf: [
+			boolean,
+			{
+				type: 'object',
+				properties: {
+					title: string,
+					level: { type: 'integer', minimum: 1 }
+				},
+				additionalProperties: false
+			}
+		]
+	}
+}, styleProperties, marginProperties, linkProperties);
+
+const textProperties = {
+	text: ref('textContent'),
+	pageReference: string,
+	textReference: string,
+	tocItem: {
+		anyOf: [
+			boolean,
+			string,
+			{ type: 'array', items: string }
+		]
+	},
+	tocStyle: styleReference,
+	tocMargin: ref('margin'),
+	tocNumberStyle: styleReference,
+	maxHeight: number,
+	footnote: ref('textContent')
+};
+
+const imageSizeProperties = {
+	height: number,
+	fit: { type: 'array', items: number, minItems: 2, maxItems: 2 },
+	maxWidth: number,
+	maxHeight: number,
+	minWidth: number,
+	minHeight: number
+};
+
+const floatSide = { enum: ['left', 'right'] };
+
+const inlineVerticalAlign = { enum: ['baseline', 'top', 'middle', 'bottom'] };
+
+/**
+ * @param {string} key property identifying the node type
+ * @param {object} properties node specific properties
+ * @returns {object}
+ */
+const nodeSchema = (key, properties) => ({
+	type: 'object',
+	required: [key],
+	properties: Object.assign({}, nodeProperties, properties),
+	additionalProperties: false
+});
+
+const nodeTypes = ['text', 'stack', 'columns', 'flowColumns', 'ul', 'ol', 'table', 'toc', 'image', 'svg', 'canvas', 'qr', 'field'];
+
+const schema = {
+	$schema: 'http://json-schema.org/draft-07/schema#',
+	$id: 'https://pdfmake.org/schemas/document-definition.json',
+	title: 'pdfmake document definition',
+	type: 'object',
+	required: ['content'],
+	properties: {
+		content: ref('node'),
+		styles: {
+			type: 'object',
+			additionalProperties: ref('style')
+		},
+		defaultStyle: ref('style'),
+		pageSize: {
+			anyOf: [
+				string,
+				{
+					type: 'object',
+					required: ['width', 'height'],
+					properties: {
+						width: number,
+						height: { anyOf: [number, { const: 'auto' }] }
+					},
+					additionalProperties: false
+				}
+			]
+		},
+		pageOrientation: ref('pageOrientation'),
+		pageMargins: ref('margin'),
+		header: ref('dynamicContent'),
+		footer: ref('dynamicContent'),
+		background: ref('dynamicContent'),
+		watermark: {
+			anyOf: [
+				string,
+				{
+					type: 'object',
+					required: ['text'],
+					properties: {
+						text: string,
+						font: string,
+						fontSize: { anyOf: [number, { const: 'auto' }] },
+						color: color,
+						opacity: number,
+						bold: boolean,
+						italics: boolean,
+						angle: number
+					},
+					additionalProperties: false
+				}
+			]
+		},
+		info: {
+			type: 'object',
+			additionalProperties: { type: ['string', 'object'] }
+		},
+		images: {
+			type: 'object',
+			additionalProperties: { type: ['string', 'object'] }
+		},
+		compress: boolean,
+		version: { enum: ['1.3', '1.4', '1.5', '1.6', '1.7', '1.7ext3'] },
+		userPassword: string,
+		ownerPassword: string,
+		permissions: {
+			type: 'object',
+			properties: {
+				printing: { enum: ['lowResolution', 'highResolution'] },
+				modifying: boolean,
+				copying: boolean,
+				annotating: boolean,
+				fillingForms: boolean,
+				contentAccessibility: boolean,
+				documentAssembly: boolean
+			},
+			additionalProperties: false
+		},
+		tagged: boolean,
+		pdfA: { enum: ['1b', '2b'] },
+		language: string,
+		outline: boolean,
+		pageBreakBefore: functionType,
+		maxPagesNumber: number
+	},
+	additionalProperties: false,
+	definitions: {
+		node: {
+			title: `content node (string, number, array or an object with one of properties: ${nodeTypes.join(', ')})`,
+			anyOf: [
+				{ type: ['string', 'number', 'boolean', 'null'] },
+				{ type: 'array', items: ref('node') },
+				emptyObject,
+				ref('textNode'),
+				ref('pageReferenceNode'),
+				ref('textReferenceNode'),
+				ref('stackNode'),
+				ref('columnsNode'),
+				ref('flowColumnsNode'),
+				ref('ulNode'),
+				ref('olNode'),
+				ref('tableNode'),
+				ref('tocNode'),
+				ref('imageNode'),
+				ref('svgNode'),
+				ref('canvasNode'),
+				ref('qrNode'),
+				ref('fieldNode')
+			]
+		},
+		textNode: nodeSchema('text', textProperties),
+		pageReferenceNode: nodeSchema('pageReference', textProperties),
+		textReferenceNode: nodeSchema('textReference', textProperties),
+		textContent: {
+			title: 'text (string, number, inline object or an array of them)',
+			anyOf: [
+				{ type: ['string', 'number', 'boolean', 'null'] },
+				{ type: 'array', items: ref('textContent') },
+				ref('textNode'),
+				ref('pageReferenceNode'),
+				ref('textReferenceNode'),
+				ref('fieldNode'),
+				ref('imageNode'),
+				ref('svgNode')
+			]
+		},
+		stackNode: nodeSchema('stack', {
+			stack: { type: 'array', items: ref('node') }
+		}),
+		columnsNode: nodeSchema('columns', {
+			columns: { type: 'array', items: ref('node') }
+		}),
+		flowColumnsNode: nodeSchema('flowColumns', {
+			flowColumns: {
+				type: 'object',
+				required: ['content'],
+				properties: {
+					count: { type: 'integer', minimum: 1 },
+					gap: number,
+					balance: boolean,
+					content: ref('node')
+				},
+				additionalProperties: false
+			}
+		}),
+		ulNode: nodeSchema('ul', {
+			ul: { type: 'array', items: ref('node') },
+			type: { enum: ['disc', 'square', 'circle', 'none'] }
+		}),
+		olNode: nodeSchema('ol', {
+			ol: { type: 'array', items: ref('node') },
+			type: { enum: ['decimal', 'lower-alpha', 'upper-alpha', 'lower-roman', 'upper-roman', 'none'] },
+			start: number,
+			reversed: boolean,
+			separator: stringOrStringArray
+		}),
+		tableNode: nodeSchema('table', {
+			table: {
+				type: 'object',
+				required: ['body'],
+				properties: {
+					body: {
+						type: 'array',
+						items: {
+							type: 'array',
+							items: ref('node')
+						}
+					},
+					widths: {
+						anyOf: [
+							ref('size'),
+							{ type: 'array', items: ref('size') }
+						]
+					},
+					heights: {
+						anyOf: [
+							ref('size'),
+							{ type: 'array', items: ref('size') },
+							functionType
+						]
+					},
+					headerRows: { type: 'integer', minimum: 0 },
+					keepWithHeaderRows: { type: 'integer', minimum: 0 },
+					dontBreakRows: boolean
+				},
+				additionalProperties: false
+			},
+			layout: {
+				anyOf: [
+					string,
+					{ type: 'object' }
+				]
+			}
+		}),
+		tocNode: nodeSchema('toc', {
+			toc: {
+				type: 'object',
+				properties: {
+					id: string,
+					title: ref('node'),
+					textStyle: styleReference,
+					numberStyle: styleReference,
+					textMargin: ref('margin')
+				},
+				additionalProperties: false
+			}
+		}),
+		imageNode: nodeSchema('image', Object.assign({
+			image: { type: ['string', 'object'] },
+			alt: string,
+			float: floatSide,
+			verticalAlign: inlineVerticalAlign
+		}, imageSizeProperties)),
+		svgNode: nodeSchema('svg', Object.assign({
+			svg: string,
+			alt: string,
+			options: { type: 'object' },
+			float: floatSide,
+			verticalAlign: inlineVerticalAlign
+		}, imageSizeProperties)),
+		canvasNode: nodeSchema('canvas', {
+			canvas: { type: 'array', items: ref('vector') },
+			float: floatSide
+		}),
+		qrNode: nodeSchema('qr', {
+			qr: string,
+			foreground: color,
+			background: color,
+			fit: number,
+			version: { type: 'integer', minimum: 1, maximum: 40 },
+			eccLevel: { enum: ['L', 'M', 'Q', 'H'] },
+			mode: { enum: ['numeric', 'alphanumeric', 'octet'] },
+			mask: { type: 'integer', minimum: 0, maximum: 7 }
+		}),
+		fieldNode: nodeSchema('field', {
+			field: { enum: ['text', 'checkbox', 'radio', 'dropdown', 'signature'] },
+			name: string,
+			value: { type: ['string', 'boolean'] },
+			option: string,
+			options: { type: 'array', items: string },
+			height: number,
+			required: boolean,
+			readOnly: boolean,
+			multiline: boolean,
+			password: boolean,
+			maxLength: { type: 'integer', minimum: 0 },
+			lineColor: color
+		}),
+		vector: {
+			type: 'object',
+			required: ['type'],
+			properties: {
+				type: { enum: ['ellipse', 'rect', 'line', 'polyline', 'path'] },
+				x: number,
+				y: number,
+				r1: number,
+				r2: number,
+				w: number,
+				h: number,
+				r: number,
+				x1: number,
+				y1: number,
+				x2: number,
+				y2: number,
+				points: { type: 'array', items: point },
+				closePath: boolean,
+				d: string,
+				lineWidth: number,
+				lineColor: color,
+				color: color,
+				fillOpacity: number,
+				strokeOpacity: number,
+				dash: {
+					type: 'object',
+					properties: {
+						length: number,
+						space: number,
+						phase: number
+					},
+					additionalProperties: false
+				},
+				lineJoin: { enum: ['miter', 'round', 'bevel'] },
+				lineCap: { enum: ['butt', 'round', 'square'] },
+				linearGradient: { type: 'array', items: color }
+			},
+			additionalProperties: false
+		},
+		style: {
+			type: 'object',
+			properties: Object.assign({}, styleProperties, marginProperties),
+			additionalProperties: false
+		},
+		dynamicContent: {
+			anyOf: [
+				functionType,
+				ref('node')
+			]
+		},
+		decoration: { enum: ['underline', 'lineThrough', 'overline'] },
+		margin: {
+			anyOf: [
+				number,
+				{ type: 'array', items: number, minItems: 2, maxItems: 2 },
+				{ type: 'array', items: number, minItems: 4, maxItems: 4 }
+			]
+		},
+		pageOrientation: { enum: ['portrait', 'landscape'] },
+		size: {
+			anyOf: [
+				number,
+				{ enum: ['auto', '*', 'star'] },
+				{ type: 'string', pattern: '^\\d+(\\.\\d+)?%$' }
+			]
+		}
+	}
+};
+
+export default schema;
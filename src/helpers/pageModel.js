@@ -0,0 +1,162 @@
+import { getNodeId } from './node';
+import { getInlineImageTop } from '../Line';
+
+/**
+ * @param {object} line
+ * @param {object} inline
+ * @returns {object}
+ */
+function inlineModel(line, inline) {
+	let model = {
+		text: inline.text,
+		x: line.x + inline.x,
+		width: inline.width,
+		height: inline.height,
+		font: inline.font.name,
+		fontSize: inline.fontSize,
+		color: inline.color
+	};
+
+	if (inline.field) {
+		model.field = { type: inline.field, name: inline.name };
+	} else if (inline.image || inline.svg) {
+		model.image = {
+			type: inline.image ? 'image' : 'svg',
+			y: line.y + line.getAscenderHeight() - getInlineImageTop(inline),
+			width: inline._width,
+			height: inline._height
+		};
+	}
+
+	return model;
+}
+
+/**
+ * @param {object} line
+ * @returns {object}
+ */
+function lineModel(line) {
+	let model = {
+		type: 'line',
+		x: line.x,
+		y: line.y,
+		width: line.inlineWidths - line.leadingCut - line.trailingCut,
+		height: line.getHeight(),
+		ascender: line.getAscenderHeight(),
+		inlines: line.inlines.map(inline => inlineModel(line, inline))
+	};
+
+	if (line.id) {
+		model.id = line.id;
+	}
+
+	return model;
+}
+
+/**
+ * @param {object} image image or svg node
+ * @param {string} type
+ * @returns {object}
+ */
+function imageModel(image, type) {
+	let model = {
+		type: type,
+		x: image.x,
+		y: image.y,
+		width: image._width,
+		height: image._height
+	};
+
+	if (image.id) {
+		model.id = image.id;
+	}
+
+	return model;
+}
+
+/**
+ * @param {object} pageItem
+ * @returns {object}
+ */
+function pageItemModel(pageItem) {
+	switch (pageItem.type) {
+		case 'line':
+			return lineModel(pageItem.item);
+		case 'image':
+		case 'svg':
+			return imageModel(pageItem.item, pageItem.type);
+		case 'vector':
+			// vectors are plain objects, copied to detach them from the layout
+			return { type: 'vector', vector: JSON.parse(JSON.stringify(pageItem.item)) };
+		case 'beginClip':
+			return Object.assign({ type: 'beginClip' }, pageItem.item);
+		default:
+			return { type: pageItem.type };
+	}
+}
+
+/**
+ * @param {object} position
+ * @returns {object}
+ */
+function positionModel(position) {
+	return {
+		pageNumber: position.pageNumber,
+		pageOrientation: position.pageOrientation,
+		left: position.left,
+		top: position.top,
+		pageInnerWidth: position.pageInnerWidth,
+		pageInnerHeight: position.pageInnerHeight
+	};
+}
+
+/**
+ * Converts laid out pages into a serializable page model (no fonts, images or
+ * other objects required for rendering are referenced).
+ *
+ * Result contains:
+ * - pages: page size and items (lines with inline boxes, vectors, images, svgs and clips)
+ *   with absolute coordinates on the page,
+ * - nodes: positions of nodes with an id; for text nodes each position is one line.
+ *
+ * @param {Array} pages pages returned by LayoutBuilder.layoutDocument
+ * @param {Array} linearNodeList nodes processed by LayoutBuilder
+ * @returns {object}
+ */
+export function buildPageModel(pages, linearNodeList = []) {
+	let nodes = [];
+
+	linearNodeList.forEach(node => {
+		let id = getNodeId(node);
+		if (!id || !node.positions) {
+			return;
+		}
+
+		let positions = node.positions.filter(position => position).map(positionModel);
+		let nodeModel = {
+			id: id,
+			pageNumbers: positions.map(position => position.pageNumber).filter((pageNumber, index, array) => array.indexOf(pageNumber) === index),
+			positions: positions
+		};
+
+		if (node._inlines) {
+			nodeModel.lineCount = positions.length;
+		}
+
+		nodes.push(nodeModel);
+	});
+
+	return {
+		pageCount: pages.length,
+		pages: pages.map((page, index) => ({
+			pageNumber: index + 1,
+			pageSize: {
+				width: page.pageSize.width,
+				height: page.pageSize.height,
+				orientation: page.pageSize.orientation
+			},
+			items: page.items.map(pageItemModel)
+		})),
+		nodes: nodes
+	};
+}
@@ -0,0 +1,342 @@
+import { isNumber, isString, isValue } from './helpers/variableType';
+
+const CONFORMANCE_LEVELS = ['1b', '2b'];
+
+const STANDARD_FONTS = [
+	'Courier', 'Courier-Bold', 'Courier-Oblique', 'Courier-BoldOblique',
+	'Helvetica', 'Helvetica-Bold', 'Helvetica-Oblique', 'Helvetica-BoldOblique',
+	'Times-Roman', 'Times-Bold', 'Times-Italic', 'Times-BoldItalic',
+	'Symbol', 'ZapfDingbats'
+];
+
+/**
+ * Checks document definition properties forbidden by PDF/A and returns PDF version
+ * required by the conformance level.
+ *
+ * @param {object} docDefinition
+ * @returns {string} PDF version
+ */
+export function validateDocDefinition(docDefinition) {
+	let level = docDefinition.pdfA;
+
+	if (CONFORMANCE_LEVELS.indexOf(level) === -1) {
+		throw new Error(`Unsupported PDF/A conformance level '${level}', supported levels are: ${CONFORMANCE_LEVELS.map(level => `'${level}'`).join(', ')}.`);
+	}
+
+	if (docDefinition.userPassword || docDefinition.ownerPassword) {
+		throw new Error(`PDF/A-${level} does not allow encryption, remove userPassword and ownerPassword from the document definition.`);
+	}
+
+	if (level === '1b') {
+		if (docDefinition.version && ['1.3', '1.4'].indexOf(docDefinition.version) === -1) {
+			throw new Error(`PDF/A-1b is based on PDF 1.4, PDF version ${docDefinition.version} is not allowed.`);
+		}
+
+		return '1.4';
+	}
+
+	return docDefinition.version || '1.7';
+}
+
+/**
+ * @param {string} familyName
+ * @param {string} type
+ * @param {string|Buffer} fontFile
+ */
+export function validateFont(familyName, type, fontFile) {
+	if (isString(fontFile) && STANDARD_FONTS.indexOf(fontFile) !== -1) {
+		throw new Error(`PDF/A requires all fonts to be embedded, font '${familyName}' in style '${type}' uses standard font '${fontFile}' which can not be embedded.`);
+	}
+}
+
+/**
+ * @param {object} image pdfkit image
+ * @param {string} src
+ */
+export function validateImage(image, src) {
+	let png = image.image;
+	if (png && png.transparency && (png.hasAlphaChannel || png.transparency.indexed)) {
+		throw new Error(`PDF/A-1b does not allow transparency, image '${src.length > 50 ? src.substr(0, 50) + '...' : src}' has an alpha channel.`);
+	}
+}
+
+/**
+ * @param {Buffer} data PNG image
+ * @returns {boolean} true for image with alpha channel or transparent color (tRNS chunk)
+ */
+const hasPngTransparency = data => {
+	let colorType = data[25];
+	if (colorType === 4 || colorType === 6) {
+		return true;
+	}
+
+	for (let offset = 8; offset + 8 <= data.length; offset += data.readUInt32BE(offset) + 12) {
+		let type = data.toString('ascii', offset + 4, offset + 8);
+		if (type === 'tRNS') {
+			return true;
+		} else if (type === 'IDAT') { // tRNS chunk precedes image data
+			break;
+		}
+	}
+
+	return false;
+};
+
+/**
+ * PDF/A-1b does not allow transparency, checks opacity of laid out page items
+ * and of color glyphs (layers of COLR glyphs and bitmaps of sbix and CBDT glyphs).
+ *
+ * @param {Array} pages
+ */
+export function validatePages(pages) {
+	const opacityError = (description, opacity) => new Error(`PDF/A-1b does not allow transparency, ${description} has opacity ${opacity}.`);
+	const isTransparent = opacity => isNumber(opacity) && opacity < 1;
+
+	const validateColorGlyphs = (inline, pageNumber) => {
+		let colorFont = inline.font && inline.font.colorFont;
+		if (!colorFont) {
+			return;
+		}
+
+		inline.font.layout(inline.text, inline.fontFeatures).glyphs.forEach(glyph => {
+			let colorGlyph = colorFont.getColorGlyph(glyph);
+			if (!colorGlyph) {
+				return;
+			}
+
+			let description = `color glyph of text '${inline.text}' on page ${pageNumber}`;
+			if (colorGlyph.layers) {
+				colorGlyph.layers.forEach(layer => {
+					if (isTransparent(layer.opacity)) {
+						throw opacityError(description, layer.opacity);
+					}
+				});
+			} else if (colorGlyph.bitmap && hasPngTransparency(colorGlyph.bitmap.data)) {
+				throw new Error(`PDF/A-1b does not allow transparency, ${description} is a bitmap with an alpha channel.`);
+			}
+		});
+	};
+
+	pages.forEach((page, index) => {
+		let pageNumber = index + 1;
+
+		page.items.forEach(item => {
+			switch (item.type) {
+				case 'line':
+					item.item.inlines.forEach(inline => {
+						if (isTransparent(inline.opacity)) {
+							throw opacityError(`text '${inline.text}' on page ${pageNumber}`, inline.opacity);
+						}
+						validateColorGlyphs(inline, pageNumber);
+					});
+					break;
+				case 'vector':
+					if (isTransparent(item.item.fillOpacity)) {
+						throw opacityError(`${item.item.type} on page ${pageNumber}`, item.item.fillOpacity);
+					}
+					if (isTransparent(item.item.strokeOpacity)) {
+						throw opacityError(`${item.item.type} on page ${pageNumber}`, item.item.strokeOpacity);
+					}
+					break;
+				case 'image':
+				case 'svg':
+					if (isTransparent(item.item.opacity)) {
+						throw opacityError(`${item.type} on page ${pageNumber}`, item.item.opacity);
+					}
+					break;
+			}
+		});
+
+		if (page.watermark && isTransparent(page.watermark.opacity)) {
+			throw opacityError('watermark (set opacity of watermark to 1)', page.watermark.opacity);
+		}
+	});
+}
+
+/**
+ * PDF/A requires appearance streams of all annotations and does not allow NeedAppearances
+ * of interactive forms, form fields rely on appearances generated by the viewer.
+ *
+ * @param {Array} pages
+ * @param {string} level conformance level
+ */
+export function validateFields(pages, level) {
+	pages.forEach((page, index) => {
+		page.items.forEach(item => {
+			if (item.type !== 'line') {
+				return;
+			}
+
+			let field = item.item.inlines.find(inline => inline.field);
+			if (field) {
+				throw new Error(`PDF/A-${level} does not allow form fields, ${field.field} field '${field.name}' on page ${index + 1}.`);
+			}
+		});
+	});
+}
+
+/**
+ * Writes XMP metadata (from document info) and sRGB output intent into the document catalog.
+ *
+ * @param {object} pdfDocument
+ * @param {string} level conformance level
+ */
+export function writeMetadata(pdfDocument, level) {
+	let metadata = pdfDocument.ref({ Type: 'Metadata', Subtype: 'XML' });
+	metadata.compress = false; // metadata must be readable without PDF parser
+	metadata.end(Buffer.from(createXmp(pdfDocument.info, level), 'utf8'));
+
+	let profile = pdfDocument.ref({ N: 3 });
+	profile.end(createSRGBProfile());
+
+	pdfDocument._root.data.Metadata = metadata;
+	pdfDocument._root.data.OutputIntents = [{
+		Type: 'OutputIntent',
+		S: 'GTS_PDFA1',
+		OutputConditionIdentifier: new String('sRGB IEC61966-2.1'),
+		Info: new String('sRGB IEC61966-2.1'),
+		DestOutputProfile: profile
+	}];
+}
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+const escapeXml = value => String(value)
+	.replace(/&/g, '&amp;')
+	.replace(/</g, '&lt;')
+	.replace(/>/g, '&gt;');
+
+/**
+ * @param {Date} date
+ * @returns {string}
+ */
+const formatDate = date => date.toISOString().replace(/\.\d+Z$/, 'Z');
+
+/**
+ * @param {object} info document information dictionary
+ * @param {string} level conformance level
+ * @returns {string}
+ */
+const createXmp = (info, level) => {
+	const property = (name, value) => isValue(value) ? `<${name}>${escapeXml(value)}</${name}>` : '';
+	const languageAlternative = (name, value) => isValue(value) ? `<${name}><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(value)}</rdf:li></rdf:Alt></${name}>` : '';
+	const date = (name, value) => value instanceof Date ? property(name, formatDate(value)) : '';
+
+	return '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>\n' +
+		'<x:xmpmeta xmlns:x="adobe:ns:meta/">\n' +
+		'<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">\n' +
+		'<rdf:Description rdf:about="" xmlns:pdfaid="http://www.aiim.org/pdfa/ns/id/">' +
+		property('pdfaid:part', level.charAt(0)) +
+		property('pdfaid:conformance', level.charAt(1).toUpperCase()) +
+		'</rdf:Description>\n' +
+		'<rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/">' +
+		property('dc:format', 'application/pdf') +
+		languageAlternative('dc:title', info.Title) +
+		(isValue(info.Author) ? `<dc:creator><rdf:Seq><rdf:li>${escapeXml(info.Author)}</rdf:li></rdf:Seq></dc:creator>` : '') +
+		languageAlternative('dc:description', info.Subject) +
+		'</rdf:Description>\n' +
+		'<rdf:Description rdf:about="" xmlns:xmp="http://ns.adobe.com/xap/1.0/">' +
+		property('xmp:CreatorTool', info.Creator) +
+		date('xmp:CreateDate', info.CreationDate) +
+		date('xmp:ModifyDate', info.ModDate) +
+		'</rdf:Description>\n' +
+		'<rdf:Description rdf:about="" xmlns:pdf="http://ns.adobe.com/pdf/1.3/">' +
+		property('pdf:Producer', info.Producer) +
+		property('pdf:Keywords', info.Keywords) +
+		'</rdf:Description>\n' +
+		'</rdf:RDF>\n' +
+		'</x:xmpmeta>\n' +
+		'<?xpacket end="w"?>';
+};
+
+/**
+ * Creates ICC (version 2) display profile of sRGB color space:
+ * D50 white point, Bradford adapted sRGB primaries and sRGB tone reproduction curve.
+ *
+ * @returns {Buffer}
+ */
+const createSRGBProfile = () => {
+	const s15Fixed16 = value => Math.round(value * 65536);
+
+	const xyzTag = (x, y, z) => {
+		let data = Buffer.alloc(20);
+		data.write('XYZ ', 0, 'ascii');
+		data.writeInt32BE(s15Fixed16(x), 8);
+		data.writeInt32BE(s15Fixed16(y), 12);
+		data.writeInt32BE(s15Fixed16(z), 16);
+		return data;
+	};
+
+	const textTag = text => {
+		let data = Buffer.alloc(8 + text.length + 1);
+		data.write('text', 0, 'ascii');
+		data.write(text, 8, 'ascii');
+		return data;
+	};
+
+	const descriptionTag = text => {
+		let data = Buffer.alloc(12 + text.length + 1 + 8 + 3 + 67);
+		data.write('desc', 0, 'ascii');
+		data.writeUInt32BE(text.length + 1, 8);
+		data.write(text, 12, 'ascii');
+		return data;
+	};
+
+	const curveTag = () => {
+		let count = 1024;
+		let data = Buffer.alloc(12 + count * 2);
+		data.write('curv', 0, 'ascii');
+		data.writeUInt32BE(count, 8);
+		for (let i = 0; i < count; i++) {
+			let value = i / (count - 1);
+			let linear = value <= 0.04045 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+			data.writeUInt16BE(Math.round(linear * 65535), 12 + i * 2);
+		}
+		return data;
+	};
+
+	let curve = curveTag();
+	let tags = [
+		['desc', descriptionTag('sRGB IEC61966-2.1')],
+		['cprt', textTag('No copyright, use freely')],
+		['wtpt', xyzTag(0.9642, 1, 0.8249)],
+		['rXYZ', xyzTag(0.4361, 0.2225, 0.0139)],
+		['gXYZ', xyzTag(0.3851, 0.7169, 0.0971)],
+		['bXYZ', xyzTag(0.1431, 0.0606, 0.7141)],
+		['rTRC', curve],
+		['gTRC', curve],
+		['bTRC', curve]
+	];
+
+	let header = Buffer.alloc(128 + 4 + tags.length * 12);
+	let chunks = [header];
+	let offset = header.length;
+	let offsets = new Map(); // tone reproduction curve is shared by all channels
+
+	header.writeUInt32BE(tags.length, 128);
+	tags.forEach(([signature, data], index) => {
+		if (!offsets.has(data)) {
+			offsets.set(data, offset);
+			let padding = (4 - data.length % 4) % 4;
+			chunks.push(data, Buffer.alloc(padding));
+			offset += data.length + padding;
+		}
+
+		header.write(signature, 132 + index * 12, 'ascii');
+		header.writeUInt32BE(offsets.get(data), 136 + index * 12);
+		header.writeUInt32BE(data.length, 140 + index * 12);
+	});
+
+	header.writeUInt32BE(offset, 0); // profile size
+	header.writeUInt32BE(0x02100000, 8); // version 2.1
+	header.write('mntrRGB XYZ ', 12, 'ascii'); // display device, RGB color space, XYZ connection space
+	[2020, 1, 1, 0, 0, 0].forEach((value, index) => header.writeUInt16BE(value, 24 + index * 2));
+	header.write('acsp', 36, 'ascii');
+	header.writeInt32BE(s15Fixed16(0.9642), 68); // D50 illuminant
+	header.writeInt32BE(s15Fixed16(1), 72);
+	header.writeInt32BE(s15Fixed16(0.8249), 76);
+
+	return Buffer.concat(chunks);
+};
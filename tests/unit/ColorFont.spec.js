@@ -0,0 +1,151 @@
+'use strict';
+
+var assert = require('assert');
+var zlib = require('zlib');
+
+var ColorFont = require('../../js/ColorFont').default;
+
+describe('ColorFont', function () {
+
+	function png(width, height) {
+		var data = Buffer.alloc(33);
+		Buffer.from('89504e470d0a1a0a', 'hex').copy(data);
+		data.writeUInt32BE(width, 16);
+		data.writeUInt32BE(height, 20);
+		return data;
+	}
+
+	function createFont(tables, properties) {
+		var buffer = Buffer.concat(tables.map(function (table) {
+			return table.data;
+		}));
+		var directory = { tables: {} };
+		var offset = 0;
+		tables.forEach(function (table) {
+			directory.tables[table.tag] = { offset: offset, length: table.data.length };
+			offset += table.data.length;
+		});
+
+		return { font: Object.assign({ directory: directory, stream: { buffer: buffer } }, properties) };
+	}
+
+	function cbdtTables(image) {
+		var cblc = Buffer.alloc(76);
+		cblc.writeUInt32BE(0x30000, 0);
+		cblc.writeUInt32BE(1, 4); // one strike
+		cblc.writeUInt32BE(56, 8); // index subtable array
+		cblc.writeUInt32BE(1, 16); // one index subtable
+		cblc.writeUInt8(100, 52); // ppemX
+		cblc.writeUInt8(100, 53); // ppemY
+		cblc.writeUInt16BE(3, 56); // glyphs 3-4
+		cblc.writeUInt16BE(4, 58);
+		cblc.writeUInt32BE(8, 60);
+		cblc.writeUInt16BE(1, 64); // index format 1
+		cblc.writeUInt16BE(17, 66); // image format 17
+		cblc.writeUInt32BE(4, 68);
+		cblc.writeUInt32BE(0, 72);
+
+		var glyph = Buffer.alloc(9);
+		glyph.writeUInt8(50, 0); // height
+		glyph.writeUInt8(40, 1); // width
+		glyph.writeInt8(-2, 2); // bearing x
+		glyph.writeInt8(80, 3); // bearing y
+		glyph.writeUInt8(44, 4); // advance
+		glyph.writeUInt32BE(image.length, 5);
+
+		var offsets = Buffer.alloc(8);
+		offsets.writeUInt32BE(glyph.length + image.length, 0); // glyph 3
+		offsets.writeUInt32BE(glyph.length + image.length, 4); // glyph 4 without image
+
+		return [
+			{ tag: 'CBLC', data: Buffer.concat([cblc, offsets]) },
+			{ tag: 'CBDT', data: Buffer.concat([Buffer.from([0, 3, 0, 0]), glyph, image]) }
+		];
+	}
+
+	function svgTable(document) {
+		var header = Buffer.alloc(24);
+		header.writeUInt32BE(10, 2); // document list
+		header.writeUInt16BE(1, 10);
+		header.writeUInt16BE(5, 12); // glyphs 5-6
+		header.writeUInt16BE(6, 14);
+		header.writeUInt32BE(14, 16);
+		header.writeUInt32BE(document.length, 20);
+
+		return { tag: 'SVG ', data: Buffer.concat([header, document]) };
+	}
+
+	describe('hasColorGlyphs', function () {
+
+		it('should detect color glyph tables', function () {
+			assert(ColorFont.hasColorGlyphs(createFont(cbdtTables(png(1, 1)))));
+			assert(ColorFont.hasColorGlyphs(createFont([svgTable(Buffer.from('<svg/>'))])));
+			assert(!ColorFont.hasColorGlyphs(createFont([{ tag: 'CBDT', data: Buffer.alloc(4) }])));
+			assert(!ColorFont.hasColorGlyphs({ widthOfString: function () {} }));
+		});
+
+	});
+
+	describe('getColorGlyph', function () {
+
+		it('should read bitmap of the CBDT glyph', function () {
+			var image = png(40, 50);
+			var colorFont = new ColorFont(createFont(cbdtTables(image)));
+
+			assert.deepEqual(colorFont.getColorGlyph({ id: 3 }), {
+				bitmap: { data: image, left: -0.02, top: 0.8, width: 0.4, height: 0.5 }
+			});
+			assert.equal(colorFont.getColorGlyph({ id: 4 }), null);
+			assert.equal(colorFont.getColorGlyph({ id: 7 }), null);
+		});
+
+		it('should read SVG document of the glyph', function () {
+			var document = '<svg xmlns="http://www.w3.org/2000/svg"><path id="glyph6" d="M0 0"/></svg>';
+
+			var colorFont = new ColorFont(createFont([svgTable(Buffer.from(document))]));
+			assert.deepEqual(colorFont.getColorGlyph({ id: 6 }), { svg: document, id: 'glyph6' });
+			assert.equal(colorFont.getColorGlyph({ id: 7 }), null);
+
+			var gzipped = new ColorFont(createFont([svgTable(zlib.gzipSync(document))]));
+			assert.equal(gzipped.getColorGlyph({ id: 5 }).svg, document);
+		});
+
+		it('should read layers of the COLR glyph', function () {
+			var colorFont = new ColorFont(createFont([{ tag: 'COLR', data: Buffer.alloc(0) }, { tag: 'CPAL', data: Buffer.alloc(0) }], {
+				COLR: { baseGlyphRecord: [{ gid: 2 }] }
+			}));
+			var layer = function (path, color) {
+				return { glyph: { path: { toSVG: function () { return path; } } }, color: color };
+			};
+
+			assert.deepEqual(colorFont.getColorGlyph({ id: 2, type: 'COLR', layers: [layer('M0 0Z', { red: 255, green: 0, blue: 0, alpha: 51 }), layer('M1 1Z', undefined)] }), {
+				layers: [
+					{ path: 'M0 0Z', color: [255, 0, 0], opacity: 0.2 },
+					{ path: 'M1 1Z', color: null, opacity: 1 }
+				]
+			});
+			assert.equal(colorFont.getColorGlyph({ id: 3, type: 'COLR', layers: [] }), null);
+		});
+
+		it('should read bitmap of the sbix glyph from the largest strike', function () {
+			var image = png(80, 60);
+			var colorFont = new ColorFont(createFont([{ tag: 'sbix', data: Buffer.alloc(0) }], {
+				sbix: { imageTables: [{ ppem: 20 }, { ppem: 160 }] }
+			}));
+			var glyph = {
+				id: 1,
+				type: 'SBIX',
+				getImageForSize: function (ppem) {
+					assert.equal(ppem, 160);
+					return { originX: 0xFFF0, originY: 20, type: 'png ', data: image };
+				}
+			};
+
+			assert.deepEqual(colorFont.getColorGlyph(glyph), {
+				bitmap: { data: image, left: -0.1, top: 0.5, width: 0.5, height: 0.375 }
+			});
+		});
+
+	});
+
+});
@@ -239,4 +239,82 @@ describe('DocPreprocessor', function () {
 
 	});
 
+	describe('footnote', function () {
+
+		it('should insert numbered marker after inline with footnote', function () {
+			var result = docPreprocessor.preprocessDocument({ text: ['First', { text: 'claim', footnote: 'Note' }, { text: 'second', footnote: ['Other ', 'note'] }] });
+
+			assert.equal(result.text.length, 5);
+			assert.equal(result.text[2].text, '1');
+			assert.equal(result.text[2].sup, true);
+			assert.deepEqual(result.text[2]._footnote, { text: [{ text: '1', sup: true }, ' ', 'Note'], style: 'footnote' });
+			assert.equal(result.text[4].text, '2');
+			assert.deepEqual(result.text[4]._footnote.text, [{ text: '2', sup: true }, ' ', 'Other ', 'note']);
+		});
+
+		it('should append marker to text node with footnote', function () {
+			var result = docPreprocessor.preprocessDocument({ text: 'Claim', footnote: 'Note' });
+
+			assert.equal(result.text.length, 2);
+			assert.equal(result.text[0], 'Claim');
+			assert.equal(result.text[1].text, '1');
+		});
+
+		it('should insert marker only once if document is preprocessed again', function () {
+			var docDefinition = { stack: [{ text: ['First', { text: 'claim', footnote: 'Note' }] }, { text: 'Claim', footnote: 'Note' }] };
+
+			docPreprocessor.preprocessDocument(docDefinition);
+			var result = docPreprocessor.preprocessDocument(docDefinition);
+
+			assert.equal(result.stack[0].text.length, 3);
+			assert.equal(result.stack[1].text.length, 2);
+			assert.equal(result.stack[1].text[1].text, '2');
+		});
+
+	});
+
+	describe('flowColumns', function () {
+
+		it('should preprocess content of flow columns', function () {
+			var result = docPreprocessor.preprocessDocument({ flowColumns: { count: 2, content: ['First', 'Second'] } });
+
+			assert.deepEqual(result.flowColumns.content, { stack: [{ text: 'First' }, { text: 'Second' }] });
+		});
+
+		it('should throw error on invalid column count', function () {
+			assert.throws(function () {
+				docPreprocessor.preprocessDocument({ flowColumns: { count: 0, content: 'text' } });
+			}, /Column count of flowColumns must be a positive integer, '0' given/);
+		});
+
+	});
+
+	describe('field', function () {
+
+		it('should preprocess field in text', function () {
+			var result = docPreprocessor.preprocessDocument({ text: ['Name: ', { field: 'text', name: 'name' }] });
+
+			assert.deepEqual(result.text[1], { field: 'text', name: 'name' });
+		});
+
+		it('should throw error on unsupported field type', function () {
+			assert.throws(function () {
+				docPreprocessor.preprocessDocument({ field: 'button', name: 'submit' });
+			}, /Unsupported field type 'button', supported types are: text, checkbox, radio, dropdown, signature/);
+		});
+
+		it('should throw error on field without name', function () {
+			assert.throws(function () {
+				docPreprocessor.preprocessDocument({ field: 'text' });
+			}, /Field name is required/);
+		});
+
+		it('should throw error on radio button without option', function () {
+			assert.throws(function () {
+				docPreprocessor.preprocessDocument({ field: 'radio', name: 'payment' });
+			}, /Radio button of field 'payment' requires the option property/);
+		});
+
+	});
+
 });
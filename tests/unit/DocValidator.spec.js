@@ -0,0 +1,151 @@
+'use strict';
+
+var assert = require('assert');
+
+var DocValidator = require('../../js/DocValidator').default;
+var Printer = require('../../js/Printer').default;
+
+describe('DocValidator', function () {
+
+	var validator;
+
+	beforeEach(function () {
+		validator = new DocValidator();
+	});
+
+	function paths(errors) {
+		return errors.map(function (error) {
+			return error.path;
+		});
+	}
+
+	it('should accept a valid document definition', function () {
+		var errors = validator.validate({
+			content: [
+				{ text: 'First paragraph', marker: { chapter: 'Introduction' }, keepWithNext: true },
+				{ text: ['Styled ', { text: 'inline', bold: true, hyphenation: false }], style: 'header', hyphenation: 'de', lineBreaking: 'optimal', direction: 'rtl', font: ['Roboto', 'NotoEmoji'], fontWeight: 650, fontStretch: 'condensed', verticalAlignment: 'middle' },
+				{ ul: ['item 1', { text: 'item 2', listType: 'square' }], keepTogether: true },
+				{ ol: ['item 1', 'item 2'], type: 'lower-roman', start: 5 },
+				{ columns: [{ width: '*', text: 'A' }, { width: 100, stack: ['B', 'C'] }], columnGap: 10 },
+				{ flowColumns: { count: 2, gap: 10, balance: true, content: ['A', 'B'] } },
+				{ table: { headerRows: 1, widths: ['*', 'auto'], body: [['A', { text: 'B', fillColor: '#eee' }], [{ text: 'C', colSpan: 2 }, {}]] }, layout: 'noBorders' },
+				{ toc: { title: { text: 'Index' } } },
+				{ image: 'sampleImage.jpg', fit: [100, 100] },
+				{ svg: '<svg></svg>', width: 100 },
+				{ text: ['Done ', { image: 'checkmark', width: 10 }, { svg: '<svg></svg>', width: 10, verticalAlign: 'middle' }] },
+				{ canvas: [{ type: 'rect', x: 0, y: 0, w: 10, h: 10, color: 'red' }], float: 'left' },
+				{ qr: 'text', eccLevel: 'M' },
+				{ text: 'Page reference', pageReference: 'id' },
+				{ text: ['Name: ', { field: 'text', name: 'name', value: 'John', required: true, width: 100 }] },
+				{ field: 'radio', name: 'payment', option: 'card', value: true, lineColor: 'black' },
+				{ text: ['Claim', { text: ' with note', footnote: ['Note ', { text: 'text', italics: true }] }] }
+			],
+			styles: {
+				header: { fontSize: 18, bold: true, margin: [0, 10] }
+			},
+			defaultStyle: { font: 'Roboto' },
+			pageMargins: [40, 60, 40, 60],
+			header: function () {
+				return 'header';
+			},
+			footer: 'footer'
+		});
+
+		assert.deepEqual(errors, []);
+	});
+
+	it('should require content', function () {
+		var errors = validator.validate({});
+
+		assert.equal(errors.length, 1);
+		assert.equal(errors[0].path, '');
+		assert.equal(errors[0].message, 'Missing required property \'content\'');
+	});
+
+	it('should report path of invalid table cell property', function () {
+		var errors = validator.validate({
+			content: ['a', 'b', 'c', {
+				table: {
+					body: [
+						['a', 'b'],
+						['c', 'd'],
+						['e', { text: 'f', colSpan: 'two' }]
+					]
+				}
+			}]
+		});
+
+		assert.deepEqual(paths(errors), ['content[3].table.body[2][1].colSpan']);
+		assert.equal(errors[0].message, 'Expected integer, got string');
+	});
+
+	it('should flag unknown properties with a suggestion', function () {
+		var errors = validator.validate({
+			content: [
+				{ text: 'a', pageBrake: 'before' },
+				{ table: { body: [[{ text: 'b', colspan: 2 }, '']] } }
+			]
+		});
+
+		assert.deepEqual(paths(errors), ['content[0].pageBrake', 'content[1].table.body[0][0].colspan']);
+		assert.equal(errors[0].message, 'Unknown property \'pageBrake\', did you mean \'pageBreak\'?');
+		assert.equal(errors[1].message, 'Unknown property \'colspan\', did you mean \'colSpan\'?');
+	});
+
+	it('should report unrecognized node', function () {
+		var errors = validator.validate({ content: [{ txt: 'a' }] });
+
+		assert.deepEqual(paths(errors), ['content[0]']);
+		assert(errors[0].message.indexOf('expected content node') > -1);
+	});
+
+	it('should report invalid enum values', function () {
+		var errors = validator.validate({ content: { text: 'a', alignment: 'middle' } });
+
+		assert.deepEqual(paths(errors), ['content.alignment']);
+		assert.equal(errors[0].message, 'Expected one of \'left\', \'right\', \'center\', \'justify\', got \'middle\'');
+	});
+
+	it('should reject values not greater than exclusive minimum', function () {
+		var errors = validator.validate({ content: [{ text: 'a', fontStretch: -50 }, { text: 'b', fontStretch: 0 }, { text: 'c', fontStretch: 50 }] });
+
+		assert.deepEqual(paths(errors), ['content[0].fontStretch', 'content[1].fontStretch']);
+		assert.equal(errors[0].message, 'Invalid value -50');
+		assert.deepEqual(new DocValidator({ type: 'number', exclusiveMinimum: 0 }).validate(0), [
+			{ path: '', message: 'Expected value greater than 0, got 0', keyword: 'exclusiveMinimum' }
+		]);
+	});
+
+	it('should validate named styles', function () {
+		var errors = validator.validate({ content: 'a', styles: { 'table header': { bol: true } } });
+
+		assert.deepEqual(paths(errors), ['styles[\'table header\'].bol']);
+	});
+
+	describe('strict mode', function () {
+
+		var fontDescriptors = {
+			Roboto: {
+				normal: 'tests/fonts/Roboto-Regular.ttf'
+			}
+		};
+
+		it('should reject invalid document definition', async function () {
+			var printer = new Printer(fontDescriptors);
+
+			await assert.rejects(printer.createPdfKitDocument({ content: [{ text: 'a', pageBrake: 'before' }] }, { strict: true }), function (error) {
+				assert.equal(error.message, 'Invalid document definition:\ncontent[0].pageBrake: Unknown property \'pageBrake\', did you mean \'pageBreak\'?');
+				assert.equal(error.errors.length, 1);
+				return true;
+			});
+		});
+
+		it('should not validate without strict mode', async function () {
+			var printer = new Printer(fontDescriptors);
+
+			await printer.createPdfKitDocument({ content: [{ text: 'a', pageBrake: 'before' }] });
+		});
+
+	});
+
+});
@@ -246,6 +246,76 @@ describe('DocumentContext', function () {
 
 	});
 
+	describe('flow columns', function () {
+		it('should move to the next column and to the first column of the next page', function () {
+			pc.moveDown(100);
+			pc.beginFlowColumns(2, 20);
+
+			assert.equal(pc.x, 40);
+			assert.equal(pc.availableWidth, 150);
+
+			pc.moveDown(50);
+			assert(pc.moveToNextFlowColumn());
+			assert.equal(pc.x, 40 + 150 + 20);
+			assert.equal(pc.y, 160);
+			assert.equal(pc.availableHeight, 800 - 60 - 60 - 100);
+
+			assert(!pc.moveToNextFlowColumn());
+			pc.moveToNextPage();
+			assert.equal(pc.x, 40);
+			assert.equal(pc.y, 60);
+			assert.equal(pc.getFlowColumns().column, 0);
+			assert.equal(pc.getFlowColumns().page, 1);
+		});
+
+		it('should continue below the longest column', function () {
+			pc.beginFlowColumns(3, 10);
+			pc.moveDown(200);
+			pc.moveToNextFlowColumn();
+			pc.moveDown(100);
+			pc.completeFlowColumns();
+
+			assert.equal(pc.x, 40);
+			assert.equal(pc.y, 260);
+			assert.equal(pc.availableWidth, 320);
+			assert.equal(pc.availableHeight, 800 - 60 - 60 - 200);
+			assert.equal(pc.snapshots.length, 0);
+		});
+	});
+
+	describe('addFootnotes', function () {
+		it('should reserve height of footnotes with gap at the bottom of the page', function () {
+			pc.addFootnotes([{ items: [], height: 20 }, { items: [], height: 15 }]);
+
+			assert.equal(pc.pages[0].footnotes.items.length, 2);
+			assert.equal(pc.pages[0].footnotes.height, 45);
+			assert.equal(pc.availableHeight, 800 - 60 - 60 - 45);
+
+			pc.addFootnotes([{ items: [], height: 10 }]);
+
+			assert.equal(pc.pages[0].footnotes.height, 55);
+			assert.equal(pc.availableHeight, 800 - 60 - 60 - 55);
+		});
+
+		it('should reserve height in snapshots of the same page', function () {
+			pc.beginColumnGroup();
+			pc.beginColumn(100, 0);
+			pc.addFootnotes([{ items: [], height: 20 }]);
+			pc.beginColumn(100, 0);
+
+			assert.equal(pc.availableHeight, 800 - 60 - 60 - 30);
+		});
+
+		it('should reserve height when page is entered again', function () {
+			pc.addFootnotes([{ items: [], height: 20 }]);
+			pc.moveToNextPage();
+			pc.page = 0;
+			pc.initializePage();
+
+			assert.equal(pc.availableHeight, 800 - 60 - 60 - 30);
+		});
+	});
+
 	describe('moveToRelative', function () {
 		it('should change coordinates', function () {
 			pc.x = 100;
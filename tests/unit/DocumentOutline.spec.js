@@ -0,0 +1,132 @@
+'use strict';
+
+var assert = require('assert');
+
+var Printer = require('../../js/Printer').default;
+var DocumentOutline = require('../../js/DocumentOutline').default;
+
+describe('DocumentOutline', function () {
+
+	function position(pageNumber, top) {
+		return { pageNumber: pageNumber, left: 40, top: top };
+	}
+
+	describe('build', function () {
+
+		it('should create entries from TOC items and nodes with outline', function () {
+			var outline = new DocumentOutline(null, true);
+
+			outline.build([
+				{ text: [{ text: 'Chapter ' }, { text: '1' }], tocItem: true, headlineLevel: 1, positions: [position(1, 40)] },
+				{ text: 'Not in outline', positions: [position(1, 60)] },
+				{ stack: [], outline: { title: 'Appendix', level: 2 }, positions: [position(2, 40), position(2, 60)] },
+				{ text: 'Excluded', tocItem: true, outline: false, positions: [position(2, 80)] },
+				{ text: 'Not laid out', tocItem: true, positions: [] }
+			]);
+
+			assert.deepEqual(outline.entries, [
+				{ title: 'Chapter 1', level: 1, position: position(1, 40) },
+				{ title: 'Appendix', level: 2, position: position(2, 40) }
+			]);
+		});
+
+		it('should create entries from TOC items only if enabled', function () {
+			var outline = new DocumentOutline(null, false);
+
+			outline.build([
+				{ text: 'Chapter', tocItem: true, positions: [position(1, 40)] },
+				{ text: 'Section', outline: { level: 2 }, positions: [position(1, 60)] }
+			]);
+
+			assert.deepEqual(outline.entries, [
+				{ title: 'Section', level: 2, position: position(1, 60) }
+			]);
+		});
+
+		it('should position inline TOC item by its text node', function () {
+			var outline = new DocumentOutline(null, true);
+
+			outline.build([
+				{ text: [{ text: 'Chapter', tocItem: true }, { text: ' text' }], positions: [position(3, 100)] }
+			]);
+
+			assert.deepEqual(outline.entries, [
+				{ title: 'Chapter', level: 1, position: position(3, 100) }
+			]);
+		});
+
+	});
+
+	describe('document', function () {
+
+		var printer;
+
+		beforeEach(function () {
+			printer = new Printer({
+				Roboto: {
+					normal: 'tests/fonts/Roboto-Regular.ttf'
+				}
+			});
+		});
+
+		function renderPdf(docDefinition) {
+			return printer.createPdfKitDocument(docDefinition).then(function (pdfDocument) {
+				return new Promise(function (resolve) {
+					var chunks = [];
+					pdfDocument.on('data', function (chunk) {
+						chunks.push(chunk);
+					});
+					pdfDocument.on('end', function () {
+						resolve(Buffer.concat(chunks).toString('binary'));
+					});
+					pdfDocument.end();
+				});
+			});
+		}
+
+		it('should write nested outline pointing to nodes', async function () {
+			var pdf = await renderPdf({
+				outline: true,
+				compress: false,
+				pageSize: { width: 300, height: 400 },
+				content: [
+					{ text: 'Chapter 1', tocItem: true, headlineLevel: 1 },
+					{ text: 'Section 1.1', tocItem: true, headlineLevel: 2, margin: [0, 20, 0, 0] },
+					{ text: 'Chapter 2', tocItem: true, headlineLevel: 1, pageBreak: 'before' }
+				]
+			});
+
+			assert(/\/Type \/Catalog[^]*\/Outlines \d+ 0 R\n\/PageMode \/UseOutlines/.test(pdf));
+
+			var items = pdf.split('endobj').filter(function (object) {
+				return object.indexOf('/Title') > -1;
+			});
+			assert.equal(items.length, 3);
+
+			var chapter1 = items.filter(function (item) {
+				return item.indexOf('/Title (Chapter 1)') > -1;
+			})[0];
+			assert(/\/Dest \[\d+ 0 R \/XYZ 40 360 null\]/.test(chapter1));
+			assert(/\/First \d+ 0 R/.test(chapter1));
+
+			var section = items.filter(function (item) {
+				return item.indexOf('/Title (Section 1.1)') > -1;
+			})[0];
+			assert(/\/Dest \[\d+ 0 R \/XYZ 40 325.9375 null\]/.test(section));
+
+			var chapter2 = items.filter(function (item) {
+				return item.indexOf('/Title (Chapter 2)') > -1;
+			})[0];
+			assert(/\/Prev \d+ 0 R/.test(chapter2));
+			assert.notEqual(chapter2.match(/\/Dest \[(\d+) 0 R/)[1], chapter1.match(/\/Dest \[(\d+) 0 R/)[1]);
+		});
+
+		it('should not write outline without entries', async function () {
+			var pdf = await renderPdf({ compress: false, content: { text: 'Chapter', tocItem: true } });
+
+			assert.equal(pdf.indexOf('/Outlines'), -1);
+		});
+
+	});
+
+});
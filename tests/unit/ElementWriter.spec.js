@@ -131,6 +131,17 @@ describe('ElementWriter', function () {
 				assert.equal(line.inlines[1].x, 30 + additionalSpacing);
 				assert.equal(line.inlines[2].x, 50 + 2 * additionalSpacing);
 			});
+
+			it('justify without spacing of hyphenated word parts', function () {
+				var line = buildLine(30, 'justify');
+				line.inlines[0].hyphen = true;
+				ew.addLine(line);
+
+				assert.equal(line.inlines[1].x, 30);
+				assert.equal(line.inlines[1].justifyShift, 0);
+				assert.equal(line.inlines[2].x, 50 + 40);
+				assert.equal(line.inlines[2].justifyShift, 40);
+			});
 		});
 	});
 
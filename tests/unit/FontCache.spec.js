@@ -0,0 +1,59 @@
+'use strict';
+
+var assert = require('assert');
+var sinon = require('sinon');
+
+var FontCache = require('../../js/FontCache').default;
+var sharedFontCache = require('../../js/FontCache').sharedFontCache;
+
+describe('FontCache', function () {
+
+	it('should store fonts by file and key', function () {
+		var fontCache = new FontCache();
+		var buffer = Buffer.from('font');
+		var entry = { font: {}, constructor: Object };
+
+		fontCache.set('Roboto.ttf', '', entry);
+		fontCache.set(buffer, 'Roboto-Bold', entry);
+
+		assert.strictEqual(fontCache.get('Roboto.ttf', ''), entry);
+		assert.strictEqual(fontCache.get(buffer, 'Roboto-Bold'), entry);
+		assert.equal(fontCache.get('Roboto.ttf', 'Roboto-Bold'), null);
+		assert.equal(fontCache.get(Buffer.from('fonts'), 'Roboto-Bold'), null);
+
+		fontCache.clear();
+		assert.equal(fontCache.get('Roboto.ttf', ''), null);
+	});
+
+	it('should store fonts of buffers by content', function () {
+		var fontCache = new FontCache();
+		var entry = { font: {}, constructor: Object };
+
+		fontCache.set(Buffer.from('font'), '', entry);
+		fontCache.set(Buffer.from('font'), '', entry);
+
+		assert.strictEqual(fontCache.get(Buffer.from('font'), ''), entry);
+		assert.equal(fontCache.get(Buffer.from('fond'), ''), null);
+		assert.equal(fontCache.files.size, 1);
+	});
+
+	it('should not share fonts of buffers of different content with the same hash', function () {
+		var fontCache = new FontCache();
+		var entry = { font: {}, constructor: Object };
+		var other = { font: {}, constructor: Object };
+		var collision = Buffer.from('fonu');
+		sinon.stub(fontCache.files, 'get').callsFake(function () {
+			return { src: collision, fonts: { '': other } };
+		});
+
+		fontCache.set(Buffer.from('font'), '', entry);
+
+		assert.equal(fontCache.get(Buffer.from('font'), ''), null);
+		assert.strictEqual(fontCache.get(collision, ''), other);
+	});
+
+	it('should provide process-wide cache', function () {
+		assert(sharedFontCache instanceof FontCache);
+	});
+
+});
@@ -0,0 +1,44 @@
+'use strict';
+
+var assert = require('assert');
+
+var Hyphenator = require('../../js/Hyphenator').default;
+
+describe('Hyphenator', function () {
+
+	// patterns from Liang's thesis
+	var patterns = 'hy3ph he2n hena4 hen5at 1na n2at 1tio 2io o2n';
+
+	describe('hyphenate', function () {
+
+		it('should split word at hyphenation points of patterns', function () {
+			var hyphenator = new Hyphenator(patterns);
+
+			assert.deepEqual(hyphenator.hyphenate('hyphenation'), ['hy', 'phen', 'ation']);
+			assert.deepEqual(hyphenator.hyphenate('Hyphenation'), ['Hy', 'phen', 'ation']);
+		});
+
+		it('should keep punctuation and spaces with the first and last part', function () {
+			var hyphenator = new Hyphenator(patterns);
+
+			assert.deepEqual(hyphenator.hyphenate('(hyphenation), '), ['(hy', 'phen', 'ation), ']);
+			assert.deepEqual(hyphenator.hyphenate(', '), [', ']);
+		});
+
+		it('should not break before leftMin and after rightMin letters', function () {
+			var hyphenator = new Hyphenator({ patterns: patterns, leftMin: 3, rightMin: 6 });
+
+			assert.deepEqual(hyphenator.hyphenate('hyphenation'), ['hyphenation']);
+			assert.deepEqual(new Hyphenator(patterns).hyphenate('nat'), ['nat']);
+		});
+
+		it('should use exceptions instead of patterns', function () {
+			var hyphenator = new Hyphenator({ patterns: '1ta', exceptions: 'ta-ble' });
+
+			assert.deepEqual(hyphenator.hyphenate('Table'), ['Ta', 'ble']);
+			assert.deepEqual(hyphenator.hyphenate('data'), ['da', 'ta']);
+		});
+
+	});
+
+});
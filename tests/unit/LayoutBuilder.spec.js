@@ -9,6 +9,7 @@ var ColumnCalculator = require('../../js/columnCalculator').default;
 var PageElementWriter = require('../../js/PageElementWriter').default;
 var DocumentContext = require('../../js/DocumentContext').default;
 var DocMeasure = require('../../js/DocMeasure').default;
+var Hyphenator = require('../../js/Hyphenator').default;
 
 // var TextInlines = pdfMake.TextInlines;
 // var Block = pdfMake.Block;
@@ -1117,7 +1118,7 @@ describe('LayoutBuilder', function () {
 				desc[0].table.body.push(['a', 'b', 'c']);
 			}
 
-			desc[0].table.body.push(['a\nb\nc', 'a\nb\nc', 'a\nb\nc']);
+			desc[0].table.body.push([{ text: 'a\nb\nc', orphans: 1 }, { text: 'a\nb\nc', orphans: 1 }, { text: 'a\nb\nc', orphans: 1 }]);
 
 			var pages = builder.layoutDocument(desc, sampleTestProvider);
 
@@ -1125,6 +1126,653 @@ describe('LayoutBuilder', function () {
 			assert.equal(pages[1].items.length, 6);
 		});
 
+		it('should move paragraph to the next page instead of leaving orphan', function () {
+			var desc = [{ stack: [] }, { text: 'a\nb\nc' }];
+
+			for (var i = 0; i < 59; i++) {
+				desc[0].stack.push('line');
+			}
+
+			var pages = builder.layoutDocument(desc, sampleTestProvider);
+
+			assert.equal(pages.length, 2);
+			assert.equal(pages[0].items.length, 59);
+			assert.equal(pages[1].items.length, 3);
+		});
+
+		it('should move lines to the next page instead of leaving widow', function () {
+			var desc = [{ stack: [] }, { text: 'a\nb\nc\nd' }];
+
+			for (var i = 0; i < 57; i++) {
+				desc[0].stack.push('line');
+			}
+
+			var pages = builder.layoutDocument(desc, sampleTestProvider);
+
+			assert.equal(pages.length, 2);
+			assert.equal(pages[0].items.length, 59);
+			assert.equal(pages[1].items.length, 2);
+			assert.equal(pages[1].items[0].item.inlines[0].text, 'c');
+		});
+
+		it('should support orphans and widows style properties', function () {
+			var desc = [{ stack: [] }, { text: 'a\nb\nc\nd\ne\nf', orphans: 3, widows: 1 }];
+
+			for (var i = 0; i < 58; i++) {
+				desc[0].stack.push('line');
+			}
+
+			var pages = builder.layoutDocument(desc, sampleTestProvider);
+
+			assert.equal(pages[0].items.length, 58);
+			assert.equal(pages[1].items.length, 6);
+
+			desc = [{ stack: [] }, { text: 'a\nb\nc\nd\ne\nf', orphans: 1, widows: 1 }];
+
+			for (i = 0; i < 58; i++) {
+				desc[0].stack.push('line');
+			}
+
+			pages = builder.layoutDocument(desc, sampleTestProvider);
+
+			assert.equal(pages[0].items.length, 60);
+			assert.equal(pages[1].items.length, 4);
+		});
+
+		it('should move node with keepWithNext to the next page with start of the following node', function () {
+			var desc = [{ stack: [] }, { text: 'Heading', keepWithNext: true, margin: [0, 10, 0, 10] }, { text: 'a\nb\nc\nd' }];
+
+			for (var i = 0; i < 56; i++) {
+				desc[0].stack.push('line');
+			}
+
+			var pages = builder.layoutDocument(desc, sampleTestProvider);
+
+			assert.equal(pages.length, 2);
+			assert.equal(pages[0].items.length, 56);
+			assert.equal(pages[1].items.length, 5);
+			assert.equal(pages[1].items[0].item.inlines[0].text, 'Heading');
+			assert.equal(pages[1].items[0].item.y, 40 + 10);
+		});
+
+		it('should not move node with keepWithNext if start of the following node fits', function () {
+			var desc = [{ stack: [] }, { text: 'Heading', keepWithNext: true }, { text: 'a\nb\nc\nd' }];
+
+			for (var i = 0; i < 56; i++) {
+				desc[0].stack.push('line');
+			}
+
+			var pages = builder.layoutDocument(desc, sampleTestProvider);
+
+			assert.equal(pages[0].items.length, 59);
+			assert.equal(pages[1].items.length, 2);
+		});
+
+		it('should move node with keepTogether to the next page', function () {
+			var desc = [{ stack: [] }, { stack: ['a', 'b', 'c', { text: 'd\ne' }], keepTogether: true }];
+
+			for (var i = 0; i < 56; i++) {
+				desc[0].stack.push('line');
+			}
+
+			var pages = builder.layoutDocument(desc, sampleTestProvider);
+
+			assert.equal(pages.length, 2);
+			assert.equal(pages[0].items.length, 56);
+			assert.equal(pages[1].items.length, 5);
+		});
+
+		it('should break node with keepTogether higher than the page', function () {
+			var desc = [{ stack: [] }, { stack: [], keepTogether: true }];
+
+			for (var i = 0; i < 56; i++) {
+				desc[0].stack.push('line');
+			}
+			for (i = 0; i < 70; i++) {
+				desc[1].stack.push('line');
+			}
+
+			var pages = builder.layoutDocument(desc, sampleTestProvider);
+
+			assert.equal(pages.length, 3);
+			assert.equal(pages[0].items.length, 60);
+		});
+
+		it('should move node with keepWithNext if the following node is moved to the next page by widows', function () {
+			var desc = [{ stack: [] }, { text: 'Heading', keepWithNext: true }, { text: 'a\nb\nc' }];
+
+			for (var i = 0; i < 57; i++) {
+				desc[0].stack.push('line');
+			}
+
+			var pages = builder.layoutDocument(desc, sampleTestProvider);
+
+			assert.equal(pages.length, 2);
+			assert.equal(pages[0].items.length, 57);
+			assert.equal(pages[1].items.length, 4);
+			assert.equal(pages[1].items[0].item.inlines[0].text, 'Heading');
+		});
+
+		it('should move node with keepTogether to the next page if its footnote does not fit', function () {
+			var desc = [{ stack: [] }, { stack: ['a', { text: 'b', footnote: 'Note' }], keepTogether: true }];
+
+			for (var i = 0; i < 57; i++) {
+				desc[0].stack.push('line');
+			}
+
+			var pages = builder.layoutDocument(desc, sampleTestProvider, {});
+
+			assert.equal(pages.length, 2);
+			assert.equal(pages[0].items.length, 57);
+			assert.equal(pages[1].items[0].item.inlines[0].text, 'a');
+			assert.equal(pages[1].items[0].item.y, 40);
+			assert.equal(pages[1].footnotes.items.length, 1);
+		});
+
+		it('should move list item with keepWithNext to the next page with start of the following item', function () {
+			var desc = [{ stack: [] }, { ul: [{ text: 'Item', keepWithNext: true }, 'a\nb'] }];
+
+			for (var i = 0; i < 59; i++) {
+				desc[0].stack.push('line');
+			}
+
+			var pages = builder.layoutDocument(desc, sampleTestProvider);
+
+			assert.equal(pages.length, 2);
+			assert.equal(pages[0].items.length, 59);
+			var lines = pages[1].items.filter(function (item) {
+				return item.type === 'line';
+			});
+			assert.equal(lines[0].item.inlines[0].text, 'Item');
+			assert.equal(lines[0].item.y, 40);
+		});
+
+		it('should move columns with keepWithNext of a column to the next page with start of the following node', function () {
+			var desc = [{ stack: [] }, { columns: [{ text: 'Left', keepWithNext: true }, 'Right'] }, 'Next'];
+
+			for (var i = 0; i < 59; i++) {
+				desc[0].stack.push('line');
+			}
+
+			var pages = builder.layoutDocument(desc, sampleTestProvider);
+
+			assert.equal(pages.length, 2);
+			assert.equal(pages[0].items.length, 59);
+			assert.equal(pages[1].items.length, 3);
+			assert.equal(pages[1].items[0].item.inlines[0].text, 'Left');
+			assert.equal(pages[1].items[1].item.inlines[0].text, 'Right');
+			assert.equal(pages[1].items[1].item.y, 40);
+		});
+
+		it('should move table row with keepWithNext of a cell to the next page with the following row', function () {
+			var desc = [{ stack: [] }, { table: { body: [['r1'], [{ text: 'r2', keepWithNext: true }], ['r3']] } }];
+
+			for (var i = 0; i < 56; i++) {
+				desc[0].stack.push('line');
+			}
+
+			var pages = builder.layoutDocument(desc, sampleTestProvider);
+
+			var rows = pages.map(function (page) {
+				return page.items.filter(function (item) {
+					return item.type === 'line' && item.item.inlines[0].text !== 'line';
+				}).map(function (item) {
+					return item.item.inlines[0].text;
+				});
+			});
+			assert.deepEqual(rows, [['r1'], ['r2', 'r3']]);
+
+			var topLine = pages[1].items.filter(function (item) {
+				return item.type === 'vector' && item.item.type === 'line' && item.item.y1 === item.item.y2;
+			})[0];
+			assert.equal(topLine.item.y1, 40.5);
+			assert.equal(pages[1].items.filter(function (item) {
+				return item.type === 'line';
+			})[0].item.y, 43);
+		});
+
+		it('should restore nodes laid out on trial', function () {
+			var desc = [{ stack: [] }, { text: 'Heading', keepWithNext: true }, { canvas: [{ type: 'polyline', points: [{ x: 0, y: 0 }, { x: 10, y: 10 }] }] }];
+
+			for (var i = 0; i < 59; i++) {
+				desc[0].stack.push('line');
+			}
+
+			var pages = builder.layoutDocument(desc, sampleTestProvider);
+
+			assert.equal(pages.length, 2);
+			assert.equal(pages[1].items[0].item.inlines[0].text, 'Heading');
+			assert.deepEqual(pages[1].items[1].item.points, [{ x: 40, y: 52 }, { x: 50, y: 62 }]);
+		});
+
+		it('should flow content from column to column and to the next page', function () {
+			var text = [];
+			for (var i = 0; i < 130; i++) {
+				text.push('line' + i);
+			}
+
+			var desc = [{ flowColumns: { count: 2, gap: 20, balance: false, content: { text: text.join('\n') } } }];
+
+			var pages = builder.layoutDocument(desc, sampleTestProvider);
+
+			assert.equal(pages.length, 2);
+			assert.equal(pages[0].items.length, 120);
+			assert.equal(pages[0].items[59].item.x, 40);
+			assert.equal(pages[0].items[60].item.x, 40 + 150 + 20);
+			assert.equal(pages[0].items[60].item.y, 40);
+			assert.equal(pages[1].items[0].item.x, 40);
+			assert.equal(pages[1].items[0].item.inlines[0].text, 'line120');
+			assert.equal(pages[1].items[9].item.y, 40 + 9 * 12);
+		});
+
+		it('should balance columns on the last page', function () {
+			var text = [];
+			for (var i = 0; i < 130; i++) {
+				text.push('line' + i);
+			}
+
+			var desc = [
+				{ flowColumns: { count: 2, gap: 20, content: { text: text.join('\n') } } },
+				'after'
+			];
+
+			var pages = builder.layoutDocument(desc, sampleTestProvider);
+
+			assert.equal(pages.length, 2);
+			assert.equal(pages[1].items.length, 11);
+			assert.equal(pages[1].items[4].item.x, 40);
+			assert.equal(pages[1].items[4].item.y, 40 + 4 * 12);
+			assert.equal(pages[1].items[5].item.x, 40 + 150 + 20);
+			assert.equal(pages[1].items[5].item.y, 40);
+			assert.equal(pages[1].items[10].item.inlines[0].text, 'after');
+			assert.equal(pages[1].items[10].item.x, 40);
+			assert.equal(pages[1].items[10].item.y, 40 + 5 * 12);
+		});
+
+		it('should move recorded positions of nodes with balanced columns', function () {
+			var paragraphs = [];
+			for (var i = 0; i < 10; i++) {
+				paragraphs.push({ text: 'line' + i });
+			}
+
+			var desc = [{ flowColumns: { count: 2, gap: 20, content: { stack: paragraphs } } }];
+
+			builder.layoutDocument(desc, sampleTestProvider);
+
+			var position = paragraphs[7].positions[0];
+			assert.equal(position.left, 40 + 150 + 20);
+			assert.equal(position.top, 40 + 2 * 12);
+			assert.equal(position.horizontalRatio, (150 + 20) / 320);
+			assert(Math.abs(position.verticalRatio - 2 * 12 / 720) < 1e-9);
+			assert.equal(paragraphs[2].positions[0].left, 40);
+			assert.equal(paragraphs[2].positions[0].top, 40 + 2 * 12);
+		});
+
+		it('should balance columns with lines which do not fit on a page', function () {
+			var paragraphs = [];
+			for (var i = 0; i < 6; i++) {
+				paragraphs.push({ text: 'line' + i });
+			}
+			paragraphs.push({ text: [{ text: 'B', fontSize: 1000 }, '\nlast'] });
+
+			var desc = [
+				{ flowColumns: { count: 2, gap: 20, content: { stack: paragraphs } } },
+				'after'
+			];
+
+			var pages = builder.layoutDocument(desc, sampleTestProvider);
+
+			assert.equal(pages.length, 1);
+			assert.equal(pages[0].items.length, 8);
+			assert.equal(pages[0].items[4].item.x, 40 + 150 + 20);
+			assert.equal(pages[0].items[4].item.y, 40);
+			assert.equal(paragraphs[6].positions[0], false);
+			assert.equal(paragraphs[6].positions[1].left, 40 + 150 + 20);
+			assert.equal(paragraphs[6].positions[1].top, 40 + 2 * 12);
+			assert.equal(pages[0].items[7].item.inlines[0].text, 'after');
+			assert.equal(pages[0].items[7].item.y, 40 + 4 * 12);
+		});
+
+		it('should wrap following lines around left float', function () {
+			var desc = [
+				{ canvas: [{ type: 'rect', x: 0, y: 0, w: 100, h: 50 }], float: 'left', margin: [0, 0, 10, 0] },
+				{ text: 'line0\nline1\nline2\nline3\nline4\nline5', alignment: 'right' }
+			];
+
+			var pages = builder.layoutDocument(desc, sampleTestProvider, {});
+			var lines = pages[0].items.filter(function (item) {
+				return item.type === 'line';
+			});
+
+			assert.equal(lines.length, 6);
+			assert.equal(lines[0].item.y, 40);
+			assert.equal(lines[0].item.maxWidth, 320 - 110);
+			assert.equal(lines[0].item.x, 40 + 110 + 320 - 110 - 60);
+			assert.equal(lines[4].item.x, 40 + 110 + 320 - 110 - 60);
+			assert.equal(lines[5].item.maxWidth, 320);
+			assert.equal(lines[5].item.x, 40 + 320 - 60);
+		});
+
+		it('should wrap following lines around right float', function () {
+			var desc = [
+				'before',
+				{ canvas: [{ type: 'rect', x: 0, y: 0, w: 100, h: 20 }], float: 'right' },
+				{ text: 'line0\nline1\nline2' }
+			];
+
+			var pages = builder.layoutDocument(desc, sampleTestProvider, {});
+			var vector = pages[0].items.filter(function (item) {
+				return item.type === 'vector';
+			})[0];
+			var lines = pages[0].items.filter(function (item) {
+				return item.type === 'line';
+			});
+
+			assert.equal(vector.item.x, 40 + 320 - 100);
+			assert.equal(vector.item.y, 40 + 12);
+			assert.equal(lines[1].item.y, 40 + 12);
+			assert.equal(lines[1].item.x, 40);
+			assert.equal(lines[1].item.maxWidth, 220);
+			assert.equal(lines[2].item.maxWidth, 220);
+			assert.equal(lines[3].item.maxWidth, 320);
+		});
+
+		it('should build lines moved to the next page again without float of the previous page', function () {
+			var filler = [];
+			for (var i = 0; i < 59; i++) {
+				filler.push('x');
+			}
+
+			var desc = [
+				{ text: filler.join('\n') },
+				{ canvas: [{ type: 'rect', x: 0, y: 0, w: 100, h: 12 }], float: 'left' },
+				{ text: 'line0\nline1\nline2' }
+			];
+
+			var pages = builder.layoutDocument(desc, sampleTestProvider, {});
+
+			assert.equal(pages.length, 2);
+			assert.equal(pages[1].items.length, 3);
+			pages[1].items.forEach(function (item, index) {
+				assert.equal(item.item.y, 40 + index * 12);
+				assert.equal(item.item.x, 40);
+				assert.equal(item.item.maxWidth, 320);
+				assert.equal(item.item.wrapWidth, undefined);
+				assert.equal(item.item._consumed, undefined);
+			});
+		});
+
+		it('should wrap line overlapping float by its lower part', function () {
+			var desc = [
+				{ relativePosition: { x: 0, y: 6 }, stack: [{ canvas: [{ type: 'rect', x: 0, y: 0, w: 100, h: 10 }], float: 'left' }] },
+				{ text: 'line0\nline1\nline2' }
+			];
+
+			var pages = builder.layoutDocument(desc, sampleTestProvider, {});
+			var lines = pages[0].items.filter(function (item) {
+				return item.type === 'line';
+			});
+
+			assert.equal(lines[0].item.y, 40);
+			assert.equal(lines[0].item.x, 40 + 100);
+			assert.equal(lines[1].item.x, 40 + 100);
+			assert.equal(lines[2].item.y, 40 + 24);
+			assert.equal(lines[2].item.x, 40);
+		});
+
+		it('should place block content below float', function () {
+			var desc = [
+				{ canvas: [{ type: 'rect', x: 0, y: 0, w: 100, h: 50 }], float: 'left' },
+				{ table: { body: [['cell']] } },
+				{ canvas: [{ type: 'line', x1: 0, y1: 0, x2: 10, y2: 0 }] }
+			];
+
+			var pages = builder.layoutDocument(desc, sampleTestProvider, {});
+			var cellLine = pages[0].items.filter(function (item) {
+				return item.type === 'line';
+			})[0];
+			var vectors = pages[0].items.filter(function (item) {
+				return item.type === 'vector';
+			});
+
+			assert.equal(cellLine.item.y, 40 + 50 + 2 + 1); // border and padding of the cell
+			assert.equal(cellLine.item.x, 40 + 5);
+			assert.equal(vectors[vectors.length - 1].item.y1, 40 + 50 + 1 + 2 + 12 + 2 + 1);
+		});
+
+		it('should break word at hyphenation point with hyphen', function () {
+			var hyphenator = new Hyphenator('hy3ph he2n hena4 hen5at 1na n2at 1tio 2io o2n');
+			var provider = Object.assign({
+				provideHyphenator: function () {
+					return hyphenator;
+				}
+			}, sampleTestProvider);
+
+			var desc = [{ text: 'aaaaaaaaaaaaaaaaaaa hyphenation', hyphenation: 'en' }];
+
+			var pages = builder.layoutDocument(desc, provider, {});
+
+			assert.equal(pages[0].items.length, 2);
+			var firstLine = pages[0].items[0].item;
+			assert.equal(firstLine.inlines[firstLine.inlines.length - 1].text, 'hy-');
+			assert.equal(firstLine.getWidth(), 23 * 12);
+			assert.deepEqual(pages[0].items[1].item.inlines.map(function (inline) {
+				return inline.text;
+			}), ['phen', 'ation']);
+		});
+
+		it('should break justified paragraph at optimal break points', function () {
+			var desc = [
+				{ text: 'a b c d eeeeeeeee ff', alignment: 'justify', margin: [0, 0, 320 - 11 * 12, 0] },
+				{ text: 'a b c d eeeeeeeee ff', alignment: 'justify', margin: [0, 0, 320 - 11 * 12, 0], lineBreaking: 'optimal' }
+			];
+
+			var pages = builder.layoutDocument(desc, sampleTestProvider, {});
+			var texts = pages[0].items.map(function (item) {
+				return item.item.inlines.map(function (inline) {
+					return inline.text;
+				}).join('');
+			});
+
+			assert.deepEqual(texts.slice(0, 3), ['a b c d ', 'eeeeeeeee ', 'ff']);
+			assert.deepEqual(texts.slice(3), ['a b c ', 'd eeeeeeeee ', 'ff']);
+
+			// justified by ElementWriter
+			var line = pages[0].items[3].item;
+			assert.equal(line.inlines[2].x, 4 * 12 + (11 - 5) * 12);
+		});
+
+		it('should break paragraph beside float greedily', function () {
+			var desc = [
+				{ canvas: [{ type: 'rect', x: 0, y: 0, w: 100, h: 50 }], float: 'left', margin: [0, 0, 10, 0] },
+				{ text: 'aaaa bbbb cccc dddd eeee ffff gggg hhhh iiii jjjj', alignment: 'justify', lineBreaking: 'optimal' }
+			];
+
+			var pages = builder.layoutDocument(desc, sampleTestProvider, {});
+			var texts = pages[0].items.filter(function (item) {
+				return item.type === 'line';
+			}).map(function (item) {
+				return item.item.inlines.map(function (inline) {
+					return inline.text;
+				}).join('');
+			});
+
+			assert.deepEqual(texts, ['aaaa bbbb cccc ', 'dddd eeee ffff ', 'gggg hhhh iiii ', 'jjjj']);
+		});
+
+		it('should not keep optimal break points of previous layout', function () {
+			var node = { text: 'a b c d eeeeeeeee ff', lineBreaking: 'optimal' };
+			builder.layoutDocument([node], sampleTestProvider, {});
+
+			var inlines = [{ text: 'a ', width: 24, trailingCut: 12, _lineBreak: true }, { text: 'b', width: 12 }];
+			builder.markOptimalBreaks({ _inlines: inlines });
+
+			assert.equal(inlines[0]._lineBreak, undefined);
+		});
+
+		it('should not break word wider than the line inside grapheme cluster', function () {
+			// 'x' + 25 times Devanagari conjunct 'ksa' (three characters each), line fits 26 characters
+			var word = 'x' + new Array(26).join('\u0915\u094d\u0937');
+			var pages = builder.layoutDocument([{ text: word, margin: [0, 0, 320 - 26 * 12, 0] }], sampleTestProvider, {});
+
+			var texts = pages[0].items.map(function (item) {
+				return item.item.inlines[0].text;
+			});
+			assert.equal(texts.join(''), word);
+			assert.equal(texts[0], 'x' + new Array(8).join('\u0915\u094d\u0937'));
+		});
+
+		it('should order mixed-direction text of the line visually', function () {
+			var pages = builder.layoutDocument([{ text: 'abc \u05d0\u05d1\u05d2 \u05d3\u05d4\u05d5' }], sampleTestProvider, {});
+			var line = pages[0].items[0].item;
+
+			assert.deepEqual(line.inlines.map(function (inline) {
+				return inline.text;
+			}), ['abc ', '\u05d3\u05d4\u05d5', '\u05d0\u05d1\u05d2 ']);
+			assert.deepEqual(line.inlines.map(function (inline) {
+				return inline.x;
+			}), [0, 48, 84]);
+			assert.equal(line.x, 40);
+		});
+
+		it('should align right-to-left paragraph right', function () {
+			var pages = builder.layoutDocument([{ text: '\u05d0\u05d1\u05d2 abc def', direction: 'rtl' }], sampleTestProvider, {});
+			var line = pages[0].items[0].item;
+
+			assert.deepEqual(line.inlines.map(function (inline) {
+				return inline.text;
+			}), ['abc ', 'def', '\u05d0\u05d1\u05d2 ']);
+			assert.deepEqual(line.inlines.map(function (inline) {
+				return inline.bidiLevel;
+			}), [2, 2, 1]);
+			assert.equal(line.x, 40 + 320 - 11 * 12);
+		});
+
+		it('should place columns and list markers of right-to-left content from the right', function () {
+			var desc = [
+				{ columns: [{ text: 'a', width: 100 }, { text: 'b', width: 100 }], columnGap: 10, direction: 'rtl' },
+				{ ol: ['\u05d0\u05d1\u05d2'], direction: 'rtl' }
+			];
+
+			var pages = builder.layoutDocument(desc, sampleTestProvider, {});
+			var lines = pages[0].items.map(function (item) {
+				return item.item;
+			});
+
+			assert.equal(lines[0].x, 40 + 320 - 12);
+			assert.equal(lines[1].x, 40 + 320 - 100 - 10 - 12);
+
+			// item text is aligned to the gap of the marker on the right side
+			assert.equal(lines[2].x, 40 + 320 - 36 - 36);
+			var marker = lines[3];
+			assert.deepEqual(marker.inlines.map(function (inline) {
+				return inline.text;
+			}), ['. ', '1']);
+			assert.equal(marker.x + marker.inlines[1].x, 40 + 320 - 12);
+		});
+
+		it('should mirror cells and borders of right-to-left table', function () {
+			var desc = [{ table: { widths: [50, 50], body: [['a', 'b']] }, direction: 'rtl' }];
+
+			var pages = builder.layoutDocument(desc, sampleTestProvider, {});
+			var lines = pages[0].items.filter(function (item) {
+				return item.type === 'line';
+			}).map(function (item) {
+				return item.item;
+			});
+			var verticalBorders = pages[0].items.filter(function (item) {
+				return item.type === 'vector' && item.item.x1 === item.item.x2;
+			}).map(function (item) {
+				return item.item.x1;
+			});
+
+			// cell content box starts after the border and padding (5) on the right
+			assert.equal(lines[0].x, 40 + 320 - 5 - 12);
+			assert.equal(lines[1].x, 40 + 320 - 5 - 50 - 9 - 12);
+			assert.deepEqual(verticalBorders, [40 + 320 - 0.5, 40 + 320 - 59.5, 40 + 320 - 118.5]);
+		});
+
+		function findLine(page, text) {
+			return page.items.filter(function (item) {
+				return item.type === 'line' && item.item.inlines[0].text.trim() === text;
+			})[0].item;
+		}
+
+		it('should align cells vertically in the row', function () {
+			var desc = [{
+				verticalAlignment: 'middle',
+				table: {
+					widths: [50, 50, 50, 50],
+					body: [[
+						{ text: 'a\nb\nc\nd' },
+						'm',
+						{ text: 'z', verticalAlignment: 'bottom' },
+						{ text: 't', verticalAlignment: 'top' }
+					]]
+				}
+			}];
+
+			var pages = builder.layoutDocument(desc, sampleTestProvider, {});
+			var top = findLine(pages[0], 'a').y;
+
+			assert.equal(findLine(pages[0], 'd').y, top + 36);
+			assert.equal(findLine(pages[0], 'm').y, top + 18);
+			assert.equal(findLine(pages[0], 'z').y, top + 36);
+			assert.equal(findLine(pages[0], 't').y, top);
+		});
+
+		it('should align row span cell to the bottom of its last row', function () {
+			var desc = [{
+				table: {
+					widths: [50, 50],
+					body: [
+						[{ text: 'x', rowSpan: 2, verticalAlignment: 'bottom' }, 'a'],
+						['', { text: 'b\nc\nd', verticalAlignment: 'middle' }]
+					]
+				}
+			}];
+
+			var pages = builder.layoutDocument(desc, sampleTestProvider, {});
+
+			assert.equal(findLine(pages[0], 'x').y, findLine(pages[0], 'd').y);
+			// cell filling its row is not moved
+			assert.equal(findLine(pages[0], 'b').y, findLine(pages[0], 'a').y + 12 + 5);
+		});
+
+		it('should align cell with nested table and its backgrounds', function () {
+			var desc = [{
+				table: {
+					widths: [50, 100],
+					body: [[
+						{ text: 'a\nb\nc\nd' },
+						{ verticalAlignment: 'bottom', table: { body: [[{ text: 'n', fillColor: 'red' }]] } }
+					]]
+				}
+			}];
+
+			var pages = builder.layoutDocument(desc, sampleTestProvider, {});
+			var background = pages[0].items.filter(function (item) {
+				return item.type === 'vector' && item.item.color === 'red';
+			})[0].item;
+			var nested = findLine(pages[0], 'n');
+
+			assert.equal(nested.y, findLine(pages[0], 'd').y - 3);
+			assert(background.y < nested.y && background.y + background.h > nested.y + 12);
+		});
+
+		it('should not move lines of paragraph longer than the page', function () {
+			var text = [];
+			for (var i = 0; i < 61; i++) {
+				text.push('line');
+			}
+
+			var pages = builder.layoutDocument([{ text: text.join('\n'), widows: 2 }], sampleTestProvider);
+
+			assert.equal(pages.length, 2);
+			assert.equal(pages[0].items.length, 59);
+			assert.equal(pages[1].items.length, 2);
+		});
+
 		it('should not split table headers', function () {
 			var desc = [
 				{
@@ -1607,7 +2255,6 @@ describe('LayoutBuilder', function () {
 			it.skip('should support border styling');
 			it.skip('should support subscript');
 			it.skip('should support superscript');
-			it.skip('should support vertical alignment inside cells');
 			it.skip('should support programmatic cell styling');
 			it.skip('should support non-breaking-spaces');
 			it.skip('should support non-breaking-lines');
@@ -1752,6 +2399,48 @@ describe('LayoutBuilder', function () {
 			assert.equal(footer.getCall(0).args[1], 1);
 			assert.deepEqual(footer.getCall(0).args[2], pageSize);
 		});
+
+		it('should provide first and last markers active on the page', function () {
+			docStructure = [
+				{ text: 'Introduction', marker: { chapter: 'Introduction' } },
+				{ text: 'Methods', marker: { chapter: 'Methods', section: 'Setup' } },
+				{ text: 'Results', marker: { chapter: 'Results' }, pageBreak: 'before' },
+				{ text: 'Text', pageBreak: 'before' }
+			];
+			header = sinon.spy();
+			footer = sinon.spy();
+
+			builder.layoutDocument(docStructure, pdfDocument, styleDictionary, defaultStyle, background, header, footer, watermark, pageBreakBeforeFunction);
+
+			assert.deepEqual(header.getCall(0).args[3], {
+				first: { chapter: 'Introduction', section: 'Setup' },
+				last: { chapter: 'Methods', section: 'Setup' }
+			});
+			assert.deepEqual(header.getCall(1).args[3], {
+				first: { chapter: 'Results', section: 'Setup' },
+				last: { chapter: 'Results', section: 'Setup' }
+			});
+			assert.deepEqual(footer.getCall(2).args[3], {
+				first: { chapter: 'Results', section: 'Setup' },
+				last: { chapter: 'Results', section: 'Setup' }
+			});
+		});
+
+		it('should provide marker on the page of the first placed line of the node', function () {
+			docStructure = [
+				{ text: 'Introduction', marker: { chapter: 'Introduction' } },
+				{ text: [{ text: 'B', fontSize: 1000 }, '\nResults'], marker: { chapter: 'Results' } }
+			];
+			header = sinon.spy();
+
+			builder.layoutDocument(docStructure, pdfDocument, styleDictionary, defaultStyle, background, header, footer, watermark, pageBreakBeforeFunction);
+
+			assert.equal(docStructure[1].positions[0], false);
+			assert.deepEqual(header.lastCall.args[3], {
+				first: { chapter: 'Results' },
+				last: { chapter: 'Results' }
+			});
+		});
 	});
 
 	describe('dynamic background', function () {
@@ -2009,6 +2698,72 @@ describe('LayoutBuilder', function () {
 		});
 	});
 
+	describe('footnotes', function () {
+		it('should place footnote at the bottom of the page with reference', function () {
+			var desc = [
+				{ text: ['Reference', { text: 'here', footnote: 'Note' }] }
+			];
+
+			var pages = builder.layoutDocument(desc, sampleTestProvider, {});
+
+			assert.equal(pages.length, 1);
+			assert.equal(pages[0].items.length, 3);
+			assert.deepEqual(pages[0].items[0].item.inlines.map(function (inline) {
+				return inline.text;
+			}), ['Reference', 'here', '1']);
+			assert.equal(pages[0].items[0].item.inlines[2].sup, true);
+
+			assert.equal(pages[0].items[1].type, 'vector');
+			assert.equal(pages[0].items[1].item.y1, 800 - 40 - 12 - 5);
+
+			var note = pages[0].items[2].item;
+			assert.equal(note.x, 40);
+			assert.equal(note.y, 800 - 40 - 12);
+			assert.deepEqual(note.inlines.map(function (inline) {
+				return inline.text;
+			}), ['1', ' ', 'Note']);
+		});
+
+		it('should move reference to the next page together with its footnote', function () {
+			var lines = [];
+			for (var i = 0; i < 59; i++) {
+				lines.push('line');
+			}
+
+			var desc = [
+				{ stack: lines },
+				{ text: 'Reference', footnote: 'First note' },
+				{ text: 'Second reference', footnote: 'Second note' }
+			];
+
+			var pages = builder.layoutDocument(desc, sampleTestProvider, {});
+
+			assert.equal(pages.length, 2);
+			assert.equal(pages[0].items.length, 59);
+			assert.equal(pages[0].footnotes, undefined);
+			assert.equal(pages[1].footnotes.items.length, 2);
+			assert.equal(pages[1].items[0].item.y, 40);
+			assert.equal(pages[1].items[3].item.y, 800 - 40 - 24);
+			assert.equal(pages[1].items[4].item.inlines[0].text, '2');
+		});
+
+		it('should throw error if footnote does not fit on an empty page', function () {
+			var note = [];
+			for (var i = 0; i < 70; i++) {
+				note.push('note');
+			}
+
+			var desc = [
+				'Text',
+				{ text: 'Reference', footnote: note.join('\n') }
+			];
+
+			assert.throws(function () {
+				builder.layoutDocument(desc, sampleTestProvider, {});
+			}, /Footnotes do not fit on an empty page with the text referencing them, footnotes: '1 note note/);
+		});
+	});
+
 	describe('table of content', function () {
 		it('should render empty ToC', function () {
 			var desc = [
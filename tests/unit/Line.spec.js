@@ -101,7 +101,26 @@ describe('Line', function () {
 
 	describe('getAscenderHeight', function () {
 
-		// TODO
+		var font = { ascender: 800, descender: -200 };
+
+		it('should place inline image on the baseline', function () {
+			var line = new Line(100);
+			line.addInline({ text: 'a', font: font, fontSize: 10, width: 10, height: 10 });
+			line.addInline({ image: 'icon', text: '', font: font, fontSize: 10, width: 20, height: 22, _height: 20 });
+
+			assert.equal(line.getAscenderHeight(), 20);
+		});
+
+		it('should align inline image by verticalAlign', function () {
+			var line = new Line(100);
+			line.addInline({ text: 'a', font: font, fontSize: 10, width: 10, height: 10 });
+			line.addInline({ svg: '<svg></svg>', text: '', verticalAlign: 'middle', font: font, fontSize: 10, width: 20, height: 20, _height: 20 });
+			assert.equal(line.getAscenderHeight(), 13);
+
+			line = new Line(100);
+			line.addInline({ image: 'icon', text: '', verticalAlign: 'top', font: font, fontSize: 10, width: 20, height: 20, _height: 20 });
+			assert.equal(line.getAscenderHeight(), 8);
+		});
 
 	});
 
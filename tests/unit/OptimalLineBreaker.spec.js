@@ -0,0 +1,67 @@
+'use strict';
+
+var assert = require('assert');
+
+var OptimalLineBreaker = require('../../js/OptimalLineBreaker').default;
+
+describe('OptimalLineBreaker', function () {
+
+	// width of one character is 1
+	function buildInlines(text) {
+		return text.split(/(?= )/).map(function (word, index, words) {
+			word = index > 0 ? word.substr(1) : word;
+			if (index < words.length - 1) {
+				word += ' ';
+			}
+			return { text: word, width: word.length, trailingCut: word.slice(-1) === ' ' ? 1 : 0 };
+		});
+	}
+
+	describe('getBreaks', function () {
+
+		it('should minimize demerits of all lines of the paragraph', function () {
+			var inlines = buildInlines('a b c d eeeeeeeee ff');
+
+			// greedy breaking would fill the first line with 'a b c d' and leave 'eeeeeeeee' with unstretchable gap
+			assert.deepEqual(new OptimalLineBreaker().getBreaks(inlines, 11), [2, 4]);
+		});
+
+		it('should fill lines which need no stretching', function () {
+			var inlines = buildInlines('aaa bb cc ddd eeee ff ggg');
+
+			assert.deepEqual(new OptimalLineBreaker().getBreaks(inlines, 9), [2, 4]);
+			assert.deepEqual(new OptimalLineBreaker().getBreaks(inlines, 100), []);
+		});
+
+		it('should break line at the new line', function () {
+			var inlines = buildInlines('aa bb cc dd');
+			inlines[0].lineEnd = true;
+
+			assert.deepEqual(new OptimalLineBreaker().getBreaks(inlines, 100), [0]);
+		});
+
+		it('should not break inside of words with styled parts', function () {
+			var inlines = buildInlines('a b c d eeeeeeeee ff');
+			inlines[2].noNewLine = true;
+
+			assert.deepEqual(new OptimalLineBreaker().getBreaks(inlines, 11), [3, 4]);
+		});
+
+		it('should reserve space for hyphen of broken word', function () {
+			var inlines = [
+				{ text: 'aaa ', width: 4, trailingCut: 1 },
+				{ text: 'bbb', width: 3, hyphen: true, hyphenWidth: 1 },
+				{ text: 'ccc', width: 3 }
+			];
+
+			assert.deepEqual(new OptimalLineBreaker().getBreaks(inlines, 7), [0]);
+			assert.deepEqual(new OptimalLineBreaker().getBreaks(inlines, 8), [1]);
+		});
+
+		it('should return null if inline is wider than the line', function () {
+			assert.equal(new OptimalLineBreaker().getBreaks(buildInlines('aaaaaa b'), 5), null);
+		});
+
+	});
+
+});
@@ -0,0 +1,116 @@
+'use strict';
+
+var assert = require('assert');
+var sinon = require('sinon');
+var Writable = require('stream').Writable;
+
+var PDFDocument = require('../../js/PDFDocument').default;
+var Printer = require('../../js/Printer').default;
+var OutputDocument = require('../../js/OutputDocument').default;
+var Renderer = require('../../js/Renderer').default;
+
+describe('OutputDocument', function () {
+
+	var PAGE_COUNT = 200;
+	var fontDescriptors, docDefinition;
+
+	function createWritable(chunks) {
+		return new Writable({
+			write: function (chunk, encoding, callback) {
+				chunks.push(chunk);
+				setImmediate(callback);
+			}
+		});
+	}
+
+	function createOutputDocument() {
+		var printer = new Printer(fontDescriptors);
+		return new OutputDocument(printer.createPdfKitDocument(docDefinition, { progressiveRendering: true }));
+	}
+
+	beforeEach(function () {
+		fontDescriptors = {
+			Roboto: {
+				normal: 'tests/fonts/Roboto-Regular.ttf'
+			}
+		};
+
+		var content = [];
+		for (var i = 0; i < PAGE_COUNT; i++) {
+			content.push({ text: 'Page ' + (i + 1), pageBreak: i > 0 ? 'before' : undefined });
+		}
+
+		docDefinition = { content: content, compress: false };
+		sinon.spy(PDFDocument.prototype, 'addPage');
+	});
+
+	afterEach(function () {
+		PDFDocument.prototype.addPage.restore();
+	});
+
+	describe('getReadableStream', function () {
+
+		it('should not render all pages before the stream is consumed', async function () {
+			var outputDocument = createOutputDocument();
+
+			var stream = await outputDocument.getReadableStream();
+
+			assert(PDFDocument.prototype.addPage.callCount < PAGE_COUNT);
+
+			stream.resume();
+			await new Promise(function (resolve) {
+				stream.on('end', resolve);
+			});
+
+			assert.equal(PDFDocument.prototype.addPage.callCount, PAGE_COUNT);
+		});
+
+	});
+
+	describe('pipe', function () {
+
+		it('should write the whole document into writable', async function () {
+			var chunks = [];
+
+			await createOutputDocument().pipe(createWritable(chunks));
+
+			var pdf = Buffer.concat(chunks).toString('binary');
+			assert.equal(pdf.indexOf('%PDF-1.3'), 0);
+			assert(pdf.trim().endsWith('%%EOF'));
+			assert.equal(pdf.match(/\/Type \/Page\n/g).length, PAGE_COUNT);
+		});
+
+		it('should produce the same document as getBuffer', async function () {
+			var chunks = [];
+
+			await createOutputDocument().pipe(createWritable(chunks));
+			var buffer = await createOutputDocument().getBuffer();
+
+			assert.equal(Buffer.concat(chunks).length, buffer.length);
+		});
+
+	});
+
+	describe('rendering error', function () {
+
+		afterEach(function () {
+			if (Renderer.prototype.renderNextPage.restore) {
+				Renderer.prototype.renderNextPage.restore();
+			}
+		});
+
+		it('should reject getBuffer when rendering of a page fails', async function () {
+			sinon.stub(Renderer.prototype, 'renderNextPage').throws(new Error('Rendering failed'));
+
+			await assert.rejects(createOutputDocument().getBuffer(), /Rendering failed/);
+		});
+
+		it('should reject pipe when rendering of a page fails', async function () {
+			sinon.stub(Renderer.prototype, 'renderNextPage').throws(new Error('Rendering failed'));
+
+			await assert.rejects(createOutputDocument().pipe(createWritable([])), /Rendering failed/);
+		});
+
+	});
+
+});
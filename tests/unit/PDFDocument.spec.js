@@ -1,8 +1,12 @@
 'use strict';
 
 var assert = require('assert');
+var fs = require('fs');
+var sinon = require('sinon');
 
 var PDFDocument = require('../../js/PDFDocument').default;
+var FontCache = require('../../js/FontCache').default;
+var VirtualFileSystem = require('../../js/virtual-fs').default.constructor;
 
 describe('PDFDocument', function () {
 	var pdfDocument;
@@ -35,6 +39,123 @@ describe('PDFDocument', function () {
 			assert.equal(result.font.postscriptName, 'Roboto-Regular');
 		});
 
+		it('should provide fonts of the fallback chain', function () {
+			pdfDocument = new PDFDocument({
+				Roboto: {
+					normal: 'tests/fonts/Roboto-Regular.ttf',
+					bold: 'tests/fonts/Roboto-Medium.ttf'
+				},
+				Fallback: {
+					normal: 'tests/fonts/Roboto-Italic.ttf'
+				}
+			}, {}, { fallbackFonts: ['Fallback', 'Roboto'] });
+
+			var fonts = pdfDocument.provideFontChain(['Roboto', 'Fallback'], true, false);
+			assert.deepEqual(fonts.map(function (font) {
+				return font.font.postscriptName;
+			}), ['Roboto-Medium', 'Roboto-Italic']);
+		});
+
+		describe('font weights', function () {
+
+			beforeEach(function () {
+				pdfDocument = new PDFDocument({
+					Weights: {
+						100: 'tests/fonts/Roboto-Italic.ttf',
+						400: { normal: 'tests/fonts/Roboto-Regular.ttf', italic: 'tests/fonts/Roboto-MediumItalic.ttf' },
+						600: { normal: 'tests/fonts/Roboto-Medium.ttf' }
+					},
+					Regular: {
+						normal: 'tests/fonts/Roboto-Regular.ttf'
+					}
+				});
+			});
+
+			function provideWeight(weight, italics) {
+				return pdfDocument.provideFont('Weights', false, italics || false, { wght: weight }).font.postscriptName;
+			}
+
+			it('should provide font of the nearest weight', function () {
+				assert.equal(provideWeight(400), 'Roboto-Regular');
+				assert.equal(provideWeight(450), 'Roboto-Regular');
+				assert.equal(provideWeight(500), 'Roboto-Regular');
+				assert.equal(provideWeight(550), 'Roboto-Medium');
+				assert.equal(provideWeight(900), 'Roboto-Medium');
+				assert.equal(provideWeight(300), 'Roboto-Italic');
+				assert.equal(provideWeight(50), 'Roboto-Italic');
+				assert.equal(provideWeight(700, true), 'Roboto-MediumItalic');
+			});
+
+			it('should provide weight 700 for bold', function () {
+				assert.equal(pdfDocument.provideFont('Weights', true, false).font.postscriptName, 'Roboto-Medium');
+				assert.equal(pdfDocument.getFontFile('Weights', true, false), 'tests/fonts/Roboto-Medium.ttf');
+				assert.equal(pdfDocument.getFontFile('Weights', true, false, 200), 'tests/fonts/Roboto-Italic.ttf');
+				assert.equal(pdfDocument.getFontType(true, false), 'bold');
+				assert.equal(pdfDocument.getFontType(true, true, 300), '300italics');
+			});
+
+			it('should provide nearest weight of the style and throw error if the style is not defined', function () {
+				assert.equal(pdfDocument.provideFont('Regular', true, false).font.postscriptName, 'Roboto-Regular');
+				assert.throws(function () {
+					pdfDocument.provideFont('Regular', true, true);
+				}, /^Error: Font 'Regular' in style 'bolditalics' is not defined in the font section of the document definition.$/);
+			});
+
+		});
+
+		describe('variable fonts', function () {
+
+			var baseFont;
+
+			beforeEach(function () {
+				pdfDocument = new PDFDocument({
+					Variable: {
+						normal: 'tests/fonts/Roboto-Regular.ttf',
+						bold: { file: 'tests/fonts/Roboto-Regular.ttf', axes: { wght: 700 } }
+					},
+					VariableNormal: {
+						normal: 'tests/fonts/Roboto-Regular.ttf'
+					}
+				});
+				baseFont = pdfDocument.provideFont('Variable', false, false);
+				Object.defineProperty(baseFont.font, 'variationAxes', {
+					value: { wght: { min: 100, default: 400, max: 900 }, wdth: { min: 75, default: 100, max: 100 } }
+				});
+				baseFont.font.getVariation = sinon.stub().returns(baseFont.font);
+			});
+
+			it('should provide instance with axes of the font descriptor', function () {
+				var font = pdfDocument.provideFont('Variable', true, false);
+
+				assert.notStrictEqual(font, baseFont);
+				assert.notEqual(font.id, baseFont.id);
+				assert.deepEqual(baseFont.font.getVariation.firstCall.args[0], { wght: 700 });
+				assert(font.shaper);
+				assert.strictEqual(pdfDocument.provideFont('Variable', true, false), font);
+				assert.equal(baseFont.font.getVariation.callCount, 1);
+			});
+
+			it('should clamp axis values and ignore axes missing in the font', function () {
+				pdfDocument.provideFont('Variable', false, false, { wght: 1000, wdth: 50, opsz: 12 });
+				assert.deepEqual(baseFont.font.getVariation.firstCall.args[0], { wdth: 75, wght: 900 });
+
+				assert.strictEqual(pdfDocument.provideFont('Variable', false, false, { opsz: 12 }), baseFont);
+			});
+
+			it('should set weight axis of the nearest weight to the required weight', function () {
+				pdfDocument.provideFont('VariableNormal', true, false);
+				assert.deepEqual(baseFont.font.getVariation.firstCall.args[0], { wght: 700 });
+			});
+
+			it('should provide static font for variation of font without axes', function () {
+				pdfDocument = new PDFDocument({ Roboto: { normal: 'tests/fonts/Roboto-Regular.ttf' } });
+				var font = pdfDocument.provideFont('Roboto', false, false);
+
+				assert.strictEqual(pdfDocument.provideFont('Roboto', false, false, { wght: 700 }), font);
+			});
+
+		});
+
 		it('should provide bold Roboto font', function () {
 			var result = pdfDocument.provideFont('Roboto', true, false);
 			assert.equal(result.font.postscriptName, 'Roboto-Medium');
@@ -52,6 +173,100 @@ describe('PDFDocument', function () {
 
 	});
 
+	describe('shared font cache', function () {
+
+		var fontCache;
+
+		beforeEach(function () {
+			fontCache = new FontCache();
+		});
+
+		function createDocument() {
+			return new PDFDocument({
+				Roboto: { normal: 'tests/fonts/Roboto-Regular.ttf' },
+				Alias: { normal: 'tests/fonts/Roboto-Regular.ttf' }
+			}, {}, { sharedFontCache: fontCache });
+		}
+
+		it('should share parsed fonts by documents', function () {
+			var first = createDocument().provideFont('Roboto', false, false);
+			var secondDocument = createDocument();
+			var second = secondDocument.provideFont('Roboto', false, false);
+
+			assert.notStrictEqual(second, first);
+			assert.strictEqual(second.font, first.font);
+			assert.strictEqual(second.document, secondDocument);
+			assert.notStrictEqual(second.subset, first.subset);
+			assert(second.shaper);
+		});
+
+		it('should not share fonts of the same name in different virtual file systems', function () {
+			function createVirtualFileSystem(file) {
+				var virtualfs = new VirtualFileSystem();
+				virtualfs.writeFileSync('font.ttf', fs.readFileSync(file));
+				return virtualfs;
+			}
+
+			var fonts = { Roboto: { normal: 'font.ttf' } };
+			var regular = new PDFDocument(fonts, {}, { sharedFontCache: fontCache }, createVirtualFileSystem('tests/fonts/Roboto-Regular.ttf'));
+			var medium = new PDFDocument(fonts, {}, { sharedFontCache: fontCache }, createVirtualFileSystem('tests/fonts/Roboto-Medium.ttf'));
+
+			assert.equal(regular.provideFont('Roboto', false, false).name, 'Roboto-Regular');
+			assert.equal(medium.provideFont('Roboto', false, false).name, 'Roboto-Medium');
+		});
+
+		it('should share fonts of virtual file systems with files of the same content', function () {
+			function createVirtualFileSystem() {
+				var virtualfs = new VirtualFileSystem();
+				virtualfs.writeFileSync('font.ttf', fs.readFileSync('tests/fonts/Roboto-Regular.ttf'));
+				return virtualfs;
+			}
+
+			var fonts = { Roboto: { normal: 'font.ttf' } };
+			var first = new PDFDocument(fonts, {}, { sharedFontCache: fontCache }, createVirtualFileSystem());
+			var second = new PDFDocument(fonts, {}, { sharedFontCache: fontCache }, createVirtualFileSystem());
+
+			assert.strictEqual(second.provideFont('Roboto', false, false).font, first.provideFont('Roboto', false, false).font);
+			assert.equal(fontCache.files.size, 1);
+		});
+
+		it('should reuse font of the same file in the document', function () {
+			createDocument().provideFont('Roboto', false, false);
+			var document = createDocument();
+
+			assert.strictEqual(document.provideFont('Alias', false, false), document.provideFont('Roboto', false, false));
+		});
+
+	});
+
+	describe('getFontReport', function () {
+
+		it('should report glyphs and bytes of embedded fonts', function (done) {
+			var font = pdfDocument.provideFont('Roboto', false, false);
+			pdfDocument.provideFont('Roboto', true, false);
+			pdfDocument.addPage();
+			pdfDocument._font = font;
+			pdfDocument.text('abba', 0, 0);
+
+			pdfDocument.on('data', function () {});
+			pdfDocument.on('end', function () {
+				var report = pdfDocument.getFontReport();
+
+				assert.equal(report.length, 1);
+				assert.equal(report[0].family, 'Roboto');
+				assert.equal(report[0].style, 'normal');
+				assert.equal(report[0].name, 'Roboto-Regular');
+				assert.equal(report[0].glyphs, 3); // .notdef, a, b
+				assert.equal(report[0].fontGlyphs, font.font.numGlyphs);
+				assert(report[0].bytes > 0);
+				assert(report[0].uncompressedBytes > report[0].bytes);
+				done();
+			});
+			pdfDocument.end();
+		});
+
+	});
+
 	describe('provideImage', function () {
 
 		// TODO
@@ -147,6 +147,37 @@ describe('PageElementWriter', function () {
 			assert.equal(ctx.pages[1].items[0].item.marker, 'rep');
 			assert.equal(ctx.pages[1].items[1].item.marker, 'another');
 		});
+
+		it('should reserve space for footnotes of the line', function () {
+			var line = buildLine(20);
+			line._footnotes = [{ items: [], height: 40 }];
+			pew.addLine(line);
+
+			assert.equal(ctx.pages[0].footnotes.items.length, 1);
+			assert.equal(ctx.availableHeight, AVAILABLE_HEIGHT - 20 - 50);
+		});
+
+		it('should move line with footnotes to the next page if footnotes do not fit', function () {
+			addOneTenthLines(9);
+
+			var line = buildLine(AVAILABLE_HEIGHT / 10);
+			line._footnotes = [{ items: [], height: 40 }];
+			var position = pew.addLine(line);
+
+			assert.equal(position.pageNumber, 2);
+			assert.equal(ctx.pages[0].footnotes, undefined);
+			assert.equal(ctx.pages[1].footnotes.items.length, 1);
+		});
+
+		it('should throw error if footnotes of the line do not fit on an empty page', function () {
+			var line = buildLine(20);
+			line._footnotes = [{ items: [], height: AVAILABLE_HEIGHT }];
+
+			assert.throws(function () {
+				pew.addLine(line);
+			}, /Footnotes do not fit on an empty page/);
+			assert.equal(ctx.pages[0].items.length, 0);
+		});
 	});
 
 	describe('addImage', function () {
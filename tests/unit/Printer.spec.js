@@ -273,4 +273,90 @@ describe('Printer', function () {
 		});
 	});
 
+	it('should share parsed fonts by documents of printers with sharedFontCache option', async function () {
+		var sharedFontCache = require('../../js/FontCache').sharedFontCache;
+		sharedFontCache.clear();
+
+		var first = await new Printer(fontDescriptors, null, null, { sharedFontCache: true }).createPdfKitDocument({ content: 'Text' });
+		var second = await new Printer(fontDescriptors, null, null, { sharedFontCache: true }).createPdfKitDocument({ content: 'Text' });
+		var separate = await new Printer(fontDescriptors).createPdfKitDocument({ content: 'Text' });
+
+		var fontOf = function (pdfDocument) {
+			return pdfDocument.provideFont('Roboto', false, false).font;
+		};
+		assert.strictEqual(fontOf(second), fontOf(first));
+		assert.notStrictEqual(fontOf(separate), fontOf(first));
+		sharedFontCache.clear();
+	});
+
+	describe('layoutDocument', function () {
+
+		var docDefinition;
+
+		beforeEach(function () {
+			printer = new Printer(fontDescriptors);
+			docDefinition = {
+				pageSize: { width: 300, height: 400 },
+				pageMargins: 50,
+				content: [
+					{ text: 'Heading', id: 'heading', fontSize: 20 },
+					{ text: 'Lorem ipsum dolor sit amet, consectetur adipiscing elit, sed do eiusmod tempor incididunt ut labore et dolore magna aliqua.', id: 'paragraph' },
+					{ canvas: [{ type: 'rect', x: 0, y: 0, w: 100, h: 20 }] },
+					{ text: 'Second page', id: 'second', pageBreak: 'before' }
+				]
+			};
+		});
+
+		it('should not render any page', async function () {
+			await printer.layoutDocument(docDefinition);
+
+			assert.equal(PDFDocument.prototype.addPage.callCount, 0);
+		});
+
+		it('should return pages with lines and inline boxes', async function () {
+			var model = await printer.layoutDocument(docDefinition);
+
+			assert.equal(model.pageCount, 2);
+			assert.deepEqual(model.pages[0].pageSize, { width: 300, height: 400, orientation: 'portrait' });
+
+			var line = model.pages[0].items[0];
+			assert.equal(line.type, 'line');
+			assert.equal(line.id, 'heading');
+			assert.equal(line.x, 50);
+			assert.equal(line.y, 50);
+			assert.equal(line.inlines[0].text, 'Heading');
+			assert.equal(line.inlines[0].fontSize, 20);
+			assert.equal(line.inlines[0].font, 'Roboto-Regular');
+
+			var vector = model.pages[0].items[model.pages[0].items.length - 1];
+			assert.equal(vector.type, 'vector');
+			assert.equal(vector.vector.type, 'rect');
+			assert.equal(vector.vector.w, 100);
+		});
+
+		it('should return positions and line counts of nodes with id', async function () {
+			var model = await printer.layoutDocument(docDefinition);
+
+			assert.deepEqual(model.nodes.map(function (node) {
+				return node.id;
+			}), ['heading', 'paragraph', 'second']);
+
+			var paragraph = model.nodes[1];
+			assert(paragraph.lineCount > 1);
+			assert.equal(paragraph.positions.length, paragraph.lineCount);
+			assert.deepEqual(paragraph.pageNumbers, [1]);
+			assert(paragraph.positions[0].top > model.nodes[0].positions[0].top);
+
+			assert.deepEqual(model.nodes[2].pageNumbers, [2]);
+			assert.equal(model.nodes[2].positions[0].top, 50);
+		});
+
+		it('should return serializable model', async function () {
+			var model = await printer.layoutDocument(docDefinition);
+
+			assert.deepEqual(JSON.parse(JSON.stringify(model)), model);
+		});
+
+	});
+
 });
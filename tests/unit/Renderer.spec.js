@@ -0,0 +1,246 @@
+'use strict';
+
+var assert = require('assert');
+var sinon = require('sinon');
+
+var Printer = require('../../js/Printer').default;
+
+describe('Renderer', function () {
+
+	describe('renderField', function () {
+
+		var printer;
+
+		beforeEach(function () {
+			printer = new Printer({
+				Roboto: {
+					normal: 'tests/fonts/Roboto-Regular.ttf'
+				}
+			});
+		});
+
+		function renderPdf(docDefinition) {
+			return printer.createPdfKitDocument(docDefinition).then(function (pdfDocument) {
+				return new Promise(function (resolve) {
+					var chunks = [];
+					pdfDocument.on('data', function (chunk) {
+						chunks.push(chunk);
+					});
+					pdfDocument.on('end', function () {
+						resolve(Buffer.concat(chunks).toString('binary'));
+					});
+					pdfDocument.end();
+				});
+			});
+		}
+
+		function getObject(pdf, pattern) {
+			return pdf.split('endobj').filter(function (object) {
+				return pattern.test(object);
+			});
+		}
+
+		it('should write field with widget annotation', async function () {
+			var pdf = await renderPdf({
+				compress: false,
+				content: {
+					text: ['Name: ', { field: 'text', name: 'name', value: 'John', required: true, maxLength: 20, width: 100, alignment: 'center', color: 'red', fillColor: '#eeeeee', lineColor: 'blue' }]
+				}
+			});
+
+			assert(/\/AcroForm \d+ 0 R/.test(pdf));
+			assert(pdf.indexOf('/NeedAppearances true') > -1);
+
+			var field = getObject(pdf, /\/T \(name\)/)[0];
+			assert(field.indexOf('/FT /Tx') > -1);
+			assert(field.indexOf('/V (John)') > -1);
+			assert(field.indexOf('/DV (John)') > -1);
+			assert(field.indexOf('/Ff 2') > -1);
+			assert(field.indexOf('/MaxLen 20') > -1);
+			assert(field.indexOf('/Q 1') > -1);
+			assert(/\/DA \(\/F\d+ 12 Tf 1 0 0 rg\)/.test(field));
+
+			var widget = getObject(pdf, /\/Subtype \/Widget/)[0];
+			assert(/\/Parent \d+ 0 R/.test(widget));
+			assert(/\/MK <<\n\/BG \[0.9333\d* 0.9333\d* 0.9333\d*\]\n\/BC \[0 0 1\]/.test(widget));
+
+			// placed after the text
+			var rect = widget.match(/\/Rect \[([\d. ]+)\]/)[1].split(' ').map(Number);
+			assert(rect[0] > 40);
+			assert.equal(Math.round(rect[2] - rect[0]), 100);
+		});
+
+		it('should group radio buttons with the same name', async function () {
+			var pdf = await renderPdf({
+				compress: false,
+				content: {
+					table: {
+						body: [
+							[{ field: 'radio', name: 'payment', option: 'card' }, 'Card'],
+							[{ field: 'radio', name: 'payment', option: 'bank transfer', value: true }, 'Bank transfer']
+						]
+					}
+				}
+			});
+
+			var fields = getObject(pdf, /\/T \(payment\)/);
+			assert.equal(fields.length, 1);
+			assert(/\/Kids \[\d+ 0 R \d+ 0 R\]/.test(fields[0]));
+			assert(fields[0].indexOf('/V /bank#20transfer') > -1);
+			assert(fields[0].indexOf('/Ff 49152') > -1);
+
+			var widgets = getObject(pdf, /\/Subtype \/Widget/);
+			assert.equal(widgets.length, 2);
+			assert(widgets[0].indexOf('/AS /Off') > -1);
+			assert(/\/AP <<\n\/N <<\n\/card \d+ 0 R\n\/Off \d+ 0 R/.test(widgets[0]));
+			assert(widgets[1].indexOf('/AS /bank#20transfer') > -1);
+		});
+
+		it('should write checkbox, dropdown and signature fields', async function () {
+			var pdf = await renderPdf({
+				compress: false,
+				content: [
+					{ field: 'checkbox', name: 'agree', value: true },
+					{ field: 'dropdown', name: 'country', options: ['Czechia', 'Slovakia'], value: 'Slovakia' },
+					{ field: 'signature', name: 'signature', width: 150, height: 40 }
+				]
+			});
+
+			var checkbox = getObject(pdf, /\/T \(agree\)/)[0];
+			assert(checkbox.indexOf('/FT /Btn') > -1);
+			assert(checkbox.indexOf('/V /Yes') > -1);
+
+			var dropdown = getObject(pdf, /\/T \(country\)/)[0];
+			assert(dropdown.indexOf('/FT /Ch') > -1);
+			assert(dropdown.indexOf('/Opt [(Czechia) (Slovakia)]') > -1);
+			assert(dropdown.indexOf('/Ff 131072') > -1);
+
+			var signature = getObject(pdf, /\/T \(signature\)/)[0];
+			assert(signature.indexOf('/FT /Sig') > -1);
+
+			var widgets = getObject(pdf, /\/Subtype \/Widget/);
+			assert.equal(widgets.length, 3);
+			assert(widgets[0].indexOf('/AS /Yes') > -1);
+			assert(/\/Rect \[40 [\d.]+ 190 [\d.]+\]/.test(widgets[2]));
+		});
+
+		it('should lay out field as inline of the line', async function () {
+			var model = await printer.layoutDocument({
+				content: [
+					{ text: ['Name: ', { field: 'text', name: 'name', width: 100, height: 30 }] },
+					{ field: 'checkbox', name: 'agree', fontSize: 10 }
+				]
+			});
+
+			var line = model.pages[0].items[0];
+			assert.equal(line.height, 30);
+			assert.deepEqual(line.inlines[1].field, { type: 'text', name: 'name' });
+			assert.equal(line.inlines[1].width, 100);
+
+			var checkbox = model.pages[0].items[1];
+			assert.equal(checkbox.inlines[0].width, 10);
+			assert.equal(checkbox.inlines[0].height, 10);
+		});
+
+	});
+
+	describe('renderLine', function () {
+
+		var printer;
+
+		beforeEach(function () {
+			printer = new Printer({
+				Roboto: {
+					normal: 'tests/fonts/Roboto-Regular.ttf'
+				}
+			});
+		});
+
+		var icon = '<svg width="10" height="10" viewBox="0 0 10 10"><rect width="10" height="10"/></svg>';
+
+		it('should lay out image and svg as inlines of the line', async function () {
+			var model = await printer.layoutDocument({
+				content: [
+					{ text: ['Done ', { svg: icon, width: 10 }, ' ok'] },
+					{ text: ['Big ', { svg: icon, width: 30 }] },
+					{ text: ['Middle ', { svg: icon, width: 30, verticalAlign: 'middle' }] }
+				]
+			});
+
+			var line = model.pages[0].items[0];
+			assert.equal(line.inlines.length, 4);
+			assert.equal(line.inlines[1].width, 10);
+			assert.equal(line.inlines[2].x, line.inlines[1].x + 10);
+			assert.equal(line.height, line.inlines[0].height);
+
+			var bigLine = model.pages[0].items[1];
+			assert.equal(bigLine.ascender, 30);
+			assert(bigLine.height > 30);
+			assert.deepEqual(bigLine.inlines[1].image, { type: 'svg', y: bigLine.y, width: 30, height: 30 });
+
+			var middleLine = model.pages[0].items[2];
+			assert(middleLine.ascender < 30);
+			assert.equal(middleLine.height, 30);
+			assert.equal(middleLine.inlines[1].image.y, middleLine.y);
+		});
+
+		it('should render svg inline at the baseline', async function () {
+			var pdfDocument = await printer.createPdfKitDocument({
+				compress: false,
+				content: { text: ['Big ', { svg: icon, width: 30 }] }
+			});
+			var pdf = await new Promise(function (resolve) {
+				var chunks = [];
+				pdfDocument.on('data', function (chunk) {
+					chunks.push(chunk);
+				});
+				pdfDocument.on('end', function () {
+					resolve(Buffer.concat(chunks).toString('binary'));
+				});
+				pdfDocument.end();
+			});
+
+			// svg scaled to 30x30 is placed at the top of the line, its bottom edge is on the baseline
+			assert(/1 0 0 1 [\d.]+ 40 cm\n1 0 0 1 0 0 cm\nq\n0 0 m\n30 0 l/.test(pdf));
+		});
+
+		it('should draw color glyphs over invisible text', async function () {
+			var ColorFont = require('../../js/ColorFont').default;
+			sinon.stub(ColorFont, 'hasColorGlyphs').returns(true);
+			sinon.stub(ColorFont.prototype, 'getColorGlyph').callsFake(function (glyph) {
+				return glyph.codePoints[0] === 0x6F ? { layers: [{ path: 'M0 0L1000 0L1000 1000Z', color: [255, 0, 0], opacity: 1 }] } : null;
+			});
+
+			try {
+				var pdfDocument = await printer.createPdfKitDocument({
+					compress: false,
+					content: [{ text: 'no', fontSize: 20 }, { text: 'text' }]
+				});
+				var pdf = await new Promise(function (resolve) {
+					var chunks = [];
+					pdfDocument.on('data', function (chunk) {
+						chunks.push(chunk);
+					});
+					pdfDocument.on('end', function () {
+						resolve(Buffer.concat(chunks).toString('binary'));
+					});
+					pdfDocument.end();
+				});
+
+				// text is kept (invisible), 'n' is drawn as outline and 'o' as the red layer, both scaled to font size
+				assert(/q\n3 Tr\nq\n.*cm\nBT\n.*Tm\n\/F1 20 Tf\n\[<00010002> 0\] TJ\nET\nQ\nQ/.test(pdf));
+				assert(!/\/ca 0\b/.test(pdf));
+				assert(/1 0 0 1 40 [\d.]+ cm\n0\.009766 0 0 -0\.009766 0 0 cm\n\/DeviceRGB cs\n0 0 0 scn\n\/Gs\d+ gs\n315 1082 m/.test(pdf));
+				assert(/1 0 0 1 51\.\d+ [\d.]+ cm\n0\.009766 0 0 -0\.009766 0 0 cm\n\/DeviceRGB cs\n1 0 0 scn\n\/Gs\d+ gs\n0 0 m\n1000 0 l\n1000 1000 l\nh\nf/.test(pdf));
+				// text without color glyphs is only written as text
+				assert(/\/F1 12 Tf\n\[<0003000400050003> 0\] TJ/.test(pdf));
+				assert.equal(pdf.match(/0\.009766 0 0 -0\.009766 0 0 cm/g).length, 2);
+			} finally {
+				ColorFont.hasColorGlyphs.restore();
+				ColorFont.prototype.getColorGlyph.restore();
+			}
+		});
+
+	});
+
+});
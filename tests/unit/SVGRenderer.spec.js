@@ -0,0 +1,142 @@
+'use strict';
+
+var assert = require('assert');
+
+var Printer = require('../../js/Printer').default;
+var SVGRenderer = require('../../js/SVGRenderer').default;
+
+describe('SVGRenderer', function () {
+
+	var printer;
+
+	beforeEach(function () {
+		printer = new Printer({
+			Roboto: {
+				normal: 'tests/fonts/Roboto-Regular.ttf',
+				bold: 'tests/fonts/Roboto-Medium.ttf',
+				italics: 'tests/fonts/Roboto-Italic.ttf'
+			}
+		});
+	});
+
+	it('should render one SVG document per page', async function () {
+		var pages = await printer.createSvgPages({
+			pageSize: { width: 300, height: 400 },
+			content: ['First', { text: 'Second', pageBreak: 'before' }]
+		});
+
+		assert.equal(pages.length, 2);
+		pages.forEach(function (svg) {
+			assert.equal(svg.indexOf('<svg xmlns="http://www.w3.org/2000/svg"'), 0);
+			assert(svg.indexOf('width="300" height="400" viewBox="0 0 300 400"') > -1);
+			assert(svg.endsWith('</svg>'));
+		});
+		assert(pages[1].indexOf('>Second</text>') > -1);
+	});
+
+	it('should position text on baseline using measured inline width', async function () {
+		var pages = await printer.createSvgPages({
+			pageMargins: 40,
+			content: [{ text: [{ text: 'Bold', bold: true, color: 'red' }, 'a<b'], fontSize: 10 }]
+		});
+
+		var texts = pages[0].match(/<text[^>]*>[^<]*<\/text>/g);
+		assert.equal(texts.length, 2);
+
+		// Roboto ascender is 927.734 units per 1000
+		assert(texts[0].indexOf('x="40" y="49.277"') > -1);
+		assert(texts[0].indexOf('fill="red"') > -1);
+		assert(texts[0].indexOf('font-family="Roboto" font-weight="500"') > -1);
+		assert(/textLength="[\d.]+"/.test(texts[0]));
+		assert(texts[1].indexOf('>a&lt;b</text>') > -1);
+	});
+
+	it('should render vectors and images', async function () {
+		var pages = await printer.createSvgPages({
+			content: [
+				{ canvas: [{ type: 'rect', x: 0, y: 0, w: 100, h: 20, color: 'blue' }, { type: 'line', x1: 0, y1: 0, x2: 10, y2: 0, dash: { length: 2 } }] },
+				{ image: 'tests/fonts/sampleImage.jpg', width: 50 }
+			]
+		});
+
+		var svg = pages[0];
+		assert(svg.indexOf('<rect x="40" y="40" width="100" height="20" fill="blue"/>') > -1);
+		assert(svg.indexOf('stroke-dasharray="2 2"') > -1);
+		assert(svg.indexOf('xlink:href="data:image/jpeg;base64,/9j/') > -1);
+	});
+
+	it('should render inline image on the baseline of the line', async function () {
+		var pages = await printer.createSvgPages({
+			content: { text: ['Logo ', { image: 'tests/fonts/sampleImage.jpg', width: 20, height: 20 }, ' text'] }
+		});
+
+		assert(/<image x="[\d.]+" y="40" width="20" height="20"/.test(pages[0]));
+		assert(pages[0].indexOf('>Logo </text>') > -1);
+	});
+
+	it('should render right-to-left text positioned by its right edge', async function () {
+		var pages = await printer.createSvgPages({
+			content: { text: '\u05d0\u05d1\u05d2', direction: 'rtl' }
+		});
+
+		// right-to-left paragraph is aligned to the right margin of A4 page
+		assert(/<text x="555.2\d*" y="[\d.]+" direction="rtl"/.test(pages[0]));
+	});
+
+	it('should render clips as clipped groups', function () {
+		var svg = new SVGRenderer(null).renderPage({
+			pageSize: { width: 100, height: 100 },
+			items: [
+				{ type: 'beginClip', item: { x: 10, y: 10, width: 50, height: 20 } },
+				{ type: 'vector', item: { type: 'rect', x: 0, y: 0, w: 100, h: 100, color: 'black' } },
+				{ type: 'endClip' }
+			]
+		});
+
+		assert(svg.indexOf('<clipPath id="pdfmake-1"><rect x="10" y="10" width="50" height="20"/></clipPath><g clip-path="url(#pdfmake-1)"><rect x="0" y="0" width="100" height="100" fill="black"/></g>') > -1);
+	});
+
+	it('should nest svg without XML declaration and document type', function () {
+		var svg = new SVGRenderer(null).renderPage({
+			pageSize: { width: 100, height: 100 },
+			items: [
+				{
+					type: 'svg',
+					item: {
+						x: 10,
+						y: 20,
+						svg: '<?xml version="1.0" encoding="UTF-8"?>\n<!DOCTYPE svg PUBLIC "-//W3C//DTD SVG 1.1//EN" "http://www.w3.org/Graphics/SVG/1.1/DTD/svg11.dtd">\n<!-- editor -->\n<svg width="10" height="10"><rect width="5" height="5"/></svg>'
+					}
+				}
+			]
+		});
+
+		assert(svg.indexOf('<g transform="translate(10 20)"><svg width="10" height="10"><rect width="5" height="5"/></svg></g>') > -1);
+		assert.equal(svg.indexOf('<?xml'), -1);
+		assert.equal(svg.indexOf('<!DOCTYPE'), -1);
+	});
+
+	it('should render preview of form fields', async function () {
+		var pages = await printer.createSvgPages({
+			content: [
+				{ text: ['Name: ', { field: 'text', name: 'name', value: 'John', lineColor: 'black' }] },
+				{ field: 'checkbox', name: 'agree', value: true }
+			]
+		});
+
+		var fields = pages[0].match(/<g data-field="[^"]+">.*?<\/g>/g);
+		assert.equal(fields.length, 2);
+		assert(/<rect [^>]*stroke="black"\/><text [^>]*>John<\/text>/.test(fields[0]));
+		assert(fields[1].indexOf('<polyline') > -1);
+	});
+
+	it('should render watermark', async function () {
+		var pages = await printer.createSvgPages({
+			content: 'text',
+			watermark: { text: 'draft', angle: -45, fontSize: 40 }
+		});
+
+		assert(/<text [^>]*opacity="0.6" transform="rotate\(-45 [\d.]+ [\d.]+\)"[^>]*>draft<\/text>/.test(pages[0]));
+	});
+
+});
@@ -0,0 +1,156 @@
+'use strict';
+
+var assert = require('assert');
+
+var Printer = require('../../js/Printer').default;
+var StructureTree = require('../../js/StructureTree').default;
+
+describe('StructureTree', function () {
+
+	function types(element) {
+		if (element.kids.length === 0) {
+			return element.type;
+		}
+
+		var result = {};
+		result[element.type] = element.kids.map(types);
+		return result;
+	}
+
+	describe('build', function () {
+
+		var structureTree;
+
+		beforeEach(function () {
+			structureTree = new StructureTree(null);
+		});
+
+		it('should map nodes to structure elements in reading order', function () {
+			var image = { image: 'image.jpg', alt: 'Logo' };
+			var heading = { text: 'Heading', headlineLevel: 2 };
+
+			structureTree.build({
+				stack: [
+					heading,
+					{ columns: [{ text: 'Left' }, { stack: [{ text: 'Right' }] }] },
+					{ ul: [{ text: 'Item' }] },
+					image,
+					{ canvas: [] }
+				]
+			});
+
+			assert.deepEqual(types(structureTree.root), {
+				Document: ['H2', 'P', 'P', { L: [{ LI: [{ LBody: ['P'] }] }] }, 'Figure']
+			});
+			assert.equal(heading._structElement, structureTree.root.kids[0]);
+			assert.equal(image._structElement.alt, 'Logo');
+		});
+
+		it('should limit heading level to 6', function () {
+			structureTree.build({ stack: [{ text: 'a', headlineLevel: 9 }] });
+
+			assert.equal(structureTree.root.kids[0].type, 'H6');
+		});
+
+		it('should create table with header rows', function () {
+			structureTree.build({
+				table: {
+					headerRows: 1,
+					body: [
+						[{ text: 'A' }, { text: 'B' }],
+						[{ text: 'C', colSpan: 2 }, { _span: true }]
+					]
+				}
+			});
+
+			var table = structureTree.root.kids[0];
+			assert.deepEqual(types(table), {
+				Table: [
+					{ THead: [{ TR: [{ TH: ['P'] }, { TH: ['P'] }] }] },
+					{ TBody: [{ TR: [{ TD: ['P'] }] }] }
+				]
+			});
+
+			var headerCell = table.kids[0].kids[0].kids[0];
+			assert.deepEqual(headerCell.attributes, { O: 'Table', Scope: 'Column' });
+			assert.equal(headerCell.isRepeatable, true);
+
+			var bodyCell = table.kids[1].kids[0].kids[0];
+			assert.deepEqual(bodyCell.attributes, { O: 'Table', ColSpan: 2 });
+			assert.equal(bodyCell.isRepeatable, false);
+		});
+
+	});
+
+	describe('tagged document', function () {
+
+		var printer;
+
+		beforeEach(function () {
+			printer = new Printer({
+				Roboto: {
+					normal: 'tests/fonts/Roboto-Regular.ttf'
+				}
+			});
+		});
+
+		function renderPdf(docDefinition) {
+			return printer.createPdfKitDocument(docDefinition).then(function (pdfDocument) {
+				return new Promise(function (resolve) {
+					var chunks = [];
+					pdfDocument.on('data', function (chunk) {
+						chunks.push(chunk);
+					});
+					pdfDocument.on('end', function () {
+						resolve(Buffer.concat(chunks).toString('binary'));
+					});
+					pdfDocument.end();
+				});
+			});
+		}
+
+		it('should write structure tree and marked content', async function () {
+			var pdf = await renderPdf({
+				tagged: true,
+				language: 'en-US',
+				compress: false,
+				header: 'Header',
+				content: [
+					{ text: 'Title', headlineLevel: 1 },
+					{ image: 'tests/fonts/sampleImage.jpg', width: 20, alt: 'Sample image' }
+				]
+			});
+
+			assert(/\/Type \/Catalog[^]*\/Lang \(en-US\)\n\/StructTreeRoot \d+ 0 R\n\/MarkInfo <<\n\/Marked true/.test(pdf));
+			assert(pdf.indexOf('/StructParents 0') > -1);
+			assert(pdf.indexOf('/H1 <</MCID 0>> BDC') > -1);
+			assert(pdf.indexOf('/Figure <</MCID 1>> BDC') > -1);
+			assert(pdf.indexOf('/Artifact BMC') > -1); // header
+			assert(pdf.indexOf('/Alt (Sample image)') > -1);
+			assert(/\/ParentTree <<\n\/Nums \[0 \[\d+ 0 R \d+ 0 R\]\]/.test(pdf));
+		});
+
+		it('should mark repeated table header as artifact', async function () {
+			var body = [[{ text: 'Header' }]];
+			for (var i = 0; i < 60; i++) {
+				body.push([{ text: 'Row ' + i }]);
+			}
+
+			var pdf = await renderPdf({ tagged: true, compress: false, content: { table: { headerRows: 1, body: body } } });
+
+			assert.equal(pdf.match(/\/StructParents \d+/g).length, 2);
+			assert.equal(pdf.match(/\/S \/TH\n/g).length, 1);
+			assert.equal(pdf.match(/\/S \/TD\n/g).length, 60);
+			assert.equal(pdf.match(/ BDC\n/g).length, 61);
+		});
+
+		it('should not tag untagged document', async function () {
+			var pdf = await renderPdf({ compress: false, content: 'text' });
+
+			assert.equal(pdf.indexOf('StructTreeRoot'), -1);
+			assert.equal(pdf.indexOf('BDC'), -1);
+		});
+
+	});
+
+});
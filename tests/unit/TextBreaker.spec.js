@@ -2,6 +2,7 @@ const assert = require('assert');
 
 const TextBreaker = require('../../js/TextBreaker').default;
 const StyleContextStack = require('../../js/StyleContextStack').default;
+const Hyphenator = require('../../js/Hyphenator').default;
 
 describe('TextBreaker', function () {
 
@@ -179,6 +180,21 @@ describe('TextBreaker', function () {
 			assert.equal(result[1].noNewLine, undefined);
 		});
 
+		it('should place form field as one inline', function () {
+			var arrayText = [
+				'Name:',
+				{ field: 'text', name: 'name', width: 100 },
+				'end of line'
+			];
+
+			var result = textBreaker.getBreaks(arrayText);
+			assert.equal(result.length, 5);
+			assert.equal(result[0].noNewLine, undefined);
+			assert.deepEqual(result[1], { field: 'text', name: 'name', width: 100, text: '' });
+			assert.equal(result[1].noNewLine, undefined);
+			assert.equal(arrayText[1].text, undefined);
+		});
+
 		it('should support plain strings', function () {
 			var result = textBreaker.getBreaks(plainText);
 			assert.equal(result.length, 6);
@@ -215,6 +231,55 @@ describe('TextBreaker', function () {
 			assert(!result[1].bold);
 		});
 
+		it('should break word at soft hyphens', function () {
+			var result = textBreaker.getBreaks('Sil\u00ADben\u00ADtren\u00ADnung ist');
+
+			assert.deepEqual(result, [
+				{ text: 'Sil', hyphen: true },
+				{ text: 'ben', hyphen: true },
+				{ text: 'tren', hyphen: true },
+				{ text: 'nung ' },
+				{ text: 'ist' }
+			]);
+		});
+
+		it('should remove soft hyphens from text without wrapping', function () {
+			var result = textBreaker.getBreaks({ text: 'Sil\u00ADben', noWrap: true });
+
+			assert.equal(result.length, 1);
+			assert.equal(result[0].text, 'Silben');
+		});
+
+		it('should break words by hyphenator of the hyphenation language', function () {
+			var hyphenator = new Hyphenator('hy3ph he2n hena4 hen5at 1na n2at 1tio 2io o2n');
+			var pdfDocument = {
+				provideHyphenator: function (language) {
+					assert.equal(language, 'en');
+					return hyphenator;
+				}
+			};
+
+			var result = new TextBreaker(pdfDocument).getBreaks(['hyphenation, ', { text: 'hyphenation', hyphenation: false }], new StyleContextStack({}, { hyphenation: 'en' }));
+
+			assert.deepEqual(result.map(function (item) {
+				return [item.text, item.hyphen];
+			}), [['hy', true], ['phen', true], ['ation, ', undefined], ['hyphenation', undefined]]);
+		});
+
+		it('should place image and svg as one inline', function () {
+			var arrayText = [
+				'Done',
+				{ image: 'checkmark', width: 10 },
+				{ svg: '<svg></svg>', verticalAlign: 'middle' }
+			];
+
+			var result = textBreaker.getBreaks(arrayText);
+			assert.equal(result.length, 3);
+			assert.deepEqual(result[1], { image: 'checkmark', width: 10, text: '' });
+			assert.deepEqual(result[2], { svg: '<svg></svg>', verticalAlign: 'middle', text: '' });
+			assert.equal(arrayText[1].text, undefined);
+		});
+
 		it('should keep unknown style fields after splitting new-lines', function () {
 			var result = textBreaker.getBreaks(mixedTextArrayWithUnknownStyleDefinitions);
 			assert.equal(result.length, 7);
@@ -276,6 +276,87 @@ describe('TextInlines', function () {
 
 	});
 
+	describe('fallback fonts', function () {
+
+		function fakeFont(name, characters) {
+			return {
+				name: name,
+				font: {
+					hasGlyphForCodePoint: function (codePoint) {
+						return characters.indexOf(String.fromCodePoint(codePoint)) > -1;
+					}
+				},
+				widthOfString: function (text, size) {
+					return text.length * size;
+				},
+				lineHeight: function (size) {
+					return size;
+				}
+			};
+		}
+
+		var fonts = {
+			Latin: fakeFont('Latin', 'abc '),
+			Cjk: fakeFont('Cjk', '\u4e2d\u6587\u00e9 '),
+			Emoji: fakeFont('Emoji', '\ud83d\ude00')
+		};
+
+		var fallbackProvider = {
+			fallbackFonts: ['Emoji'],
+			provideFont: function (familyName) {
+				return fonts[familyName];
+			},
+			provideFontChain: function (familyName) {
+				return [].concat(familyName, this.fallbackFonts).map(function (name) {
+					return fonts[name];
+				});
+			}
+		};
+
+		it('should split text into parts drawn by the first font with the glyphs', function () {
+			var inlines = new TextInlines(fallbackProvider).buildInlines({ text: 'ab \u4e2d\u6587 \ud83d\ude00 a\u00e9', font: ['Latin', 'Cjk'] }, new StyleContextStack());
+
+			assert.deepEqual(inlines.items.map(function (inline) {
+				return [inline.text, inline.font.name];
+			}), [['ab ', 'Latin'], ['\u4e2d', 'Cjk'], ['\u6587 ', 'Cjk'], ['\ud83d\ude00 ', 'Emoji'], ['a', 'Latin'], ['\u00e9', 'Cjk']]);
+
+			// parts of the word are not wrapped
+			assert.equal(inlines.items[4].noNewLine, true);
+			assert.equal(inlines.items[5].noNewLine, undefined);
+		});
+
+		it('should draw missing characters by the first font', function () {
+			var inlines = new TextInlines(fallbackProvider).buildInlines({ text: 'a\u00e9', font: 'Latin' }, new StyleContextStack());
+
+			assert.equal(inlines.items.length, 1);
+			assert.equal(inlines.items[0].font.name, 'Latin');
+		});
+
+	});
+
+	describe('font variation', function () {
+
+		it('should provide fonts with axis values of fontWeight and fontStretch', function () {
+			var variations = [];
+			var variationProvider = {
+				provideFont: function (familyName, bold, italics, variation) {
+					variations.push(variation);
+					return sampleTestProvider.provideFont(familyName, bold, italics);
+				}
+			};
+
+			new TextInlines(variationProvider).buildInlines([
+				{ text: 'light ', fontWeight: 300 },
+				{ text: 'condensed ', fontWeight: 650, fontStretch: 'condensed' },
+				{ text: 'wide ', fontStretch: 125 },
+				{ text: 'plain' }
+			], new StyleContextStack());
+
+			assert.deepEqual(variations, [{ wght: 300 }, { wght: 650, wdth: 75 }, { wdth: 125 }, null]);
+		});
+
+	});
+
 	describe('widthOfText', function () {
 		// TODO
 	});
@@ -0,0 +1,90 @@
+'use strict';
+
+var assert = require('assert');
+
+var PDFDocument = require('../../js/PDFDocument').default;
+var TextInlines = require('../../js/TextInlines').default;
+var TextShaper = require('../../js/TextShaper').default;
+var splitGraphemes = require('../../js/TextShaper').splitGraphemes;
+
+describe('TextShaper', function () {
+
+	describe('splitGraphemes', function () {
+
+		it('should keep combining marks with the base character', function () {
+			assert.deepEqual(splitGraphemes('e\u0301a'), ['e\u0301', 'a']);
+			assert.deepEqual(splitGraphemes('กิน'), ['กิ', 'น']);
+		});
+
+		it('should keep consonants joined by virama together', function () {
+			// Devanagari "namaste"
+			assert.deepEqual(splitGraphemes('नमस्ते'), ['न', 'म', 'स्ते']);
+		});
+
+		it('should keep surrogate pairs and emoji sequences together', function () {
+			assert.deepEqual(splitGraphemes('👍🏽a'), ['👍🏽', 'a']);
+			assert.deepEqual(splitGraphemes('👨‍💻 '), ['👨‍💻', ' ']);
+		});
+
+	});
+
+	describe('shape', function () {
+
+		var font;
+
+		beforeEach(function () {
+			var pdfDocument = new PDFDocument({
+				Roboto: {
+					normal: 'tests/fonts/Roboto-Regular.ttf'
+				}
+			});
+			font = pdfDocument.provideFont('Roboto', false, false);
+		});
+
+		it('should be attached to embedded fonts', function () {
+			assert(TextShaper.isShapeable(font));
+			assert(font.shaper instanceof TextShaper);
+			assert(!TextShaper.isShapeable({ widthOfString: function () {} }));
+		});
+
+		it('should shape text as a whole and cache the run', function () {
+			var run = font.shaper.shape('fine text');
+
+			assert.equal(run.glyphs.length, run.positions.length);
+			assert.strictEqual(font.shaper.shape('fine text'), run);
+			assert.notStrictEqual(font.shaper.shape('fine text', ['liga']), run);
+			assert.equal(run.positions[0].advanceWidth, run.glyphs[0].advanceWidth * font.scale);
+		});
+
+		it('should not cache runs when font layout cache is disabled', function () {
+			var pdfDocument = new PDFDocument({
+				Roboto: {
+					normal: 'tests/fonts/Roboto-Regular.ttf'
+				}
+			}, null, { fontLayoutCache: false });
+			var uncachedFont = pdfDocument.provideFont('Roboto', false, false);
+
+			assert.equal(uncachedFont.shaper.cache, null);
+			assert.notStrictEqual(uncachedFont.shaper.shape('fine text'), uncachedFont.shaper.shape('fine text'));
+		});
+
+		it('should be used for measuring and glyph output', function () {
+			var run = font.shaper.shape('Shaped');
+			var encoded = font.encode('Shaped');
+
+			assert.equal(font.widthOfString('Shaped', 10), run.advanceWidth / 100);
+			assert.equal(encoded[0].length, run.glyphs.length);
+			assert.strictEqual(encoded[1], run.positions);
+		});
+
+		it('should add character spacing to glyphs of shaped text', function () {
+			var textInlines = new TextInlines(null);
+			var run = font.shaper.shape('fi');
+			var width = textInlines.widthOfText('fi', { font: font, fontSize: 10, characterSpacing: 2 });
+
+			assert.equal(width, run.advanceWidth / 100 + 2 * (run.glyphs.length - 1));
+		});
+
+	});
+
+});
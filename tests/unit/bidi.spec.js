@@ -0,0 +1,141 @@
+'use strict';
+
+var assert = require('assert');
+
+var bidi = require('../../js/bidi');
+
+describe('bidi', function () {
+
+	var hebrew = 'אבג';
+	var arabic = 'بيت';
+
+	describe('getBidiClass', function () {
+
+		it('should return class of characters', function () {
+			assert.equal(bidi.getBidiClass('a'.charCodeAt(0)), 'L');
+			assert.equal(bidi.getBidiClass(hebrew.charCodeAt(0)), 'R');
+			assert.equal(bidi.getBidiClass(arabic.charCodeAt(0)), 'AL');
+			assert.equal(bidi.getBidiClass('1'.charCodeAt(0)), 'EN');
+			assert.equal(bidi.getBidiClass(0x0661), 'AN');
+			assert.equal(bidi.getBidiClass(' '.charCodeAt(0)), 'WS');
+			assert.equal(bidi.getBidiClass('!'.charCodeAt(0)), 'ON');
+			assert.equal(bidi.getBidiClass(0x05b0), 'NSM');
+		});
+
+	});
+
+	describe('getBidiLevels', function () {
+
+		it('should resolve right-to-left text in left-to-right paragraph', function () {
+			assert.deepEqual(bidi.getBidiLevels('ab ' + hebrew + ' cd'), [0, 0, 0, 1, 1, 1, 0, 0, 0]);
+		});
+
+		it('should resolve neutrals between right-to-left characters to right-to-left', function () {
+			assert.deepEqual(bidi.getBidiLevels('a ' + hebrew + ', ' + hebrew), [0, 0, 1, 1, 1, 1, 1, 1, 1, 1]);
+		});
+
+		it('should resolve numbers in right-to-left paragraph to higher level', function () {
+			assert.deepEqual(bidi.getBidiLevels(hebrew + ' 12.5', 1), [1, 1, 1, 1, 2, 2, 2, 2]);
+			assert.deepEqual(bidi.getBidiLevels('ab 1', 1), [2, 2, 2, 2]);
+		});
+
+		it('should resolve European numbers after Arabic letters as Arabic numbers', function () {
+			assert.deepEqual(bidi.getBidiLevels(arabic + '12'), [1, 1, 1, 2, 2]);
+		});
+
+		it('should reset trailing whitespaces to the base level', function () {
+			assert.deepEqual(bidi.getBidiLevels(hebrew + ' \t' + hebrew + '  '), [1, 1, 1, 0, 0, 1, 1, 1, 0, 0]);
+		});
+
+		it('should resolve directional overrides', function () {
+			assert.deepEqual(bidi.getBidiLevels('\u202Eabc\u202C'), [0, 1, 1, 1, 0]);
+			assert.deepEqual(bidi.getBidiLevels('\u202D' + hebrew + '\u202C', 1), [1, 2, 2, 2, 1]);
+		});
+
+		it('should resolve explicit embeddings', function () {
+			assert.deepEqual(bidi.getBidiLevels(hebrew + '\u202A' + hebrew + '\u202C', 1), [1, 1, 1, 1, 3, 3, 3, 1]);
+			assert.deepEqual(bidi.getBidiLevels('a\u202Bb\u202Cc'), [0, 0, 2, 2, 0]);
+		});
+
+		it('should resolve neutrals around isolates by characters outside of isolates', function () {
+			assert.deepEqual(bidi.getBidiLevels(hebrew + ' a ' + hebrew), [1, 1, 1, 0, 0, 0, 1, 1, 1]);
+			assert.deepEqual(bidi.getBidiLevels(hebrew + ' \u2066a\u2069 ' + hebrew), [1, 1, 1, 1, 1, 2, 1, 1, 1, 1, 1]);
+			assert.deepEqual(bidi.getBidiLevels('a\u2067b c\u2069d'), [0, 0, 2, 2, 2, 0, 0]);
+		});
+
+		it('should resolve direction of first strong isolate by its first strong character', function () {
+			assert.deepEqual(bidi.getBidiLevels('a \u2068' + hebrew + ' 1\u2069'), [0, 0, 0, 1, 1, 1, 1, 2, 0]);
+			assert.deepEqual(bidi.getBidiLevels(hebrew + ' \u2068a ' + hebrew + '\u2069', 1), [1, 1, 1, 1, 1, 2, 2, 3, 3, 3, 1]);
+		});
+
+	});
+
+	describe('getVisualOrder', function () {
+
+		it('should reverse sequences of right-to-left levels', function () {
+			assert.deepEqual(bidi.getVisualOrder([0, 1, 1, 0]), [0, 2, 1, 3]);
+			assert.deepEqual(bidi.getVisualOrder([1, 2, 2, 1]), [3, 1, 2, 0]);
+			assert.deepEqual(bidi.getVisualOrder([0, 0]), [0, 1]);
+			assert.deepEqual(bidi.getVisualOrder([]), []);
+		});
+
+	});
+
+	describe('applyBidiLevels', function () {
+
+		it('should not change left-to-right inlines', function () {
+			var inlines = [{ text: 'abc ' }, { text: 'def' }];
+
+			assert.strictEqual(bidi.applyBidiLevels(inlines, false), inlines);
+			assert.equal(inlines[0].bidiLevel, undefined);
+		});
+
+		it('should split inline at level changes', function () {
+			var inlines = bidi.applyBidiLevels([{ text: 'abc ' }, { text: hebrew + ' ', bold: true, lineEnd: true }, { text: 'd' }], false);
+
+			assert.deepEqual(inlines, [
+				{ text: 'abc ', bidiLevel: 0 },
+				{ text: hebrew, bold: true, bidiLevel: 1, noNewLine: true },
+				{ text: ' ', bold: true, lineEnd: true, bidiLevel: 0 },
+				{ text: 'd', bidiLevel: 0 }
+			]);
+		});
+
+		it('should split left-to-right inline with right-to-left override', function () {
+			var inlines = bidi.applyBidiLevels([{ text: 'x \u202Eabc\u202C' }], false);
+
+			assert.deepEqual(inlines.map(function (inline) {
+				return inline.bidiLevel;
+			}), [0, 1, 0]);
+			assert.equal(bidi.getVisualText(inlines[1]), 'cba');
+		});
+
+		it('should order inlines without text as neutral characters', function () {
+			var inlines = bidi.applyBidiLevels([{ text: hebrew }, { text: '', image: 'logo' }, { text: hebrew }], false);
+
+			assert.deepEqual(inlines.map(function (inline) {
+				return inline.bidiLevel;
+			}), [1, 1, 1]);
+		});
+
+	});
+
+	describe('getVisualText', function () {
+
+		it('should keep text which is laid out in the direction of its level', function () {
+			assert.equal(bidi.getVisualText({ text: 'abc' }), 'abc');
+			assert.equal(bidi.getVisualText({ text: 'abc', bidiLevel: 2 }), 'abc');
+			assert.equal(bidi.getVisualText({ text: hebrew + ' ', bidiLevel: 1 }), hebrew + ' ');
+		});
+
+		it('should reverse right-to-left text without right-to-left script', function () {
+			assert.equal(bidi.getVisualText({ text: '(a) ', bidiLevel: 1 }), ' (a)');
+		});
+
+		it('should reverse Arabic numbers at left-to-right level', function () {
+			assert.equal(bidi.getVisualText({ text: '١٢', bidiLevel: 2 }), '٢١');
+		});
+
+	});
+
+});
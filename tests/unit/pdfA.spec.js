@@ -0,0 +1,176 @@
+'use strict';
+
+var assert = require('assert');
+
+var Printer = require('../../js/Printer').default;
+var pdfA = require('../../js/pdfA');
+
+describe('pdfA', function () {
+
+	describe('validateDocDefinition', function () {
+
+		it('should return PDF version required by conformance level', function () {
+			assert.equal(pdfA.validateDocDefinition({ pdfA: '1b' }), '1.4');
+			assert.equal(pdfA.validateDocDefinition({ pdfA: '1b', version: '1.3' }), '1.4');
+			assert.equal(pdfA.validateDocDefinition({ pdfA: '2b' }), '1.7');
+			assert.equal(pdfA.validateDocDefinition({ pdfA: '2b', version: '1.5' }), '1.5');
+		});
+
+		it('should reject unsupported conformance level', function () {
+			assert.throws(function () {
+				pdfA.validateDocDefinition({ pdfA: '3u' });
+			}, /Unsupported PDF\/A conformance level '3u', supported levels are: '1b', '2b'/);
+		});
+
+		it('should reject encryption', function () {
+			assert.throws(function () {
+				pdfA.validateDocDefinition({ pdfA: '2b', userPassword: '123' });
+			}, /PDF\/A-2b does not allow encryption/);
+			assert.throws(function () {
+				pdfA.validateDocDefinition({ pdfA: '1b', ownerPassword: '123' });
+			}, /PDF\/A-1b does not allow encryption/);
+		});
+
+		it('should reject PDF version newer than 1.4 under PDF/A-1b', function () {
+			assert.throws(function () {
+				pdfA.validateDocDefinition({ pdfA: '1b', version: '1.7' });
+			}, /PDF\/A-1b is based on PDF 1.4, PDF version 1.7 is not allowed/);
+		});
+
+	});
+
+	describe('validatePages', function () {
+
+		function png(colorType, chunks) {
+			var header = Buffer.alloc(33);
+			Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex').copy(header);
+			header.writeUInt8(colorType, 25);
+			return Buffer.concat([header].concat((chunks || []).map(function (type) {
+				var chunk = Buffer.alloc(13);
+				chunk.writeUInt32BE(1, 0);
+				chunk.write(type, 4, 'ascii');
+				return chunk;
+			})));
+		}
+
+		function pages(colorGlyph) {
+			var font = {
+				colorFont: {
+					getColorGlyph: function (glyph) {
+						return glyph.id === 2 ? colorGlyph : null;
+					}
+				},
+				layout: function () {
+					return { glyphs: [{ id: 1 }, { id: 2 }] };
+				}
+			};
+			return [{ items: [{ type: 'line', item: { inlines: [{ text: 'ab', font: font }] } }] }];
+		}
+
+		it('should reject transparent color glyphs', function () {
+			assert.throws(function () {
+				pdfA.validatePages(pages({ layers: [{ path: 'M0 0Z', color: null, opacity: 1 }, { path: 'M0 0Z', color: [255, 0, 0], opacity: 0.2 }] }));
+			}, /PDF\/A-1b does not allow transparency, color glyph of text 'ab' on page 1 has opacity 0.2/);
+			assert.throws(function () {
+				pdfA.validatePages(pages({ bitmap: { data: png(6) } }));
+			}, /color glyph of text 'ab' on page 1 is a bitmap with an alpha channel/);
+			assert.throws(function () {
+				pdfA.validatePages(pages({ bitmap: { data: png(3, ['PLTE', 'tRNS', 'IDAT']) } }));
+			}, /is a bitmap with an alpha channel/);
+		});
+
+		it('should accept opaque color glyphs', function () {
+			pdfA.validatePages(pages({ layers: [{ path: 'M0 0Z', color: [255, 0, 0], opacity: 1 }] }));
+			pdfA.validatePages(pages({ bitmap: { data: png(2, ['IDAT', 'tRNS']) } }));
+			pdfA.validatePages(pages({ svg: '<svg/>', id: 'glyph2' }));
+		});
+
+	});
+
+	describe('document', function () {
+
+		var printer;
+
+		beforeEach(function () {
+			printer = new Printer({
+				Roboto: {
+					normal: 'tests/fonts/Roboto-Regular.ttf'
+				},
+				Helvetica: {
+					normal: 'Helvetica'
+				}
+			});
+		});
+
+		function renderPdf(docDefinition) {
+			return printer.createPdfKitDocument(docDefinition).then(function (pdfDocument) {
+				return new Promise(function (resolve) {
+					var chunks = [];
+					pdfDocument.on('data', function (chunk) {
+						chunks.push(chunk);
+					});
+					pdfDocument.on('end', function () {
+						resolve(Buffer.concat(chunks).toString('binary'));
+					});
+					pdfDocument.end();
+				});
+			});
+		}
+
+		it('should write XMP metadata and sRGB output intent', async function () {
+			var pdf = await renderPdf({
+				pdfA: '1b',
+				compress: false,
+				info: { title: 'Contract <1>', author: 'Legal', subject: 'Archive', keywords: 'contract' },
+				content: 'text'
+			});
+
+			assert.equal(pdf.indexOf('%PDF-1.4'), 0);
+			assert(/\/Type \/Catalog[^]*\/Metadata \d+ 0 R\n\/OutputIntents \[<<\n\/Type \/OutputIntent\n\/S \/GTS_PDFA1\n\/OutputConditionIdentifier \(sRGB IEC61966-2.1\)/.test(pdf));
+			assert(pdf.indexOf('/Type /Metadata\n/Subtype /XML\n/Length') > -1);
+
+			var xmp = Buffer.from(pdf.substring(pdf.indexOf('<?xpacket begin'), pdf.indexOf('<?xpacket end')), 'binary').toString('utf8');
+			assert(xmp.indexOf('<?xpacket begin="\uFEFF"') === 0);
+			assert(xmp.indexOf('<pdfaid:part>1</pdfaid:part><pdfaid:conformance>B</pdfaid:conformance>') > -1);
+			assert(xmp.indexOf('<dc:title><rdf:Alt><rdf:li xml:lang="x-default">Contract &lt;1&gt;</rdf:li></rdf:Alt></dc:title>') > -1);
+			assert(xmp.indexOf('<dc:creator><rdf:Seq><rdf:li>Legal</rdf:li></rdf:Seq></dc:creator>') > -1);
+			assert(xmp.indexOf('<dc:description><rdf:Alt><rdf:li xml:lang="x-default">Archive</rdf:li></rdf:Alt></dc:description>') > -1);
+			assert(xmp.indexOf('<pdf:Keywords>contract</pdf:Keywords>') > -1);
+			assert(xmp.indexOf('<pdf:Producer>pdfmake</pdf:Producer>') > -1);
+			assert(/<xmp:CreateDate>\d{4}-\d\d-\d\dT\d\d:\d\d:\d\dZ<\/xmp:CreateDate>/.test(xmp));
+
+			assert(/\/N 3\n\/Length 2524\n>>\nstream\n[^]{36}acsp/.test(pdf));
+		});
+
+		it('should write PDF/A-2b identification', async function () {
+			var pdf = await renderPdf({ pdfA: '2b', compress: false, content: { text: 'text', opacity: 0.5 } });
+
+			assert.equal(pdf.indexOf('%PDF-1.7'), 0);
+			assert(pdf.indexOf('<pdfaid:part>2</pdfaid:part><pdfaid:conformance>B</pdfaid:conformance>') > -1);
+		});
+
+		it('should reject transparency under PDF/A-1b', async function () {
+			await assert.rejects(renderPdf({ pdfA: '1b', content: { text: 'text', opacity: 0.5 } }), /PDF\/A-1b does not allow transparency, text 'text' on page 1 has opacity 0.5/);
+			await assert.rejects(renderPdf({ pdfA: '1b', content: { canvas: [{ type: 'rect', x: 0, y: 0, w: 10, h: 10, color: 'red', fillOpacity: 0.2 }] } }), /rect on page 1 has opacity 0.2/);
+			await assert.rejects(renderPdf({ pdfA: '1b', watermark: 'draft', content: 'text' }), /watermark \(set opacity of watermark to 1\) has opacity 0.6/);
+		});
+
+		it('should reject standard fonts', async function () {
+			await assert.rejects(renderPdf({ pdfA: '2b', content: { text: 'text', font: 'Helvetica' } }), /PDF\/A requires all fonts to be embedded, font 'Helvetica' in style 'normal' uses standard font 'Helvetica'/);
+		});
+
+		it('should reject form fields', async function () {
+			await assert.rejects(renderPdf({ pdfA: '2b', content: { text: ['Name: ', { field: 'text', name: 'name' }] } }), /PDF\/A-2b does not allow form fields, text field 'name' on page 1/);
+			await assert.rejects(renderPdf({ pdfA: '1b', content: { field: 'checkbox', name: 'agree' } }), /PDF\/A-1b does not allow form fields, checkbox field 'agree' on page 1/);
+		});
+
+		it('should not write metadata without pdfA', async function () {
+			var pdf = await renderPdf({ compress: false, content: 'text' });
+
+			assert.equal(pdf.indexOf('/OutputIntents'), -1);
+			assert.equal(pdf.indexOf('<?xpacket'), -1);
+		});
+
+	});
+
+});